@@ -0,0 +1,164 @@
+/**
+ * Ammunition items and folders for a pack's source
+ *
+ * The generator (see generator.mjs) builds an item from its catalog entries;
+ * here we give it its place in a pack: an ID reused from the item already
+ * there with the same slug or derived from the slug, and a folder, created
+ * the first time it is needed. The catalogs and PF2e references are loaded
+ * once by the caller and passed in, so that generating a whole pack does not
+ * read them again for every item.
+ */
+
+import { deriveUniqueFoundryId, generationTime } from './foundry-ids.mjs';
+import { MODULE_ID, ammunitionName, buildAmmunitionItem } from './generator.mjs';
+import { loadPackRecords } from './pack-source.mjs';
+import { ammunitionPack } from './packs.mjs';
+import { TEMPLATE_FIELDS } from './validate-catalogs.mjs';
+
+/**
+ * Generate a new folder record with an ID derived from its name
+ * @param {string} folderName - The folder's name
+ * @param {Map[]} idMaps - Maps whose values are IDs already in use
+ * @returns {object} The folder record
+ */
+function generateFolder(folderName, idMaps) {
+  const folderId = deriveUniqueFoundryId('Folder', folderName, idMaps);
+  const now = generationTime();
+
+  const folder = {
+    name: folderName,
+    sorting: "a",
+    folder: null,
+    type: "Item",
+    _id: folderId,
+    description: "",
+    sort: 100000,
+    color: null,
+    flags: {
+      [MODULE_ID]: {
+        generated: true
+      }
+    },
+    _stats: {
+      compendiumSource: null,
+      duplicateSource: null,
+      systemId: "pf2e",
+      createdTime: now,
+      modifiedTime: now
+    },
+    _metadata: {
+      key: `!folders!${folderId}`
+    }
+  };
+
+  return folder;
+}
+
+/**
+ * Load a pack's records, with the folders by name and the items by slug
+ * @param {string} compendiumPath - The pack's source directory or a JSON file
+ *   of records
+ * @returns {object} { folderMap: name → ID, itemSlugMap: slug → ID,
+ *   compendiumData: the records }
+ */
+function loadCompendiumData(compendiumPath) {
+  const compendiumData = loadPackRecords(compendiumPath);
+
+  const folderMap = new Map();
+  const itemSlugMap = new Map();
+
+  for (const record of compendiumData) {
+    const key = record._metadata?.key ?? '';
+    if (key.startsWith('!folders!')) {
+      folderMap.set(record.name, record._id);
+    } else if (key.startsWith('!items!') && record.system?.slug) {
+      itemSlugMap.set(record.system.slug, record._id);
+    }
+  }
+
+  return { folderMap, itemSlugMap, compendiumData };
+}
+
+/**
+ * Generate the item for an ammunition type × material × grade combination,
+ * placed in a pack
+ *
+ * An item with the same slug keeps its ID; a new one gets an ID derived from
+ * its slug, which is added to itemSlugMap. A folder the ammunition type names
+ * that does not exist yet is created and added to folderMap, compendiumData
+ * and newFolders.
+ * @param {string} ammunitionType - The ammunition type's catalog name
+ * @param {string} material - The material's catalog name
+ * @param {string} grade - The grade's name
+ * @param {object} data - { catalogs: as from loadCatalogs, references: as
+ *   from loadReferences, and folderMap, itemSlugMap and compendiumData as
+ *   from loadCompendiumData, with newFolders: a Set of the names of folders
+ *   created }
+ * @returns {object} { isExisting, itemId, name, item, folderName }
+ */
+function generateAmmunitionItem(ammunitionType, material, grade, data) {
+  const { catalogs, references = {}, folderMap, itemSlugMap, compendiumData, newFolders = new Set() } = data;
+  const { ammunitionTypes, weaponMaterials, packs } = catalogs;
+
+  if (!ammunitionTypes[ammunitionType]) {
+    throw new Error(`Unknown ammunition type: ${ammunitionType}`);
+  }
+
+  if (!weaponMaterials[material]) {
+    throw new Error(`Unknown material: ${material}`);
+  }
+
+  if (!weaponMaterials[material].grades[grade]) {
+    throw new Error(`Unknown grade: ${grade} for material ${material}`);
+  }
+
+  const ammoConfig = ammunitionTypes[ammunitionType];
+  const materialConfig = weaponMaterials[material];
+
+  const combination = {
+    ammunitionType,
+    ammoConfig,
+    material,
+    materialConfig,
+    grade,
+    gradeConfig: materialConfig.grades[grade],
+    knownFields: TEMPLATE_FIELDS,
+    references
+  };
+  const { name, slug } = ammunitionName(combination);
+
+  // Derive the ID of a new item from its slug so it is the same wherever it
+  // is generated
+  const isExisting = itemSlugMap.has(slug);
+  const itemId = isExisting ? itemSlugMap.get(slug) : deriveUniqueFoundryId('Item', slug, [itemSlugMap, folderMap]);
+  itemSlugMap.set(slug, itemId);
+
+  const folderName = ammoConfig.folder;
+  let folderId = null;
+
+  if (folderName) {
+    if (!folderMap.has(folderName)) {
+      const newFolder = generateFolder(folderName, [folderMap, itemSlugMap]);
+      folderMap.set(folderName, newFolder._id);
+      compendiumData.push(newFolder);
+      newFolders.add(folderName);
+    }
+    folderId = folderMap.get(folderName);
+  }
+
+  const item = {
+    ...buildAmmunitionItem(combination, {
+      id: itemId,
+      folderId,
+      now: generationTime(),
+      compendiumSource: `Compendium.${MODULE_ID}.${ammunitionPack(packs, ammoConfig)}.Item.${itemId}`
+    }),
+    _metadata: {
+      key: `!items!${itemId}`
+    }
+  };
+
+  return { isExisting, itemId, name, item, folderName };
+}
+
+export { generateAmmunitionItem, generateFolder, loadCompendiumData };
@@ -1,30 +1,16 @@
 #!/usr/bin/env node
 
-import { readFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
-import { randomBytes } from 'crypto';
-import jsyaml from 'js-yaml';
+import { generateAmmunitionItem, loadCompendiumData } from './ammunition-items.mjs';
+import { loadCatalogs } from './validate-catalogs.mjs';
+import { loadReferences } from './update-pf2e-references.mjs';
+import { savePackRecords } from './pack-source.mjs';
+import { defaultAmmunitionPack, packSourcePath } from './packs.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = join(__filename, '..');
-
-/**
- * Generate a random alphanumeric string ID like Foundry VTT does
- * @param {number} length - The length of the random string (default: 16)
- * @returns {string} A string containing random letters (A-Z, a-z) and numbers (0-9)
- */
-function generateFoundryId(length = 16) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  const bytes = randomBytes(length);
-  let result = '';
-
-  for (let i = 0; i < length; i++) {
-    result += chars[bytes[i] % chars.length];
-  }
-
-  return result;
-}
+const rootDir = join(__dirname, '..');
 
 // Colors for console output
 const colors = {
@@ -63,333 +49,25 @@ function logWarning(message) {
 }
 
 /**
- * Convert text to sentence case (first letter capitalized, rest lowercase)
- */
-function toSentenceCase(text) {
-  if (!text) return text;
-  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
-}
-
-/**
- * Convert text to slug (lowercase, spaces and punctuation to hyphens)
- */
-function toSlug(text) {
-  if (!text) return text;
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove punctuation except hyphens
-    .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
-    .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
-}
-
-/**
- * Clean up whitespace in text (remove spaces before periods, fold multiple whitespace)
- */
-function cleanWhitespace(text) {
-  if (!text) return text;
-  return text
-    .replace(/\s+\./g, '.') // Remove spaces before periods
-    .replace(/\s+/g, ' ') // Fold multiple whitespace into single space
-    .trim(); // Remove leading/trailing whitespace
-}
-
-/**
- * Load and parse YAML files
+ * Load and validate the YAML catalogs, failing before anything is generated
+ * if either has problems
  */
 function loadYamlData() {
-  const rootDir = join(__dirname, '..');
-
-  const ammunitionTypesPath = join(rootDir, 'src', 'ammunition-types.yml');
-  const weaponMaterialsPath = join(rootDir, 'src', 'weapon-materials.yml');
-
-  const ammunitionTypes = jsyaml.load(readFileSync(ammunitionTypesPath, 'utf8'));
-  const weaponMaterials = jsyaml.load(readFileSync(weaponMaterialsPath, 'utf8'));
-
-  return { ammunitionTypes, weaponMaterials };
-}
-
-/**
- * Generate a new folder record
- */
-function generateFolder(folderName) {
-  const folderId = generateFoundryId();
-  const now = Date.now();
-
-  const folder = {
-    name: folderName,
-    sorting: "a",
-    folder: null,
-    type: "Item",
-    _id: folderId,
-    description: "",
-    sort: 100000,
-    color: null,
-    flags: {},
-    _stats: {
-      compendiumSource: null,
-      duplicateSource: null,
-      coreVersion: "12.327",
-      systemId: "pf2e",
-      systemVersion: "6.0.4",
-      createdTime: now,
-      modifiedTime: now
-    },
-    _metadata: {
-      key: `!folders!${folderId}`
-    }
-  };
-
-  return folder;
+  return loadCatalogs(rootDir);
 }
 
 /**
- * Load compendium data and create folder lookup map
+ * Report the item generated for a combination
  */
-function loadCompendiumData() {
-  const rootDir = join(__dirname, '..');
-  const compendiumPath = join(rootDir, 'src', 'packs', 'prishas-precious-projectiles.json');
-
-  const compendiumData = JSON.parse(readFileSync(compendiumPath, 'utf8'));
-
-  // Create a map of folder names to UUIDs
-  const folderMap = new Map();
-  // Create a map of item slugs to UUIDs for duplicate detection
-  const itemSlugMap = new Map();
-
-  for (const record of compendiumData) {
-    // Check if this is a folder record (has _metadata.key starting with "!folders!")
-    if (record._metadata && record._metadata.key && record._metadata.key.startsWith('!folders!')) {
-      folderMap.set(record.name, record._id);
-    }
-    // Check if this is an item record (has _metadata.key starting with "!items!")
-    else if (record._metadata && record._metadata.key && record._metadata.key.startsWith('!items!')) {
-      if (record.system && record.system.slug) {
-        itemSlugMap.set(record.system.slug, record._id);
-      }
-    }
+function logGeneratedItem({ isExisting, itemId, name, item, folderName }) {
+  if (isExisting) {
+    logSuccess(`Reused existing ammunition item: ${name}`);
+  } else {
+    logSuccess(`Generated new ammunition item: ${name}`);
   }
-
-  return { folderMap, itemSlugMap, compendiumData };
-}
-
-/**
- * Generate ammunition item JSON
- */
-function generateAmmunitionItem(ammunitionType, material, grade, folderMap, itemSlugMap, compendiumData, newFolders) {
-  try {
-    const { ammunitionTypes, weaponMaterials } = loadYamlData();
-
-    // Validate inputs
-    if (!ammunitionTypes[ammunitionType]) {
-      throw new Error(`Unknown ammunition type: ${ammunitionType}`);
-    }
-
-    if (!weaponMaterials[material]) {
-      throw new Error(`Unknown material: ${material}`);
-    }
-
-    if (!weaponMaterials[material].grades[grade]) {
-      throw new Error(`Unknown grade: ${grade} for material ${material}`);
-    }
-
-    const ammoConfig = ammunitionTypes[ammunitionType];
-    const materialConfig = weaponMaterials[material];
-    const gradeConfig = materialConfig.grades[grade];
-
-    logInfo(`Generating ${material} ${ammunitionType} (${grade})...`);
-
-    // Process templates
-    let name = ammoConfig.title_template || "{material} {name} ({grade})";
-    let description = ammoConfig.description_template || "Standard ammunition.";
-
-    // Get weapon and ammo types
-    const weaponType = ammoConfig.weapon_type || ammunitionType;
-    const ammoType = ammoConfig.ammo_type || ammunitionType;
-
-    // Replace template variables
-    const replacements = {
-      '{name}': ammunitionType,
-      '{material}': material,
-      '{grade}': grade,
-      '{grade.limit}': gradeConfig.limit || '',
-      '{ammo_type}': ammoType,
-      '{weapon_type}': weaponType,
-      '{ammo_type.plural}': `${ammoType}s`,
-      '{weapon_type.plural}': `${weaponType}s`
-    };
-
-    for (const [key, value] of Object.entries(replacements)) {
-      name = name.replace(new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), value);
-      description = description.replace(new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), value);
-    }
-
-    // Convert description to sentence case
-    description = toSentenceCase(description);
-
-    // Clean up whitespace issues
-    description = cleanWhitespace(description);
-
-    // Generate slug
-    const slug = toSlug(name);
-
-    // Check for existing item with the same slug
-    let itemId;
-    let isExisting = false;
-
-    if (itemSlugMap.has(slug)) {
-      itemId = itemSlugMap.get(slug);
-      isExisting = true;
-      logWarning(`Found existing item with slug "${slug}", reusing UUID: ${itemId}`);
-    } else {
-      // Generate new Foundry-style ID
-      itemId = generateFoundryId();
-      logInfo(`Generated new ID for slug "${slug}": ${itemId}`);
-    }
-
-    // Look up folder UUID
-    const folderName = ammoConfig.folder;
-    let folderId = null;
-
-    if (folderName) {
-              if (!folderMap.has(folderName)) {
-          // Auto-generate the folder if it doesn't exist
-          logInfo(`Auto-generating folder: ${folderName}`);
-          const newFolder = generateFolder(folderName);
-          folderId = newFolder._id;
-          folderMap.set(folderName, folderId);
-
-          // Add the new folder to the compendium data
-          compendiumData.push(newFolder);
-          newFolders.add(folderName);
-          logSuccess(`Generated new folder: ${folderName} (${folderId})`);
-        } else {
-          folderId = folderMap.get(folderName);
-        }
-    }
-
-    // Create the item object
-    const item = {
-      name: name,
-      type: "consumable",
-      effects: [],
-      system: {
-        description: {
-          gm: "",
-          value: description
-        },
-        rules: [
-          {
-            key: "AdjustStrike",
-            mode: "add",
-            property: "materials",
-            value: material.toLowerCase().replace(/\s+/g, '-'),
-            definition: [
-              "item:id:{item|id}"
-            ]
-          }
-        ],
-        slug: slug,
-        traits: {
-          otherTags: [],
-          value: ammoConfig.traits || ["consumable"],
-          rarity: ammoConfig.rarity || "common"
-        },
-        publication: {
-          title: "Prisha's Precious Projectiles",
-          authors: "John Carney",
-          license: "OGL",
-          remaster: true
-        },
-        level: {
-          value: gradeConfig.level
-        },
-        quantity: ammoConfig.quantity || 1,
-        baseItem: null,
-        bulk: {
-          value: Math.round(0.1 * 100) / 100
-        },
-        hp: {
-          value: 0,
-          max: 0
-        },
-        hardness: 0,
-        price: {
-          value: {
-            gp: gradeConfig.base_price
-          },
-          per: ammoConfig.quantity || 1
-        },
-        equipped: {
-          carryType: "worn"
-        },
-        containerId: null,
-        size: "med",
-        material: {
-          type: null,
-          grade: null
-        },
-        identification: {
-          status: "identified",
-          unidentified: {
-            name: "Unusual Object",
-            img: "systems/pf2e/icons/unidentified_item_icons/other-consumables.webp",
-            data: {
-              description: {
-                value: ""
-              }
-            }
-          },
-          misidentified: {}
-        },
-        usage: {
-          value: "held-in-one-hand"
-        },
-        uses: {
-          value: ammoConfig.max_uses || 1,
-          max: ammoConfig.max_uses || 1,
-          autoDestroy: true
-        },
-        stackGroup: ammoConfig.stack_group || null,
-        spell: null,
-        category: "ammo"
-      },
-      img: ammoConfig.image || "systems/pf2e/icons/equipment/weapons/sling-bullets.webp",
-      folder: folderId,
-      ownership: {
-        default: 0
-      },
-      flags: {},
-      _stats: {
-        compendiumSource: `Compendium.prishas-precious-projectiles.prishas-precious-projectiles.Item.${itemId}`,
-        duplicateSource: null,
-        coreVersion: "12.328",
-        systemId: "pf2e",
-        systemVersion: "6.0.4",
-        createdTime: Date.now(),
-        modifiedTime: Date.now()
-      },
-      _id: itemId,
-      sort: 0,
-      _metadata: {
-        key: `!items!${itemId}`
-      }
-    };
-
-    if (isExisting) {
-      logSuccess(`Reused existing ammunition item: ${name}`);
-    } else {
-      logSuccess(`Generated new ammunition item: ${name}`);
-    }
-    logInfo(`Item ID: ${itemId}`);
-    if (folderId) {
-      logInfo(`Folder: ${folderName} (${folderId})`);
-    }
-
-    return { isExisting, itemId, name, item };
-
-  } catch (error) {
-    logError(`Failed to generate ammunition item: ${error.message}`);
-    throw error;
+  logInfo(`Item ID: ${itemId}`);
+  if (item.folder) {
+    logInfo(`Folder: ${folderName} (${item.folder})`);
   }
 }
 
@@ -398,8 +76,10 @@ function generateAmmunitionItem(ammunitionType, material, grade, folderMap, item
  */
 function generateMultipleAmmunitionItems(ammunitionTypes, materials, grades, outputPath) {
   logStep('Loading configuration data...');
-  const { ammunitionTypes: ammoConfigs, weaponMaterials } = loadYamlData();
-  const { folderMap, itemSlugMap, compendiumData } = loadCompendiumData();
+  const catalogs = loadYamlData();
+  const { ammunitionTypes: ammoConfigs, weaponMaterials } = catalogs;
+  const references = loadReferences(rootDir);
+  const { folderMap, itemSlugMap, compendiumData } = loadCompendiumData(packSourcePath(rootDir, defaultAmmunitionPack(catalogs.packs)));
 
   // Validate all inputs first
   for (const ammoType of ammunitionTypes) {
@@ -435,7 +115,11 @@ function generateMultipleAmmunitionItems(ammunitionTypes, materials, grades, out
         totalItems++;
 
         try {
-          const result = generateAmmunitionItem(ammoType, material, grade, folderMap, itemSlugMap, compendiumData, newFolders);
+          logInfo(`Generating ${material} ${ammoType} (${grade})...`);
+          const result = generateAmmunitionItem(ammoType, material, grade, {
+            catalogs, references, folderMap, itemSlugMap, compendiumData, newFolders
+          });
+          logGeneratedItem(result);
 
           if (result.isExisting) {
             reusedItems++;
@@ -466,8 +150,9 @@ function generateMultipleAmmunitionItems(ammunitionTypes, materials, grades, out
     }
   }
 
-  // Write all records to the output file as an array
-  writeFileSync(outputPath, JSON.stringify(allRecords, null, 2), 'utf8');
+  // Write all records to the output file as an array or, for a source
+  // directory, add or update their files alongside the documents already there
+  savePackRecords(allRecords, outputPath, { merge: !outputPath.endsWith('.json') });
 
   logSuccess(`Generated ${totalItems} ammunition items total:`);
   logInfo(`  New items: ${newItems}`);
@@ -479,12 +164,38 @@ function generateMultipleAmmunitionItems(ammunitionTypes, materials, grades, out
   logInfo(`  Output file: ${outputPath}`);
 }
 
+/**
+ * List the ammunition types, materials and grades the catalogs describe
+ */
+function logCatalogNames() {
+  let catalogs;
+  try {
+    catalogs = loadYamlData();
+  } catch (error) {
+    logError(`Could not load the catalogs: ${error.message}`);
+    return;
+  }
+
+  const names = (catalog) => Object.keys(catalog).filter(name => !name.startsWith('.'));
+  const materials = names(catalogs.weaponMaterials);
+  const grades = [...new Set(materials.flatMap(material => Object.keys(catalogs.weaponMaterials[material].grades)))];
+
+  logInfo('Available ammunition types:');
+  logInfo(`  ${names(catalogs.ammunitionTypes).join(', ')}`);
+  logInfo('');
+  logInfo('Available materials:');
+  logInfo(`  ${materials.join(', ')}`);
+  logInfo('');
+  logInfo('Available grades:');
+  logInfo(`  ${grades.join(', ')}`);
+}
+
 // Command line interface
 function main() {
   const args = process.argv.slice(2);
 
   if (args.length !== 4) {
-    logError('Usage: node build-ammo.mjs <ammunition-types> <materials> <grades> <output-file>');
+    logError('Usage: node build-ammo.mjs <ammunition-types> <materials> <grades> <output-file | source-dir>');
     logInfo('');
     logInfo('Arguments can be comma-separated to generate multiple items:');
     logInfo('  node build-ammo.mjs "Arrows,Crossbow Bolts" "Silver,Cold Iron" "High-Grade" ./output/ammunition.json');
@@ -494,14 +205,12 @@ function main() {
     logInfo('  node build-ammo.mjs "Arrows" "Silver" "High-Grade" ./output/silver-arrows.json');
     logInfo('  node build-ammo.mjs "Crossbow Bolts" "Cold Iron" "Standard-Grade" ./output/cold-iron-bolts.json');
     logInfo('');
-    logInfo('Available ammunition types:');
-    logInfo('  Arrows, Blowgun Darts, Crossbow Bolts, Sling Bullets, etc.');
-    logInfo('');
-    logInfo('Available materials:');
-    logInfo('  Cold Iron, Silver, Adamantine');
+    logInfo('Given a directory, such as src/packs/prishas-precious-projectiles, the items are');
+    logInfo('added to it (or updated) one file each, leaving the other documents alone.');
+    logInfo('Existing IDs and folders are looked up in the pack src/packs.yml marks');
+    logInfo('"ammunition: true".');
     logInfo('');
-    logInfo('Available grades:');
-    logInfo('  Low-Grade, Standard-Grade, High-Grade');
+    logCatalogNames();
     process.exit(1);
   }
 
@@ -544,4 +253,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { generateAmmunitionItem };
+export { generateMultipleAmmunitionItems };
@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { deriveFoundryId, generationTime } from './foundry-ids.mjs';
+import { capitalize, catalogEntries, formatPrice as formatCoins, materialAndGrade, MODULE_ID, toSlug } from './generator.mjs';
+import { linkDefinitions, markdownToHtml } from './markdown.mjs';
+import { loadPackRecords, savePackRecords } from './pack-source.mjs';
+import { packSourcePath } from './packs.mjs';
+import { loadCatalogs } from './validate-catalogs.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+// Blocks the Markdown can ask to have generated, each an HTML comment on a
+// line of its own so that the sources still read well on GitHub
+const DIRECTIVE = /^\s*<!--\s*([a-z-]+)(?::\s*(.*?))?\s*-->\s*$/;
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logStep(message) {
+  log(`📋 ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.cyan);
+}
+
+/**
+ * Split a journal entry's Markdown into its name and pages. The "# " heading
+ * names the entry and each "## " heading starts a page; anything between the
+ * two is a first page named after the entry.
+ * @param {string} markdown - The Markdown
+ * @param {string} file - The file it came from, for errors
+ * @returns {{name: string, pages: {name: string, slug: string, markdown: string}[]}}
+ */
+function parseJournalMarkdown(markdown, file) {
+  let name = null;
+  const pages = [];
+  let lines = [];
+  let pageName = null;
+  let inFence = false;
+
+  const endPage = () => {
+    const text = lines.join('\n').trim();
+    if (pageName !== null || text) {
+      const pageTitle = pageName ?? name;
+      pages.push({ name: pageTitle, slug: toSlug(pageTitle), markdown: text });
+    }
+    lines = [];
+  };
+
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    if (line.startsWith('```')) {
+      inFence = !inFence;
+    }
+
+    const heading = inFence ? null : line.match(/^(#{1,2})\s+(.*?)\s*$/);
+    if (heading?.[1] === '#') {
+      if (name !== null) {
+        throw new Error(`${file} has more than one "# " heading`);
+      }
+      name = heading[2];
+    } else if (heading?.[1] === '##') {
+      if (name === null) {
+        throw new Error(`${file} must start with a "# " heading naming the journal entry`);
+      }
+      endPage();
+      pageName = heading[2];
+    } else if (name !== null) {
+      lines.push(line);
+    } else if (line.trim() && !/^\s*<!--.*-->\s*$/.test(line)) {
+      throw new Error(`${file} must start with a "# " heading naming the journal entry`);
+    }
+  }
+  endPage();
+
+  if (name === null) {
+    throw new Error(`${file} must start with a "# " heading naming the journal entry`);
+  }
+  return { name, pages };
+}
+
+/**
+ * Format a Price as the rules write it, e.g. "40 gp" or "1 gp, 5 sp for 10",
+ * with the coins written as the purchase dialog writes them
+ * @param {Object} price - An item's system.price
+ * @returns {string} The Price
+ */
+function formatPrice(price = {}) {
+  const text = formatCoins(price.value ?? {});
+  return price.per > 1 ? `${text} for ${price.per}` : text;
+}
+
+/**
+ * Work out the material and grade of an item, naming the material as the
+ * catalog does rather than guessing the name from its slug
+ * @param {Object} item - An item record
+ * @param {Object} weaponMaterials - The materials catalog
+ * @returns {{material: string, grade: string}|null} Nothing if it is not
+ *   precious ammunition
+ */
+function itemMaterialAndGrade(item, weaponMaterials) {
+  return materialAndGrade(item, (slug) => {
+    const [material] = catalogEntries(weaponMaterials).find(([name, config]) =>
+      (config.slug ?? toSlug(name)) === slug
+    ) ?? [slug];
+    return material;
+  });
+}
+
+/**
+ * Index the items in the module's Item packs, for links and tables
+ * @param {string} rootDir - The repository root
+ * @param {Object} packs - The declarations from packs.yml, by name
+ * @returns {Object[]} { uuid, name, slug, level, price, record } for each
+ *   item, in pack order
+ */
+function indexItems(rootDir, packs) {
+  const items = [];
+
+  for (const [name, pack] of Object.entries(packs)) {
+    const sourcePath = packSourcePath(rootDir, name);
+    if (pack.type !== 'Item' || pack.markdown || !existsSync(sourcePath)) {
+      continue;
+    }
+
+    for (const record of loadPackRecords(sourcePath)) {
+      if (!record._metadata?.key?.startsWith('!items!')) {
+        continue;
+      }
+
+      items.push({
+        uuid: `Compendium.${MODULE_ID}.${name}.Item.${record._id}`,
+        name: record.name,
+        slug: record.system?.slug,
+        level: record.system?.level?.value ?? 0,
+        price: record.system?.price,
+        record
+      });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Write a table of the grades of every material, with the magic weapons
+ * ammunition of each can be used with
+ * @param {Object} weaponMaterials - The materials catalog
+ * @returns {string} Markdown
+ */
+function gradeTable(weaponMaterials) {
+  const rows = catalogEntries(weaponMaterials).flatMap(([material, config]) =>
+    Object.entries(config.grades).map(([grade, gradeConfig]) =>
+      `| ${material} | ${grade} | ${gradeConfig.level} | ${gradeConfig.limit ? capitalize(gradeConfig.limit) : 'Any'} |`
+    )
+  );
+
+  return ['| Material | Grade | Level | Magic weapons |', '| --- | --- | ---: | --- |', ...rows].join('\n');
+}
+
+/**
+ * Write a table of every item of precious ammunition, by material, with its
+ * grade, level and Price
+ * @param {Object[]} items - From indexItems
+ * @param {Object} weaponMaterials - The materials catalog
+ * @returns {string} Markdown
+ */
+function itemTable(items, weaponMaterials) {
+  const byMaterial = new Map(catalogEntries(weaponMaterials).map(([material]) => [material, []]));
+  for (const item of items) {
+    const details = itemMaterialAndGrade(item.record, weaponMaterials);
+    if (details) {
+      if (!byMaterial.has(details.material)) {
+        byMaterial.set(details.material, []);
+      }
+      byMaterial.get(details.material).push({ ...item, ...details });
+    }
+  }
+
+  const gradeOrder = (material, grade) => Object.keys(weaponMaterials[material]?.grades ?? {}).indexOf(grade);
+  const sections = [];
+  for (const [material, materialItems] of byMaterial) {
+    if (materialItems.length === 0) {
+      continue;
+    }
+
+    materialItems.sort((a, b) =>
+      gradeOrder(material, a.grade) - gradeOrder(material, b.grade) || a.level - b.level || a.name.localeCompare(b.name)
+    );
+    sections.push([
+      `### ${material}`,
+      '',
+      '| Item | Grade | Level | Price |',
+      '| --- | --- | ---: | ---: |',
+      ...materialItems.map((item) => `| [${item.name}](${item.uuid}) | ${item.grade} | ${item.level} | ${formatPrice(item.price)} |`)
+    ].join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Take a "## " section out of some Markdown, with the link definitions it
+ * needs
+ * @param {string} markdown - The Markdown, e.g. README.md
+ * @param {string} heading - The section's heading
+ * @param {string} file - The file it came from, for errors
+ * @returns {string} The section's Markdown, without its heading
+ */
+function markdownSection(markdown, heading, file) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const start = lines.findIndex((line) => line.replace(/^##\s+/, '').trim() === heading && line.startsWith('## '));
+  if (start === -1) {
+    throw new Error(`${file} has no "## ${heading}" section`);
+  }
+
+  const end = lines.findIndex((line, index) => index > start && /^#{1,2}\s/.test(line));
+  const section = lines.slice(start + 1, end === -1 ? undefined : end).join('\n').trim();
+  const definitions = [...linkDefinitions(markdown)]
+    .filter(([label]) => !linkDefinitions(section).has(label))
+    .map(([label, url]) => `[${label}]: ${url}`);
+  return [section, ...definitions].join('\n');
+}
+
+/**
+ * Build the records of a journal pack from its Markdown sources
+ *
+ * Each Markdown file in the pack's source directory becomes a journal entry,
+ * in file name order, with a text page for each "## " section. Besides
+ * ordinary links, the Markdown can link to:
+ *
+ *   [Silver Arrows](item:silver-arrows-low-grade)   an item, by slug
+ *   [Grades](journal:magic-weapons#grade-limits)    an entry (by file name)
+ *                                                   or one of its pages
+ *
+ * and have these generated in its place:
+ *
+ *   <!-- item-table -->              every item, by material, with its
+ *                                    grade, level and Price
+ *   <!-- grade-table -->             every material's grades, with their
+ *                                    levels and the magic weapons they suit
+ *   <!-- readme: Material types -->  a section of README.md
+ *
+ * @param {string} rootDir - The repository root
+ * @param {string} name - The pack's name
+ * @param {Object} [catalogs] - { packs, weaponMaterials }, loaded if not given
+ * @returns {Object[]} The journal entries and their pages, with `_metadata.key`
+ */
+function buildJournalRecords(rootDir, name, catalogs = loadCatalogs(rootDir)) {
+  const { packs, weaponMaterials } = catalogs;
+  const sourceDir = packSourcePath(rootDir, name);
+  if (!existsSync(sourceDir)) {
+    throw new Error(`Journal source directory does not exist: ${sourceDir}`);
+  }
+
+  const now = generationTime();
+  const stats = () => ({
+    compendiumSource: null,
+    duplicateSource: null,
+    coreVersion: '12.328',
+    systemId: 'pf2e',
+    systemVersion: '6.0.4',
+    createdTime: now,
+    modifiedTime: now,
+    lastModifiedBy: null
+  });
+
+  // Give every entry and page its ID before converting any, so that pages can
+  // link to pages later in the pack
+  const entries = readdirSync(sourceDir)
+    .filter((file) => file.endsWith('.md'))
+    .sort()
+    .map((file) => {
+      const stem = toSlug(file.replace(/\.md$/, '').replace(/^\d+-/, ''));
+      const { name: entryName, pages } = parseJournalMarkdown(readFileSync(join(sourceDir, file), 'utf8'), file);
+      const id = deriveFoundryId('JournalEntry', `${name}/${stem}`);
+      return {
+        file,
+        stem,
+        id,
+        name: entryName,
+        pages: pages.map((page) => ({ ...page, id: deriveFoundryId('JournalEntryPage', `${name}/${stem}/${page.slug}`) }))
+      };
+    });
+
+  const items = indexItems(rootDir, packs);
+  const itemsBySlug = new Map(items.filter((item) => item.slug).map((item) => [item.slug, item]));
+  const readme = existsSync(join(rootDir, 'README.md')) ? readFileSync(join(rootDir, 'README.md'), 'utf8') : '';
+
+  const expand = (markdown, file) => markdown.split('\n').map((line) => {
+    const match = line.match(DIRECTIVE);
+    switch (match?.[1]) {
+      case 'item-table':
+        return itemTable(items, weaponMaterials);
+      case 'grade-table':
+        return gradeTable(weaponMaterials);
+      case 'readme':
+        return markdownSection(readme, match[2] ?? '', 'README.md');
+      case undefined:
+        return line;
+      default:
+        throw new Error(`${file} asks for an unknown block: ${match[1]}`);
+    }
+  }).join('\n');
+
+  const resolveLink = (file) => (href, label) => {
+    const [scheme, target] = href.split(/:(.*)/s);
+    const text = label.replace(/[*_`]/g, '');
+
+    // Generated tables link by UUID
+    if (href.startsWith('Compendium.')) {
+      return `@UUID[${href}]{${text}}`;
+    }
+
+    if (scheme === 'item') {
+      const item = itemsBySlug.get(target);
+      if (!item) {
+        throw new Error(`${file} links to an item that is not in the module's packs: ${target}`);
+      }
+      return `@UUID[${item.uuid}]{${text}}`;
+    }
+
+    if (scheme === 'journal') {
+      const [entryStem, pageSlug] = target.split('#');
+      const entry = entries.find((candidate) => candidate.stem === entryStem);
+      const page = pageSlug ? entry?.pages.find((candidate) => candidate.slug === pageSlug) : null;
+      if (!entry || (pageSlug && !page)) {
+        throw new Error(`${file} links to a journal page that does not exist: ${target}`);
+      }
+      const uuid = `Compendium.${MODULE_ID}.${name}.JournalEntry.${entry.id}`;
+      return `@UUID[${page ? `${uuid}.JournalEntryPage.${page.id}` : uuid}]{${text}}`;
+    }
+
+    return null;
+  };
+
+  const records = [];
+  entries.forEach((entry, entryIndex) => {
+    records.push({
+      name: entry.name,
+      pages: entry.pages.map((page) => page.id),
+      folder: null,
+      sort: (entryIndex + 1) * 100000,
+      ownership: { default: 0 },
+      flags: { [MODULE_ID]: { generated: true } },
+      _stats: stats(),
+      _id: entry.id,
+      _metadata: { key: `!journal!${entry.id}` }
+    });
+
+    entry.pages.forEach((page, pageIndex) => {
+      records.push({
+        name: page.name,
+        type: 'text',
+        title: { show: true, level: 1 },
+        text: {
+          content: markdownToHtml(expand(page.markdown, entry.file), { resolveLink: resolveLink(entry.file) }),
+          format: 1
+        },
+        sort: (pageIndex + 1) * 100000,
+        ownership: { default: -1 },
+        flags: {},
+        _stats: stats(),
+        _id: page.id,
+        _metadata: { key: `!journal.pages!${entry.id}.${page.id}` }
+      });
+    });
+  });
+
+  return records;
+}
+
+// Command line interface
+function main() {
+  const args = process.argv.slice(2);
+  const rootDir = join(__dirname, '..');
+
+  if (args.length > 2 || args.some(arg => arg.startsWith('--'))) {
+    logError('Usage: node build-journal.mjs [pack] [output-file | source-dir]');
+    logInfo('');
+    logInfo('Builds a journal pack declared in src/packs.yml with "markdown: true" from');
+    logInfo('the Markdown files in src/packs/<pack>, checking every link, and writes its');
+    logInfo('records to the output if one is given. The build does the same on its way to');
+    logInfo('packing the journal. The pack defaults to the first journal pack.');
+    process.exit(1);
+  }
+
+  try {
+    const catalogs = loadCatalogs(rootDir);
+    const name = args[0] ?? Object.keys(catalogs.packs).find((packName) => catalogs.packs[packName].markdown);
+    if (!catalogs.packs[name]?.markdown) {
+      throw new Error(`${name ?? 'No pack'} is not a journal pack built from Markdown`);
+    }
+
+    logStep(`Building the ${name} journal...`);
+    const records = buildJournalRecords(rootDir, name, catalogs);
+    const entries = records.filter((record) => record._metadata.key.startsWith('!journal!'));
+    logSuccess(`Built ${entries.length} journal entries with ${records.length - entries.length} pages`);
+
+    if (args[1]) {
+      savePackRecords(records, resolve(process.cwd(), args[1]));
+      logInfo(`Output: ${args[1]}`);
+    }
+  } catch (error) {
+    logError(`Journal build failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { parseJournalMarkdown, formatPrice, buildJournalRecords };
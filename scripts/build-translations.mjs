@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { buildCombinations } from './generate-compendium.mjs';
+import { MODULE_ID, ammunitionName, buildAmmunitionItem } from './generator.mjs';
+import { loadPackRecords } from './pack-source.mjs';
+import { packSourcePath } from './packs.mjs';
+import { loadReferences } from './update-pf2e-references.mjs';
+import { loadCatalogs, TEMPLATE_FIELDS } from './validate-catalogs.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+// The key the module's strings sit under in lang/<lang>.json
+const I18N_NAMESPACE = 'PRISHAS_PRECIOUS_PROJECTILES';
+
+// The language the catalogs and packs are written in
+const SOURCE_LANGUAGE = 'en';
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logStep(message) {
+  log(`📋 ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.cyan);
+}
+
+/**
+ * Take the translation of the catalogs out of a language file, as the
+ * generator's localizeEntries expects it
+ * @param {Object} language - A parsed src/lang/<lang>.yml
+ * @returns {Object} { ammunition_types, weapon_materials, grades, labels,
+ *   weapons }, with only the parts the language has
+ */
+function catalogTranslation(language) {
+  const translation = {};
+  for (const part of ['ammunition_types', 'weapon_materials', 'grades', 'labels', 'weapons']) {
+    if (language[part] && Object.keys(language[part]).length > 0) {
+      translation[part] = language[part];
+    }
+  }
+  return translation;
+}
+
+/**
+ * Write a language's lang/<lang>.json: its strings, and the names of the
+ * materials and grades it translates, for the dialogs to show
+ * @param {Object} language - A parsed src/lang/<lang>.yml
+ * @returns {Object} The file's contents
+ */
+function languageStrings(language) {
+  const strings = { ...language.strings };
+
+  const names = (translations = {}) => Object.fromEntries(
+    Object.entries(translations)
+      .filter(([, translation]) => translation.name)
+      .map(([name, translation]) => [name, translation.name])
+  );
+  const materials = names(language.weapon_materials);
+  const grades = names(language.grades);
+
+  if (Object.keys(materials).length > 0) {
+    strings.Materials = { ...strings.Materials, ...materials };
+  }
+  if (Object.keys(grades).length > 0) {
+    strings.Grades = { ...strings.Grades, ...grades };
+  }
+
+  return { [I18N_NAMESPACE]: strings };
+}
+
+/**
+ * Write the "languages" list of module.json
+ * @param {Object} languages - The parsed language files, by language code
+ * @returns {Object[]} The manifest entries, English first
+ */
+function manifestLanguages(languages) {
+  return Object.keys(languages)
+    .sort((a, b) => (b === SOURCE_LANGUAGE) - (a === SOURCE_LANGUAGE) || a.localeCompare(b))
+    .map((lang) => ({ lang, name: languages[lang].name, path: `lang/${lang}.json` }));
+}
+
+/**
+ * Translate an Item pack for Babele: its label, the folders the catalogs
+ * name and the name and description of every item the catalogs describe,
+ * matched by slug and generated in the language. Items the catalogs do not
+ * describe are left for Babele to show as they are.
+ * @param {string} rootDir - The repository root
+ * @param {string} name - The pack's name
+ * @param {Object} language - A parsed src/lang/<lang>.yml
+ * @param {Object} catalogs - { ammunitionTypes, weaponMaterials, packs }
+ * @returns {Object|null} The Babele translation, or null if the language
+ *   translates nothing in the pack
+ */
+function babeleTranslation(rootDir, name, language, catalogs) {
+  const { ammunitionTypes, weaponMaterials, packs } = catalogs;
+  const translation = catalogTranslation(language);
+  const references = loadReferences(rootDir);
+
+  const combinations = new Map();
+  for (const { ammunition, material, grade } of buildCombinations(ammunitionTypes, weaponMaterials).combinations) {
+    const combination = {
+      ammunitionType: ammunition,
+      ammoConfig: ammunitionTypes[ammunition],
+      material,
+      materialConfig: weaponMaterials[material],
+      grade,
+      gradeConfig: weaponMaterials[material].grades[grade],
+      knownFields: TEMPLATE_FIELDS,
+      references
+    };
+    combinations.set(ammunitionName(combination).slug, combination);
+  }
+
+  const folderNames = new Map(Object.entries(ammunitionTypes)
+    .filter(([type, config]) => config.folder && translation.ammunition_types?.[type]?.folder)
+    .map(([type, config]) => [config.folder, translation.ammunition_types[type].folder]));
+
+  const entries = {};
+  const folders = {};
+  for (const record of loadPackRecords(packSourcePath(rootDir, name))) {
+    const key = record._metadata?.key ?? '';
+
+    if (key.startsWith('!folders!') && folderNames.has(record.name)) {
+      folders[record.name] = folderNames.get(record.name);
+      continue;
+    }
+
+    const combination = key.startsWith('!items!') && combinations.get(record.system?.slug);
+    if (!combination) {
+      continue;
+    }
+
+    const placement = { id: record._id, folderId: null, now: 0 };
+    const english = buildAmmunitionItem(combination, placement);
+    const translated = buildAmmunitionItem({ ...combination, translation }, placement);
+    if (translated.name !== english.name || translated.system.description.value !== english.system.description.value) {
+      entries[record.name] = { name: translated.name, description: translated.system.description.value };
+    }
+  }
+
+  const label = language.packs?.[name];
+  if (!label && Object.keys(entries).length === 0 && Object.keys(folders).length === 0) {
+    return null;
+  }
+
+  return {
+    label: label ?? packs[name].label,
+    mapping: { description: 'system.description.value' },
+    folders,
+    entries
+  };
+}
+
+/**
+ * Write lang/<lang>.json for every language, and Babele translations of the
+ * Item packs for every language but English
+ * @param {string} rootDir - The repository root
+ * @param {string} outputDir - Where to write lang/ and babele/
+ * @param {Object} [catalogs] - As from loadCatalogs, loaded if not given
+ * @returns {string[]} The files written, relative to outputDir
+ */
+function buildTranslations(rootDir, outputDir, catalogs = loadCatalogs(rootDir)) {
+  const { languages, packs } = catalogs;
+  const written = [];
+  const write = (file, data) => {
+    mkdirSync(join(outputDir, file, '..'), { recursive: true });
+    writeFileSync(join(outputDir, file), JSON.stringify(data, null, 2) + '\n', 'utf8');
+    written.push(file);
+  };
+
+  for (const [lang, language] of Object.entries(languages)) {
+    write(`lang/${lang}.json`, languageStrings(language));
+    if (lang === SOURCE_LANGUAGE) {
+      continue;
+    }
+
+    for (const [name, pack] of Object.entries(packs)) {
+      if (pack.type !== 'Item' || !existsSync(packSourcePath(rootDir, name))) {
+        continue;
+      }
+      const babele = babeleTranslation(rootDir, name, language, catalogs);
+      if (babele) {
+        write(`babele/${lang}/${MODULE_ID}.${name}.json`, babele);
+      }
+    }
+  }
+
+  return written;
+}
+
+// Command line interface
+function main() {
+  const args = process.argv.slice(2);
+  const rootDir = join(__dirname, '..');
+
+  if (args.length > 1 || args.some(arg => arg.startsWith('--'))) {
+    logError('Usage: node build-translations.mjs [output-dir]');
+    logInfo('');
+    logInfo('Writes lang/<lang>.json for each language in src/lang, and Babele');
+    logInfo('translations of the ammunition packs to babele/<lang>, as the build does.');
+    logInfo('The output directory defaults to dist.');
+    process.exit(1);
+  }
+
+  const outputDir = resolve(process.cwd(), args[0] ?? join(rootDir, 'dist'));
+
+  try {
+    logStep('Building translations...');
+    const written = buildTranslations(rootDir, outputDir);
+    for (const file of written) {
+      logInfo(file);
+    }
+    logSuccess(`Wrote ${written.length} translation file${written.length === 1 ? '' : 's'} to ${outputDir}`);
+  } catch (error) {
+    logError(`Translation build failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { I18N_NAMESPACE, catalogTranslation, languageStrings, manifestLanguages, babeleTranslation, buildTranslations };
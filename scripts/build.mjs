@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 
 import { execSync } from 'child_process';
-import { rmSync, mkdirSync, copyFileSync, readdirSync, statSync } from 'fs';
+import { rmSync, mkdirSync, copyFileSync, readFileSync, readdirSync, statSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { buildJournalRecords } from './build-journal.mjs';
+import { buildTranslations, catalogTranslation, manifestLanguages } from './build-translations.mjs';
 import { packLevelDB } from './pack-compendium.mjs';
+import { manifestPacks, packSourcePath } from './packs.mjs';
+import { loadCatalogs, TEMPLATE_FIELDS } from './validate-catalogs.mjs';
+import { loadReferences } from './update-pf2e-references.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = join(__filename, '..');
@@ -41,6 +47,10 @@ function logInfo(message) {
   log(`ℹ️  ${message}`, colors.cyan);
 }
 
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
 async function build() {
   try {
     logStep('Starting build process...');
@@ -78,9 +88,26 @@ async function build() {
       throw error;
     }
 
-    // Step 4: Copy additional files
-    logStep('Copying additional files...');
+    // Step 4: Write the packs declared in src/packs.yml and the languages in
+    // src/lang into module.json, then copy it and the other files
     const rootDir = join(__dirname, '..');
+    const { packs, languages, ...catalogs } = loadCatalogs(rootDir);
+
+    logStep('Updating the packs and languages in module.json...');
+    const manifestPath = join(rootDir, 'module.json');
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    const packEntries = manifestPacks(packs);
+    const languageEntries = manifestLanguages(languages);
+    if (isDeepStrictEqual(manifest.packs, packEntries) && isDeepStrictEqual(manifest.languages, languageEntries)) {
+      logInfo('module.json already lists every pack and language');
+    } else {
+      manifest.packs = packEntries;
+      manifest.languages = languageEntries;
+      writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+      logSuccess(`Wrote ${packEntries.length} pack${packEntries.length === 1 ? '' : 's'} and ${languageEntries.length} language${languageEntries.length === 1 ? '' : 's'} to module.json`);
+    }
+
+    logStep('Copying additional files...');
     const filesToCopy = ['module.json', 'README.md', 'LICENSE'];
 
     for (const file of filesToCopy) {
@@ -95,24 +122,44 @@ async function build() {
       }
     }
 
-    // Step 5: Pack JSON source into LevelDB
-    logStep('Packing compendium from JSON source...');
-    const srcJsonPath = join(rootDir, 'src', 'packs', 'prishas-precious-projectiles.json');
-    const distPacksPath = join(distPath, 'packs');
-    const distCompendiumPath = join(distPacksPath, 'prishas-precious-projectiles');
+    // Step 5: Write the catalogs for generating ammunition at runtime, with
+    // their translations so that it can be generated in the user's language
+    logStep('Writing ammunition catalogs...');
+    const catalog = {
+      ...catalogs,
+      templateFields: TEMPLATE_FIELDS,
+      references: loadReferences(rootDir),
+      translations: Object.fromEntries(Object.entries(languages)
+        .map(([lang, language]) => [lang, catalogTranslation(language)])
+        .filter(([, translation]) => Object.keys(translation).length > 0))
+    };
+    writeFileSync(join(distPath, 'catalog.json'), JSON.stringify(catalog), 'utf8');
+    logSuccess('Wrote catalog.json');
 
-    if (statSync(srcJsonPath, { throwIfNoEntry: false })) {
-      // Create packs directory
-      mkdirSync(distPacksPath, { recursive: true });
+    logStep('Writing translations...');
+    const translationFiles = buildTranslations(rootDir, distPath, { packs, languages, ...catalogs });
+    logSuccess(`Wrote ${translationFiles.length} translation file${translationFiles.length === 1 ? '' : 's'}`);
 
-      // Pack the JSON source into LevelDB
-      await packLevelDB(srcJsonPath, distCompendiumPath);
-      logSuccess('Compendium packed from JSON source');
-    } else {
-      logInfo('No JSON source found for compendium packing');
+    // Step 6: Pack each pack's source, one file per document, into LevelDB
+    logStep('Packing compendiums from source...');
+    const distPacksPath = join(distPath, 'packs');
+    mkdirSync(distPacksPath, { recursive: true });
+
+    for (const [name, pack] of Object.entries(packs)) {
+      const sourcePath = packSourcePath(rootDir, name);
+      if (!statSync(sourcePath, { throwIfNoEntry: false })) {
+        logWarning(`No source for the ${name} pack in ${sourcePath}`);
+      } else if (pack.markdown) {
+        // Journal packs are written in Markdown (see build-journal.mjs)
+        await packLevelDB(buildJournalRecords(rootDir, name, { packs, languages, ...catalogs }), join(distPacksPath, name));
+        logSuccess(`Packed ${name} from Markdown`);
+      } else {
+        await packLevelDB(sourcePath, join(distPacksPath, name));
+        logSuccess(`Packed ${name} from source`);
+      }
     }
 
-    // Step 6: Display build summary
+    // Step 7: Display build summary
     logStep('Build complete! Contents of dist directory:');
     const displayDirectoryContents = (dir, indent = '  ') => {
       const entries = readdirSync(dir, { withFileTypes: true });
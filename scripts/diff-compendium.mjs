@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+import { execFileSync } from 'child_process';
+import { statSync } from 'fs';
+import { join, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { loadPackRecords } from './pack-source.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+const ROOT_DIR = join(__dirname, '..');
+const PACK_PATH = 'src/packs/prishas-precious-projectiles';
+
+// Where the pack's source was before it was split into a file per document
+const LEGACY_PACK_PATH = 'src/packs/prishas-precious-projectiles.json';
+
+// Enough for every version of the pack we are likely to compare
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+// Fields that change without the document changing
+const IGNORED_PATHS = ['_metadata', '_stats.createdTime', '_stats.modifiedTime'];
+
+// Fields whose changes matter most to players
+const IMPORTANT_PATHS = ['system.price', 'system.level', 'system.rules', 'system.traits'];
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logStep(message) {
+  log(`📋 ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.cyan);
+}
+
+/**
+ * Run git in the repository
+ * @param {string[]} args - Its arguments
+ * @param {string} [input] - Its standard input
+ * @returns {Buffer} Its output
+ */
+function git(args, input) {
+  return execFileSync('git', args, { cwd: ROOT_DIR, input, maxBuffer: MAX_BUFFER, stdio: ['pipe', 'pipe', 'pipe'] });
+}
+
+/**
+ * Read the pack records in a JSON file's content
+ * @param {string} json - An array of records, or an object with a "records" array
+ * @returns {Object[]} The records
+ */
+function parseRecords(json) {
+  const data = JSON.parse(json);
+  return Array.isArray(data) ? data : data.records;
+}
+
+/**
+ * Read a version of the pack from git
+ * @param {string} ref - A git ref
+ * @param {string} path - A source directory (one file per document) or a
+ *   JSON file at that ref
+ * @returns {Object[]} The pack's records
+ */
+function readGitVersion(ref, path) {
+  const object = `${ref}:${path}`;
+  if (git(['cat-file', '-t', object]).toString().trim() === 'blob') {
+    return parseRecords(git(['show', object]).toString());
+  }
+
+  const files = git(['ls-tree', '-r', '--name-only', ref, '--', `${path}/`])
+    .toString()
+    .split('\n')
+    .filter((file) => file.endsWith('.json'));
+  if (files.length === 0) {
+    throw new Error(`${object} has no pack source files`);
+  }
+
+  // Read every file in one go: each comes back as "<sha> blob <size>\n<content>\n"
+  const output = git(['cat-file', '--batch'], files.map((file) => `${ref}:${file}\n`).join(''));
+  const records = [];
+  let offset = 0;
+  for (const file of files) {
+    const headerEnd = output.indexOf(0x0a, offset);
+    const size = Number(output.toString('utf8', offset, headerEnd).split(' ')[2]);
+    if (!Number.isInteger(size)) {
+      throw new Error(`Cannot read ${ref}:${file}`);
+    }
+    records.push(JSON.parse(output.toString('utf8', headerEnd + 1, headerEnd + 1 + size)));
+    offset = headerEnd + 1 + size + 1;
+  }
+  return records;
+}
+
+/**
+ * Read a version of the pack
+ * @param {string} version - A source directory or JSON file, a git ref (for
+ *   the pack at that revision) or "<ref>:<path>"
+ * @returns {Object[]} The pack's records
+ */
+function readVersion(version) {
+  const path = resolve(process.cwd(), version);
+  if (statSync(path, { throwIfNoEntry: false })) {
+    return loadPackRecords(path);
+  }
+
+  try {
+    if (version.includes(':')) {
+      const separator = version.indexOf(':');
+      return readGitVersion(version.slice(0, separator), version.slice(separator + 1));
+    }
+
+    // Revisions from before the pack was split keep it in a single file
+    try {
+      return readGitVersion(version, PACK_PATH);
+    } catch {
+      return readGitVersion(version, LEGACY_PACK_PATH);
+    }
+  } catch (error) {
+    throw new Error(`Cannot read ${version} as a file or from git: ${error.stderr?.toString().trim() || error.message}`);
+  }
+}
+
+/**
+ * Identify a record across versions
+ * @param {Object} record - A record from pack JSON
+ * @returns {string} Its pack key, or its _id
+ */
+function recordKey(record) {
+  return record._metadata?.key ?? record._id;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIgnored(path) {
+  return IGNORED_PATHS.some((ignored) => path === ignored || path.startsWith(`${ignored}.`));
+}
+
+function isImportant(path) {
+  return IMPORTANT_PATHS.some((important) => path === important || path.startsWith(`${important}.`));
+}
+
+/**
+ * List the fields that differ between two values, ignoring key order
+ * @param {*} before - The old value
+ * @param {*} after - The new value
+ * @param {string} path - The dotted path of the values
+ * @param {Object[]} changes - Changes found so far, added to
+ * @returns {Object[]} The changes: { path, before, after, important }
+ */
+function diffValues(before, after, path = '', changes = []) {
+  if (path && isIgnored(path)) {
+    return changes;
+  }
+
+  const child = (key) => (path ? `${path}.${key}` : String(key));
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const key of keys) {
+      diffValues(before[key], after[key], child(key), changes);
+    }
+    return changes;
+  }
+
+  // Lists of documents or rule elements are compared entry by entry; lists of
+  // values such as traits are compared whole
+  const listOfObjects = (value) => Array.isArray(value) && value.some((entry) => entry !== null && typeof entry === 'object');
+  if (Array.isArray(before) && Array.isArray(after) && (listOfObjects(before) || listOfObjects(after))) {
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      diffValues(before[index], after[index], child(index), changes);
+    }
+    return changes;
+  }
+
+  if (!isDeepStrictEqual(before, after)) {
+    changes.push({ path, before, after, important: isImportant(path) });
+  }
+  return changes;
+}
+
+/**
+ * Compare two versions of the pack
+ * @param {Object[]} oldRecords - The records before
+ * @param {Object[]} newRecords - The records after
+ * @returns {Object} { added, removed, renamed, changed }: added and removed
+ *   are { key, name }; renamed is { key, from, to }; changed is
+ *   { key, name, changes }, sorted by name
+ */
+function diffCompendia(oldRecords, newRecords) {
+  const oldByKey = new Map(oldRecords.map((record) => [recordKey(record), record]));
+  const newByKey = new Map(newRecords.map((record) => [recordKey(record), record]));
+  const byName = (a, b) => (a.name ?? a.to ?? '').localeCompare(b.name ?? b.to ?? '');
+
+  const added = [];
+  const removed = [];
+  const renamed = [];
+  const changed = [];
+
+  for (const [key, record] of newByKey) {
+    if (!oldByKey.has(key)) {
+      added.push({ key, name: record.name });
+    }
+  }
+
+  for (const [key, before] of oldByKey) {
+    const after = newByKey.get(key);
+    if (!after) {
+      removed.push({ key, name: before.name });
+      continue;
+    }
+
+    if (before.name !== after.name) {
+      renamed.push({ key, from: before.name, to: after.name });
+    }
+
+    const changes = diffValues(before, after).filter((change) => change.path !== 'name');
+    if (changes.length > 0) {
+      changed.push({ key, name: after.name, changes });
+    }
+  }
+
+  return {
+    added: added.sort(byName),
+    removed: removed.sort(byName),
+    renamed: renamed.sort(byName),
+    changed: changed.sort(byName)
+  };
+}
+
+/**
+ * Show a value briefly
+ * @param {*} value - Any JSON value
+ * @returns {string} The value as JSON, shortened if it is long
+ */
+function formatValue(value) {
+  if (value === undefined) {
+    return '(none)';
+  }
+  const json = JSON.stringify(value);
+  return json.length > 80 ? `${json.slice(0, 77)}...` : json;
+}
+
+/**
+ * Print a comparison made by diffCompendia
+ * @param {Object} diff - The comparison
+ */
+function printDiff({ added, removed, renamed, changed }) {
+  if (added.length + removed.length + renamed.length + changed.length === 0) {
+    logSuccess('No changes');
+    return;
+  }
+
+  if (added.length > 0) {
+    logStep(`Added (${added.length})`);
+    for (const { key, name } of added) {
+      log(`  + ${name} (${key})`, colors.green);
+    }
+  }
+
+  if (removed.length > 0) {
+    logStep(`Removed (${removed.length})`);
+    for (const { key, name } of removed) {
+      log(`  - ${name} (${key})`, colors.red);
+    }
+  }
+
+  if (renamed.length > 0) {
+    logStep(`Renamed (${renamed.length})`);
+    for (const { from, to } of renamed) {
+      log(`  ${from} → ${to}`);
+    }
+  }
+
+  if (changed.length > 0) {
+    logStep(`Changed (${changed.length})`);
+    for (const { name, changes } of changed) {
+      log(`  ${name}`, colors.bright);
+      for (const { path, before, after, important } of changes) {
+        const line = `    ${important ? '!' : ' '} ${path}: ${formatValue(before)} → ${formatValue(after)}`;
+        log(line, important ? colors.yellow : colors.reset);
+      }
+    }
+  }
+
+  const important = changed.filter(({ changes }) => changes.some((change) => change.important)).length;
+  log('');
+  logInfo(`${added.length} added, ${removed.length} removed, ${renamed.length} renamed, ${changed.length} changed`);
+  if (important > 0) {
+    logInfo(`${important} with changes to Price, level, rules or traits (marked !)`);
+  }
+}
+
+// Command line interface
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length > 2 || args.includes('--help')) {
+    logError('Usage: node diff-compendium.mjs [old] [new]');
+    logInfo('');
+    logInfo('Each version is a source directory or JSON file, a git ref or <ref>:<path>.');
+    logInfo(`Without arguments, compares ${PACK_PATH} at HEAD with the working`);
+    logInfo('copy; with one, compares that version with the working copy. Revisions from');
+    logInfo(`before the pack was split into a file per document are read from ${LEGACY_PACK_PATH}.`);
+    logInfo('');
+    logInfo('Examples:');
+    logInfo('  node diff-compendium.mjs');
+    logInfo('  node diff-compendium.mjs main');
+    logInfo('  node diff-compendium.mjs v1.2.0 HEAD');
+    logInfo('  node diff-compendium.mjs old.json new.json');
+    logInfo('');
+    logInfo('Reports items added, removed and renamed, and the fields that changed,');
+    logInfo('ignoring timestamps and key order. Changes to Price, level, rules and');
+    logInfo('traits are marked with !.');
+    process.exit(1);
+  }
+
+  const [oldVersion = 'HEAD', newVersion = relative(process.cwd(), join(ROOT_DIR, PACK_PATH))] = args;
+
+  try {
+    logStep(`Comparing ${oldVersion} with ${newVersion}`);
+    printDiff(diffCompendia(readVersion(oldVersion), readVersion(newVersion)));
+  } catch (error) {
+    logError(error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { readVersion, diffValues, diffCompendia, printDiff };
@@ -3,7 +3,8 @@
 import { writeFileSync, mkdirSync, statSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { ClassicLevel } from 'classic-level';
+import { readLevelDB } from './leveldb-records.mjs';
+import { writePackSource } from './pack-source.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -47,11 +48,10 @@ function logWarning(message) {
 /**
  * Extract all records from a LevelDB database
  * @param {string} dbPath - Path to the LevelDB database directory
- * @param {string} outputPath - Path to the output JSON file
+ * @param {string} outputPath - Path to the output: a source directory, written
+ *   one file per document, or a JSON file if it ends in .json
  */
 async function extractLevelDB(dbPath, outputPath) {
-  let db = null;
-
   try {
     logStep('Starting LevelDB extraction...');
 
@@ -72,81 +72,36 @@ async function extractLevelDB(dbPath, outputPath) {
       throw new Error(`Path does not appear to be a LevelDB database. Expected MANIFEST-* or *.ldb files, but found: ${files.join(', ')}`);
     }
 
-    // Open the LevelDB database
-    db = new ClassicLevel(dbPath, { valueEncoding: 'json' });
-
     logStep('Reading all records from LevelDB...');
 
-    // Extract all records
-    const records = [];
-    const errors = [];
-    let recordCount = 0;
-    let totalKeys = 0;
-
-    // Use a proper iterator approach
-    const iterator = db.iterator();
-
-    try {
-      for await (const [key, value] of iterator) {
-        totalKeys++;
-
-        try {
-          // Skip only truly internal LevelDB keys, but include !items! and !folders! keys
-          if (key.startsWith('_') || key === 'CURRENT' || key === 'LOCK' || key === 'LOG') {
-            logInfo(`Skipping internal key: ${key}`);
-            continue;
-          }
-
-          logInfo(`Processing key: ${key}`);
-
-          // Add metadata about the record
-          const record = {
-            ...value,
-            _metadata: {
-              key: key
-            }
-          };
-
-          records.push(record);
-          recordCount++;
-
-          if (recordCount % 10 === 0) {
-            logInfo(`Extracted ${recordCount} records...`);
-          }
-
-        } catch (error) {
-          logError(`Error processing record ${key}: ${error.message}`);
-          errors.push(`Error processing ${key}: ${error.message}`);
-        }
-      }
-    } finally {
-      // Close the iterator
-      await iterator.close();
-    }
+    // Read every document, including embedded documents and those in other
+    // collections, keeping each key in the record's _metadata
+    const records = await readLevelDB(dbPath);
 
-    logInfo(`Total keys found: ${totalKeys}`);
-    logSuccess(`Extracted ${recordCount} records from LevelDB`);
+    logSuccess(`Extracted ${records.length} records from LevelDB`);
 
-    // Create output directory if it doesn't exist
-    const outputDir = dirname(outputPath);
-    if (!statSync(outputDir, { throwIfNoEntry: false })) {
-      mkdirSync(outputDir, { recursive: true });
-      logInfo(`Created output directory: ${outputDir}`);
-    }
+    if (outputPath.endsWith('.json')) {
+      // Create output directory if it doesn't exist
+      const outputDir = dirname(outputPath);
+      if (!statSync(outputDir, { throwIfNoEntry: false })) {
+        mkdirSync(outputDir, { recursive: true });
+        logInfo(`Created output directory: ${outputDir}`);
+      }
 
-    // Write the records array directly
-    logStep('Writing output file...');
-    writeFileSync(outputPath, JSON.stringify(records, null, 2), 'utf8');
+      // Write the records array directly
+      logStep('Writing output file...');
+      writeFileSync(outputPath, JSON.stringify(records, null, 2), 'utf8');
+    } else {
+      // Write a file per document, removing those of documents no longer there
+      logStep('Writing source files...');
+      const { written, deleted } = writePackSource(records, outputPath);
+      logInfo(`Wrote ${written.length} files, deleted ${deleted.length}`);
+    }
 
     logSuccess(`Extraction completed successfully!`);
-    logInfo(`Output file: ${outputPath}`);
+    logInfo(`Output: ${outputPath}`);
     logInfo(`Total records extracted: ${records.length}`);
 
-    if (errors.length > 0) {
-      logWarning(`${errors.length} errors encountered during extraction`);
-      logInfo('Check the console output for error details');
-    }
-
     // Display some statistics
     if (records.length > 0) {
       logStep('Record statistics:');
@@ -179,15 +134,6 @@ async function extractLevelDB(dbPath, outputPath) {
   } catch (error) {
     logError(`Extraction failed: ${error.message}`);
     process.exit(1);
-  } finally {
-    // Always close the database
-    if (db) {
-      try {
-        await db.close();
-      } catch (error) {
-        logWarning(`Error closing database: ${error.message}`);
-      }
-    }
   }
 }
 
@@ -196,16 +142,18 @@ function main() {
   const args = process.argv.slice(2);
 
   if (args.length !== 2) {
-    logError('Usage: node extract-compendium.mjs <leveldb-path> <output-file>');
+    logError('Usage: node extract-compendium.mjs <leveldb-path> <output-dir | output-file.json>');
     logInfo('');
     logInfo('Examples:');
+    logInfo('  node extract-compendium.mjs ./dist/packs/prishas-precious-projectiles ./src/packs/prishas-precious-projectiles');
     logInfo('  node extract-compendium.mjs ./dist/packs/prishas-precious-projectiles ./analysis/ammunition.json');
     logInfo('  node extract-compendium.mjs ./foundry-server/data/Data/packs/pf2e.equipment-srd ./analysis/equipment.json');
     logInfo('');
     logInfo('The script will:');
     logInfo('  1. Open the LevelDB database from the specified path');
-    logInfo('  2. Extract all records into a JSON array');
-    logInfo('  3. Save the array to the output JSON file');
+    logInfo('  2. Extract all records, with their keys');
+    logInfo('  3. Save them one file per document in the output directory, removing');
+    logInfo('     files of documents that are gone, or as an array to a .json file');
     logInfo('  4. Create the output directory if it doesn\'t exist');
     process.exit(1);
   }
@@ -0,0 +1,81 @@
+/**
+ * Deterministic Foundry VTT document IDs and timestamps
+ *
+ * Foundry IDs are 16 alphanumeric characters. Rather than generating them at
+ * random, we derive them from a stable key (an item's slug or a folder's
+ * name) so that everyone who generates the same document gets the same ID,
+ * and links to it by UUID keep working.
+ */
+
+import { createHash } from 'crypto';
+import { MODULE_ID } from './generator.mjs';
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const ID_LENGTH = 16;
+
+/**
+ * Derive a Foundry-style ID from a document type and a stable key
+ * @param {string} documentName - The document type, e.g. "Item" or "Folder"
+ * @param {string} key - The stable key, e.g. an item slug or a folder name
+ * @returns {string} A 16 character alphanumeric ID
+ */
+function deriveFoundryId(documentName, key) {
+  if (!key) {
+    throw new Error(`Cannot derive a ${documentName} ID without a key`);
+  }
+
+  const bytes = createHash('sha256')
+    .update(`${MODULE_ID}.${documentName}.${key}`)
+    .digest();
+  let result = '';
+
+  for (let i = 0; i < ID_LENGTH; i++) {
+    result += ID_CHARS[bytes[i] % ID_CHARS.length];
+  }
+
+  return result;
+}
+
+/**
+ * Derive an ID and check it does not clash with an ID already in use by a
+ * different document
+ * @param {string} documentName - The document type, e.g. "Item" or "Folder"
+ * @param {string} key - The stable key, e.g. an item slug or a folder name
+ * @param {Map<string, string>[]} idMaps - Maps of key to ID for documents already in the pack
+ * @returns {string} A 16 character alphanumeric ID
+ */
+function deriveUniqueFoundryId(documentName, key, idMaps) {
+  const id = deriveFoundryId(documentName, key);
+
+  for (const idMap of idMaps) {
+    for (const [existingKey, existingId] of idMap) {
+      if (existingId === id && existingKey !== key) {
+        throw new Error(`ID collision: ${documentName} "${key}" derives ID ${id}, which is already used by "${existingKey}"`);
+      }
+    }
+  }
+
+  return id;
+}
+
+/**
+ * Get the timestamp to record in a generated document's _stats. Set
+ * SOURCE_DATE_EPOCH (in seconds, as for other reproducible builds) to make
+ * the output byte-identical between machines.
+ * @returns {number} Milliseconds since the epoch
+ */
+function generationTime() {
+  const sourceDateEpoch = process.env.SOURCE_DATE_EPOCH;
+
+  if (sourceDateEpoch) {
+    const seconds = Number(sourceDateEpoch);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new Error(`Invalid SOURCE_DATE_EPOCH: ${sourceDateEpoch}`);
+    }
+    return seconds * 1000;
+  }
+
+  return Date.now();
+}
+
+export { deriveFoundryId, deriveUniqueFoundryId, generationTime };
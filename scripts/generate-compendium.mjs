@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import lodash from 'lodash';
+import { generateAmmunitionItem, generateFolder } from './ammunition-items.mjs';
+import { loadCatalogs } from './validate-catalogs.mjs';
+import { catalogEntries, MODULE_ID, meetsRestrictions, toSlug } from './generator.mjs';
+import { loadPackRecords, savePackRecords } from './pack-source.mjs';
+import { ammunitionPack, defaultAmmunitionPack, packSourcePath } from './packs.mjs';
+import { loadReferences } from './update-pf2e-references.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logStep(message) {
+  log(`📋 ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.cyan);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+/**
+ * Load and validate the YAML catalogs, failing before anything is generated
+ * if either has problems
+ */
+function loadYamlData() {
+  return loadCatalogs(join(__dirname, '..'));
+}
+
+/**
+ * Check whether an exclusion rule matches a material/ammunition/grade combination
+ * @param {object} rule - An entry from an `exclude` list
+ * @param {object} combination - The ammunition type, material and grade names
+ * @returns {boolean} True if every field named in the rule matches
+ */
+function exclusionMatches(rule, combination) {
+  return ['ammunition', 'material', 'grade'].every(field =>
+    rule[field] === undefined || rule[field] === combination[field]
+  );
+}
+
+/**
+ * Check whether a combination is excluded by either its ammunition type or
+ * its material. Ammunition types exclude by material and/or grade; materials
+ * exclude by ammunition type and/or grade, and by their `restrictions`.
+ */
+function isExcluded(ammoConfig, materialConfig, combination) {
+  if (!meetsRestrictions(combination.ammunition, ammoConfig, materialConfig)) {
+    return true;
+  }
+
+  const rules = [...(ammoConfig.exclude || []), ...(materialConfig.exclude || [])];
+  return rules.some(rule => exclusionMatches(rule, combination));
+}
+
+/**
+ * Build the full list of ammunition type × material × grade combinations
+ * described by the YAML catalogs, in catalog order
+ */
+function buildCombinations(ammunitionTypes, weaponMaterials) {
+  const combinations = [];
+  const excluded = [];
+
+  for (const [ammunition, ammoConfig] of catalogEntries(ammunitionTypes)) {
+    for (const [material, materialConfig] of catalogEntries(weaponMaterials)) {
+      for (const grade of Object.keys(materialConfig.grades || {})) {
+        const combination = { ammunition, material, grade };
+
+        if (isExcluded(ammoConfig, materialConfig, combination)) {
+          excluded.push(combination);
+        } else {
+          combinations.push(combination);
+        }
+      }
+    }
+  }
+
+  return { combinations, excluded };
+}
+
+/**
+ * Load the existing compendium source, or an empty pack if there is none yet
+ */
+function loadPack(packPath) {
+  if (!existsSync(packPath)) {
+    return [];
+  }
+
+  return loadPackRecords(packPath);
+}
+
+function isFolder(record) {
+  return record._metadata?.key?.startsWith('!folders!');
+}
+
+function isItem(record) {
+  return record._metadata?.key?.startsWith('!items!');
+}
+
+const DEPRECATED_FOLDER = 'Deprecated';
+
+/**
+ * Check whether a record was written by the generator. Hand-authored records
+ * have no generator flag and are never pruned or deprecated.
+ */
+function isGenerated(record) {
+  return Boolean(record.flags?.[MODULE_ID]?.generated);
+}
+
+/**
+ * Check whether an item without the generator flag is named like a generated
+ * item: its name holds a catalog material and ends in a catalog grade in
+ * parentheses, and its slug is its name's slug. It may have been generated
+ * before the flag was added, or made by hand to look like one, so it is only
+ * reported, never pruned or deprecated.
+ * @param {object} record - A pack record
+ * @param {object} weaponMaterials - The materials catalog
+ * @returns {boolean} True if the item has no flag but has a generated name
+ */
+function looksGenerated(record, weaponMaterials) {
+  if (!isItem(record) || isGenerated(record) || !record.name || record.system?.slug !== toSlug(record.name)) {
+    return false;
+  }
+
+  const materials = catalogEntries(weaponMaterials);
+  const grades = new Set(materials.flatMap(([, config]) => Object.keys(config.grades || {})));
+  const grade = record.name.match(/\(([^()]+)\)$/)?.[1];
+
+  return grades.has(grade) && materials.some(([material]) => record.name.includes(material));
+}
+
+function isDeprecated(record) {
+  return Boolean(record.flags?.[MODULE_ID]?.deprecated);
+}
+
+/**
+ * Find generated items that no longer correspond to any entry in the YAML
+ * catalogs, either because the entry was removed or because it is excluded
+ * @param {object[]} records - The pack records
+ * @param {Set<string>} generatedSlugs - Slugs of the items the catalogs generate
+ * @returns {object[]} The stale item records
+ */
+function findStaleItems(records, generatedSlugs) {
+  return records.filter(record =>
+    isItem(record) && isGenerated(record) && !generatedSlugs.has(record.system?.slug)
+  );
+}
+
+/**
+ * Find folders that contain neither items nor other folders
+ */
+function findEmptyFolders(records) {
+  const usedFolderIds = new Set(records.map(record => record.folder).filter(Boolean));
+  return records.filter(record => isFolder(record) && !usedFolderIds.has(record._id));
+}
+
+/**
+ * Mark a stale item as deprecated and move it to the Deprecated folder, so
+ * that existing links to it keep working but it is clearly out of date
+ */
+function deprecateItem(item, deprecatedFolderId) {
+  const deprecated = JSON.parse(JSON.stringify(item));
+  deprecated.folder = deprecatedFolderId;
+  deprecated.flags = deprecated.flags || {};
+  deprecated.flags[MODULE_ID] = { ...deprecated.flags[MODULE_ID], deprecated: true };
+  return deprecated;
+}
+
+/**
+ * Serialize a record for comparison, ignoring the timestamps that change on
+ * every generation
+ */
+function comparableRecord(record) {
+  const copy = JSON.parse(JSON.stringify(record));
+  if (copy._stats) {
+    delete copy._stats.createdTime;
+    delete copy._stats.modifiedTime;
+  }
+  return JSON.stringify(copy);
+}
+
+/**
+ * Order records by their LevelDB key, the same order extract-compendium
+ * writes them in, so that regenerating always produces the same file
+ */
+function compareRecords(a, b) {
+  const keyA = a._metadata?.key || '';
+  const keyB = b._metadata?.key || '';
+  return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+}
+
+/**
+ * Regenerate the compendium source from the YAML catalogs
+ *
+ * Generated items that the catalogs no longer describe are reported as stale
+ * and kept unless `stale` is "prune" (remove them, along with any generated
+ * folders left empty) or "deprecate" (flag them and move them to a
+ * Deprecated folder). Hand-authored records are always kept as they are,
+ * and those named like generated items are reported as lookalikes.
+ *
+ * Only the ammunition that goes into the pack (see packs.yml) is generated;
+ * items of types that have moved to another pack count as stale.
+ * @param {string} packPath - Path to the pack's source directory (or JSON)
+ * @param {object} options - { dryRun: boolean, stale: "keep" | "prune" |
+ *   "deprecate", pack: the pack's name, defaulting to the ammunition pack }
+ * @returns {object} Report of added, changed, removed and unchanged items
+ */
+function generateCompendium(packPath, options = {}) {
+  const { dryRun = false, stale = 'keep' } = options;
+
+  if (!['keep', 'prune', 'deprecate'].includes(stale)) {
+    throw new Error(`Unknown stale item handling: ${stale}`);
+  }
+
+  logStep('Loading configuration data...');
+  const catalogs = loadYamlData();
+  const { ammunitionTypes, weaponMaterials, packs } = catalogs;
+  const references = loadReferences(join(__dirname, '..'));
+  const pack = options.pack ?? defaultAmmunitionPack(packs);
+  if (!packs[pack]) {
+    throw new Error(`Unknown pack: ${pack}`);
+  }
+  const existingRecords = loadPack(packPath);
+  logInfo(`Loaded ${existingRecords.length} existing records from ${packPath}`);
+
+  const folderMap = new Map();
+  const itemSlugMap = new Map();
+  const existingItems = new Map();
+
+  for (const record of existingRecords) {
+    if (isFolder(record)) {
+      folderMap.set(record.name, record._id);
+    } else if (isItem(record) && record.system?.slug) {
+      itemSlugMap.set(record.system.slug, record._id);
+      existingItems.set(record.system.slug, record);
+    }
+  }
+
+  const inPack = ({ ammunition }) => ammunitionPack(packs, ammunitionTypes[ammunition]) === pack;
+  const allCombinations = buildCombinations(ammunitionTypes, weaponMaterials);
+  const combinations = allCombinations.combinations.filter(inPack);
+  const excluded = allCombinations.excluded.filter(inPack);
+  logInfo(`Generating ${combinations.length} items for ${pack} (${excluded.length} excluded)`);
+
+  // New folders are appended to this array by generateAmmunitionItem
+  const folderRecords = existingRecords.filter(isFolder);
+  const newFolders = new Set();
+
+  const report = {
+    added: [],
+    changed: [],
+    removed: [],
+    deprecated: [],
+    stale: [],
+    emptyFolders: [],
+    handAuthored: [],
+    lookalikes: [],
+    unchanged: [],
+    excluded
+  };
+  const itemRecords = [];
+  const generatedSlugs = new Set();
+
+  for (const { ammunition, material, grade } of combinations) {
+    const { item, name } = generateAmmunitionItem(ammunition, material, grade, {
+      catalogs, references, folderMap, itemSlugMap, compendiumData: folderRecords, newFolders
+    });
+    const slug = item.system.slug;
+
+    if (generatedSlugs.has(slug)) {
+      throw new Error(`Duplicate slug "${slug}" generated for ${material} ${ammunition} (${grade})`);
+    }
+    generatedSlugs.add(slug);
+
+    const existingItem = existingItems.get(slug);
+    if (!existingItem) {
+      itemRecords.push(item);
+      report.added.push(name);
+      continue;
+    }
+
+    // Merge over the existing record so fields Foundry adds on import (such as
+    // _stats.lastModifiedBy) survive. Arrays and coins are replaced outright so
+    // that a dropped rule or denomination does not linger.
+    const mergedItem = lodash.mergeWith({}, existingItem, item, (objValue, srcValue) =>
+      Array.isArray(srcValue) ? srcValue : undefined
+    );
+    mergedItem.system.price.value = item.system.price.value;
+
+    // An item that comes back after being deprecated is no longer deprecated
+    delete mergedItem.flags[MODULE_ID].deprecated;
+
+    // Keep the original timestamps so that an unchanged item is byte-identical
+    mergedItem._stats.createdTime = existingItem._stats?.createdTime ?? item._stats.createdTime;
+    if (comparableRecord(mergedItem) === comparableRecord(existingItem)) {
+      mergedItem._stats.modifiedTime = existingItem._stats?.modifiedTime ?? item._stats.modifiedTime;
+      report.unchanged.push(name);
+    } else {
+      report.changed.push(name);
+    }
+    itemRecords.push(mergedItem);
+  }
+
+  // Folders that hold generated items belong to the generator, even if they
+  // were created before folders were flagged
+  const generatedFolderIds = new Set(itemRecords.map(item => item.folder).filter(Boolean));
+  for (const folder of folderRecords) {
+    if (generatedFolderIds.has(folder._id) && !isGenerated(folder)) {
+      folder.flags = { ...folder.flags, [MODULE_ID]: { ...folder.flags?.[MODULE_ID], generated: true } };
+    }
+  }
+
+  // Keep everything that was not regenerated: hand-authored records as they
+  // are, and stale generated items according to the chosen handling
+  const staleItems = new Set(findStaleItems(existingRecords, generatedSlugs));
+  let deprecatedFolderId = folderMap.get(DEPRECATED_FOLDER);
+
+  for (const record of existingRecords) {
+    if (isFolder(record) || (isItem(record) && generatedSlugs.has(record.system?.slug))) {
+      continue;
+    }
+
+    if (!staleItems.has(record)) {
+      itemRecords.push(record);
+      if (isItem(record)) {
+        report.handAuthored.push(record.name);
+        if (looksGenerated(record, weaponMaterials)) {
+          report.lookalikes.push(record.name);
+        }
+      }
+    } else if (stale === 'prune') {
+      report.removed.push(record.name);
+    } else if (stale === 'deprecate' && !isDeprecated(record)) {
+      if (!deprecatedFolderId) {
+        const folder = generateFolder(DEPRECATED_FOLDER, [folderMap, itemSlugMap]);
+        deprecatedFolderId = folder._id;
+        folderMap.set(DEPRECATED_FOLDER, deprecatedFolderId);
+        folderRecords.push(folder);
+        newFolders.add(DEPRECATED_FOLDER);
+      }
+      itemRecords.push(deprecateItem(record, deprecatedFolderId));
+      report.deprecated.push(record.name);
+    } else {
+      itemRecords.push(record);
+      report.stale.push(record.name);
+    }
+  }
+
+  // Generated folders left empty are removed when pruning; hand-made ones
+  // are only ever reported
+  let allRecords = [...folderRecords, ...itemRecords];
+  for (const folder of findEmptyFolders(allRecords)) {
+    if (stale === 'prune' && isGenerated(folder)) {
+      allRecords = allRecords.filter(record => record !== folder);
+      report.removed.push(`${folder.name} (folder)`);
+    } else {
+      report.emptyFolders.push(folder.name);
+    }
+  }
+  allRecords.sort(compareRecords);
+
+  if (dryRun) {
+    logWarning('Dry run: the pack source has not been written');
+  } else {
+    savePackRecords(allRecords, packPath);
+    logSuccess(`Wrote ${allRecords.length} records to ${packPath}`);
+  }
+
+  logReport(report, newFolders);
+  return report;
+}
+
+/**
+ * Print the added/changed/removed summary
+ */
+function logReport(report, newFolders) {
+  log('');
+  logStep('Compendium changes:');
+
+  const sections = [
+    ['Added', report.added, colors.green],
+    ['Changed', report.changed, colors.yellow],
+    ['Removed', report.removed, colors.red]
+  ];
+
+  for (const [label, names, color] of sections) {
+    log(`${label}: ${names.length}`, color);
+    for (const name of [...names].sort()) {
+      log(`  ${name}`, color);
+    }
+  }
+
+  if (report.deprecated.length > 0) {
+    log(`Deprecated: ${report.deprecated.length}`, colors.yellow);
+    for (const name of [...report.deprecated].sort()) {
+      log(`  ${name}`, colors.yellow);
+    }
+  }
+
+  if (newFolders.size > 0) {
+    log(`New folders: ${[...newFolders].join(', ')}`, colors.green);
+  }
+  logInfo(`Unchanged: ${report.unchanged.length}`);
+  logInfo(`Excluded combinations: ${report.excluded.length}`);
+  logInfo(`Hand-authored items left alone: ${report.handAuthored.length}`);
+
+  if (report.stale.length > 0) {
+    logWarning(`${report.stale.length} generated items no longer match any catalog entry:`);
+    for (const name of [...report.stale].sort()) {
+      logWarning(`  ${name}`);
+    }
+    logWarning('Run again with --prune to remove them or --deprecate to move them to a Deprecated folder');
+  }
+
+  if (report.lookalikes.length > 0) {
+    logWarning(`${report.lookalikes.length} hand-authored items are named like generated items but have no generator flag:`);
+    for (const name of [...report.lookalikes].sort()) {
+      logWarning(`  ${name}`);
+    }
+    logWarning(`They are left alone; flag them with flags["${MODULE_ID}"].generated to have them pruned or deprecated`);
+  }
+
+  if (report.emptyFolders.length > 0) {
+    logWarning(`Empty folders: ${[...report.emptyFolders].sort().join(', ')}`);
+  }
+}
+
+// Command line interface
+function main() {
+  const args = process.argv.slice(2);
+  const flags = ['--dry-run', '--prune', '--deprecate'];
+  const dryRun = args.includes('--dry-run');
+  const prune = args.includes('--prune');
+  const deprecate = args.includes('--deprecate');
+  const packName = args.find(arg => arg.startsWith('--pack='))?.slice('--pack='.length);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const unknown = args.filter(arg => arg.startsWith('--') && !flags.includes(arg) && !arg.startsWith('--pack='));
+
+  if (positional.length > 1 || unknown.length > 0 || (prune && deprecate) || packName === '') {
+    logError('Usage: node generate-compendium.mjs [--dry-run] [--prune | --deprecate] [--pack=<name>] [pack-source]');
+    logInfo('');
+    logInfo('Regenerates every ammunition type × material × grade combination described by');
+    logInfo('src/ammunition-types.yml and src/weapon-materials.yml, less any exclusions.');
+    logInfo('');
+    logInfo('Each ammunition type goes into the pack src/packs.yml marks "ammunition: true",');
+    logInfo('or the one it names with "pack", and every such pack is regenerated from its');
+    logInfo('source in src/packs/<name>, one file per document. Given a pack source, only');
+    logInfo('that is regenerated; a path ending in .json is read and written as a single array.');
+    logInfo('  --pack=<name> Only regenerate that pack (or the pack the given source is for)');
+    logInfo('  --dry-run    Report what would change without writing the pack source');
+    logInfo('  --prune      Remove generated items that no longer match a catalog entry,');
+    logInfo('               and generated folders left empty');
+    logInfo('  --deprecate  Move those items to a Deprecated folder instead');
+    logInfo('');
+    logInfo('Hand-authored records (without the generator flag) are never changed. Those');
+    logInfo('named like generated items are listed, in case they should be flagged.');
+    process.exit(1);
+  }
+
+  const stale = prune ? 'prune' : deprecate ? 'deprecate' : 'keep';
+  const rootDir = join(__dirname, '..');
+
+  try {
+    // Each pack that ammunition goes into, from its own source directory,
+    // unless a pack source is given
+    const { ammunitionTypes, packs } = loadCatalogs(rootDir);
+    const targets = positional.length === 1
+      ? [{ pack: packName ?? defaultAmmunitionPack(packs), packPath: join(process.cwd(), positional[0]) }]
+      : [...new Set([defaultAmmunitionPack(packs), ...catalogEntries(ammunitionTypes).map(([, config]) => ammunitionPack(packs, config))])]
+        .filter(pack => !packName || pack === packName)
+        .map(pack => ({ pack, packPath: packSourcePath(rootDir, pack) }));
+
+    if (targets.length === 0) {
+      throw new Error(`No ammunition goes into the ${packName} pack`);
+    }
+
+    logStep('Compendium Generator');
+    for (const { pack, packPath } of targets) {
+      logInfo(`Pack source: ${packPath}`);
+      log('');
+      generateCompendium(packPath, { dryRun, stale, pack });
+      log('');
+    }
+  } catch (error) {
+    logError(`Generation failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { generateCompendium, buildCombinations, looksGenerated, findStaleItems, findEmptyFolders };
@@ -0,0 +1,102 @@
+/**
+ * The ammunition generator, shared with the runtime module
+ *
+ * The generator is written in TypeScript in src/generator so that the module
+ * can use it in the browser. Here we transpile it for Node (without type
+ * checking, which `tsc` does for the whole module) and re-export it, so that
+ * the build scripts and the module always generate identical items.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import ts from 'typescript';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+const SOURCE_DIR = join(__dirname, '..', 'src');
+const OUTPUT_DIR = join(__dirname, '..', 'node_modules', '.cache', 'prishas-precious-projectiles');
+
+// The module's files the generator imports from outside src/generator
+const SHARED_FILES = ['constants.ts', 'module-packs.ts', 'ammunition-catalog.ts'];
+
+/**
+ * Transpile one of the module's TypeScript files into the cache directory
+ * @param {string} file - The file's path, relative to src
+ */
+function transpile(file) {
+  const source = readFileSync(join(SOURCE_DIR, file), 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    fileName: file,
+    compilerOptions: {
+      module: ts.ModuleKind.ES2020,
+      target: ts.ScriptTarget.ES2020
+    }
+  });
+  writeFileSync(join(OUTPUT_DIR, file.replace(/\.ts$/, '.js')), outputText, 'utf8');
+}
+
+/**
+ * Transpile src/generator, and the files it shares with the rest of the
+ * module, into the cache directory
+ * @returns {string} Path of the transpiled index.js
+ */
+function compileGenerator() {
+  mkdirSync(join(OUTPUT_DIR, 'generator'), { recursive: true });
+
+  for (const file of readdirSync(join(SOURCE_DIR, 'generator'))) {
+    if (file.endsWith('.ts') && !file.endsWith('.d.ts')) {
+      transpile(join('generator', file));
+    }
+  }
+  for (const file of SHARED_FILES) {
+    transpile(file);
+  }
+
+  writeFileSync(join(OUTPUT_DIR, 'package.json'), '{ "type": "module" }\n', 'utf8');
+  return join(OUTPUT_DIR, 'generator', 'index.js');
+}
+
+const generator = await import(pathToFileURL(compileGenerator()).href);
+const constants = await import(pathToFileURL(join(OUTPUT_DIR, 'constants.js')).href);
+const ammunitionCatalog = await import(pathToFileURL(join(OUTPUT_DIR, 'ammunition-catalog.js')).href);
+
+export const { MODULE_ID } = constants;
+export const { formatPrice, materialAndGrade } = ammunitionCatalog;
+
+export const {
+  catalogEntries,
+  DEFAULT_PACK_BULK,
+  getPackBulk,
+  toCoins,
+  calculatePrice,
+  FILTERS,
+  capitalize,
+  pluralize,
+  parseTemplate,
+  templatePaths,
+  splitPath,
+  createTemplateContext,
+  renderTemplate,
+  renderTemplateValue,
+  materialSlug,
+  buildItemRules,
+  applyTraitChanges,
+  applyBulkModifier,
+  RARITIES,
+  combineRarity,
+  meetsRestrictions,
+  escapeHtml,
+  formatLink,
+  DESCRIPTION_LABELS,
+  buildDescriptionHtml,
+  localizeEntries,
+  toWeaponSlug,
+  baseWeaponNames,
+  getBaseWeapons,
+  toSlug,
+  cleanWhitespace,
+  ammunitionName,
+  buildAmmunitionItem
+} = generator;
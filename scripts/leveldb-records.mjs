@@ -0,0 +1,155 @@
+/**
+ * Reading, writing and comparing the records of Foundry LevelDB packs
+ *
+ * A pack stores each document under a key naming its collection and ID, e.g.
+ * `!items!<id>` or `!folders!<id>`. Embedded documents live in sublevels of
+ * their parent's collection, e.g. `!items.effects!<itemId>.<effectId>`. In
+ * JSON, each record keeps its key in `_metadata.key`, which is not stored in
+ * the pack, so that packing and extracting again gives back the same records.
+ */
+
+import { ClassicLevel } from 'classic-level';
+import { isDeepStrictEqual } from 'util';
+
+// A pack key: collections separated by dots, then as many IDs
+const KEY_PATTERN = /^!([A-Za-z]+(?:\.[A-Za-z]+)*)!([A-Za-z0-9]+(?:\.[A-Za-z0-9]+)*)$/;
+
+/**
+ * Split a pack key into its collections and IDs
+ * @param {string} key - e.g. "!items.effects!abc.def"
+ * @returns {{collections: string[], ids: string[]} | null} The parts, or null
+ *   if the key is not a document key
+ */
+function parseKey(key) {
+  const match = KEY_PATTERN.exec(key);
+  if (!match) {
+    return null;
+  }
+
+  const collections = match[1].split('.');
+  const ids = match[2].split('.');
+  return collections.length === ids.length ? { collections, ids } : null;
+}
+
+/**
+ * Work out the key to store a record under. Records without a `_metadata.key`
+ * are taken to be items.
+ * @param {Object} record - A record from pack JSON
+ * @returns {string} The key
+ */
+function recordKey(record) {
+  const key = record._metadata?.key ?? (record._id ? `!items!${record._id}` : null);
+  if (!key) {
+    throw new Error(`Record "${record.name ?? 'unnamed'}" has neither _metadata.key nor _id`);
+  }
+
+  const parts = parseKey(key);
+  if (!parts) {
+    throw new Error(`Invalid pack key "${key}"`);
+  }
+  if (record._id !== undefined && record._id !== parts.ids[parts.ids.length - 1]) {
+    throw new Error(`Record _id ${record._id} does not match its key "${key}"`);
+  }
+
+  return key;
+}
+
+/**
+ * Remove the JSON-only `_metadata` from a record, to store it
+ * @param {Object} record - A record from pack JSON
+ * @returns {Object} The record as stored
+ */
+function storedValue(record) {
+  const value = { ...record };
+  delete value._metadata;
+  return value;
+}
+
+/**
+ * Read every document in a pack
+ * @param {string} dbPath - The pack directory
+ * @returns {Promise<Object[]>} Records with `_metadata.key`, in key order
+ */
+async function readLevelDB(dbPath) {
+  const db = new ClassicLevel(dbPath, { valueEncoding: 'json' });
+  const records = [];
+
+  try {
+    for await (const [key, value] of db.iterator()) {
+      records.push({ ...value, _metadata: { key } });
+    }
+  } finally {
+    await db.close();
+  }
+
+  return records;
+}
+
+/**
+ * Replace the contents of a pack with some records, deleting any documents
+ * that are not among them
+ * @param {Object[]} records - Records from pack JSON
+ * @param {string} dbPath - The pack directory, which is created if need be
+ * @returns {Promise<{written: number, deleted: string[]}>} How many records
+ *   were written and the keys that were deleted
+ */
+async function writeLevelDB(records, dbPath) {
+  const entries = new Map();
+  for (const record of records) {
+    const key = recordKey(record);
+    if (entries.has(key)) {
+      throw new Error(`Duplicate pack key "${key}"`);
+    }
+    entries.set(key, storedValue(record));
+  }
+
+  const db = new ClassicLevel(dbPath, { valueEncoding: 'json' });
+  try {
+    const deleted = [];
+    for await (const key of db.keys()) {
+      if (!entries.has(key)) {
+        deleted.push(key);
+      }
+    }
+
+    await db.batch([
+      ...deleted.map((key) => ({ type: 'del', key })),
+      ...Array.from(entries, ([key, value]) => ({ type: 'put', key, value }))
+    ]);
+
+    return { written: entries.size, deleted };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Compare two sets of records by key, exactly
+ * @param {Object[]} expected - The records that should be there
+ * @param {Object[]} actual - The records that are there
+ * @returns {string[]} A description of each difference; empty if none
+ */
+function compareRecords(expected, actual) {
+  const byKey = (records) => new Map(records.map((record) => [recordKey(record), storedValue(record)]));
+  const expectedByKey = byKey(expected);
+  const actualByKey = byKey(actual);
+  const differences = [];
+
+  for (const [key, value] of expectedByKey) {
+    if (!actualByKey.has(key)) {
+      differences.push(`Missing ${key} (${value.name ?? 'unnamed'})`);
+    } else if (!isDeepStrictEqual(actualByKey.get(key), value)) {
+      differences.push(`Changed ${key} (${value.name ?? 'unnamed'})`);
+    }
+  }
+
+  for (const [key, value] of actualByKey) {
+    if (!expectedByKey.has(key)) {
+      differences.push(`Unexpected ${key} (${value.name ?? 'unnamed'})`);
+    }
+  }
+
+  return differences;
+}
+
+export { parseKey, recordKey, storedValue, readLevelDB, writeLevelDB, compareRecords };
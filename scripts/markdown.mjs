@@ -0,0 +1,248 @@
+/**
+ * A small Markdown to HTML converter for the journal pack's sources
+ *
+ * It covers what the guide uses and no more: ATX headings, paragraphs, lists,
+ * block quotes, fenced code, pipe tables and horizontal rules, with code
+ * spans, bold, italics, line breaks and inline and reference-style links.
+ * HTML in the source is escaped, so text can talk about <angle brackets>
+ * freely; HTML comments on a line of their own are left out.
+ *
+ * Links can be rewritten with `resolveLink`, which is how links to items and
+ * other journal pages become Foundry's @UUID links.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} The text with &, <, > and " escaped
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, (character) => HTML_ESCAPES[character]);
+}
+
+// A reference-style link definition, e.g. "[Silver]: https://example.com"
+const LINK_DEFINITION = /^ {0,3}\[([^\]]+)\]:\s*(\S+)\s*$/;
+
+// Lines that start a block other than a paragraph
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^```/;
+const RULE = /^ {0,3}([-*_])( *\1){2,}\s*$/;
+const BULLET = /^ {0,3}[-*+]\s+/;
+const NUMBER = /^ {0,3}\d+[.)]\s+/;
+const QUOTE = /^ {0,3}>\s?/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const COMMENT = /^\s*<!--.*-->\s*$/;
+
+/**
+ * Collect the reference-style link definitions in some Markdown
+ * @param {string} markdown - The Markdown
+ * @returns {Map<string, string>} URLs by lower-case label
+ */
+function linkDefinitions(markdown) {
+  const definitions = new Map();
+  for (const line of markdown.split('\n')) {
+    const match = line.match(LINK_DEFINITION);
+    if (match) {
+      definitions.set(match[1].toLowerCase(), match[2]);
+    }
+  }
+  return definitions;
+}
+
+/**
+ * Convert a line of Markdown text to HTML
+ * @param {string} text - The text
+ * @param {Object} context - { definitions, resolveLink }
+ * @returns {string} The HTML
+ */
+function renderInline(text, context) {
+  const placeholders = [];
+  const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+  const link = (label, href) => {
+    const resolved = context.resolveLink?.(href, label);
+    if (resolved !== undefined && resolved !== null) {
+      return hold(resolved);
+    }
+    return hold(`<a href="${escapeHtml(href)}">${renderInline(label, context)}</a>`);
+  };
+
+  const html = text
+    // Code spans first, so that nothing inside them is formatted
+    .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => link(label, href))
+    .replace(/\[([^\]]+)\]\[([^\]]*)\]/g, (match, label, reference) => {
+      const href = context.definitions.get((reference || label).toLowerCase());
+      return href ? link(label, href) : match;
+    })
+    .replace(/\[([^\]]+)\](?![[(])/g, (match, label) => {
+      const href = context.definitions.get(label.toLowerCase());
+      return href ? link(label, href) : match;
+    });
+
+  return escapeHtml(html)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/ {2,}\n/g, '<br>\n')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[Number(index)]);
+}
+
+/**
+ * Split a table row into its cells
+ * @param {string} line - e.g. "| Silver | supported |"
+ * @returns {string[]} The cells' text
+ */
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim());
+}
+
+/**
+ * Convert a list, whose items may run over several lines, to HTML
+ * @param {string[]} lines - The list's lines
+ * @param {boolean} ordered - Whether it is numbered
+ * @param {Object} context - { definitions, resolveLink }
+ * @returns {string} The HTML
+ */
+function renderList(lines, ordered, context) {
+  const marker = ordered ? NUMBER : BULLET;
+  const items = [];
+  for (const line of lines) {
+    if (marker.test(line)) {
+      items.push([line.replace(marker, '')]);
+    } else {
+      items[items.length - 1].push(line.trim());
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  return `<${tag}>${items.map((item) => `<li>${renderInline(item.join('\n'), context)}</li>`).join('')}</${tag}>`;
+}
+
+/**
+ * Convert blocks of Markdown to HTML
+ * @param {string[]} lines - The lines
+ * @param {Object} context - { definitions, resolveLink }
+ * @returns {string} The HTML
+ */
+function renderBlocks(lines, context) {
+  const html = [];
+  let index = 0;
+
+  const startsBlock = (line) =>
+    line.trim() === '' || HEADING.test(line) || FENCE.test(line) || RULE.test(line) ||
+    BULLET.test(line) || NUMBER.test(line) || QUOTE.test(line) || COMMENT.test(line);
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === '' || COMMENT.test(line) || LINK_DEFINITION.test(line)) {
+      index++;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2], context)}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      const code = [];
+      index++;
+      while (index < lines.length && !FENCE.test(lines[index])) {
+        code.push(lines[index++]);
+      }
+      index++;
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      html.push('<hr>');
+      index++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push(lines[index++].replace(QUOTE, ''));
+      }
+      html.push(`<blockquote>${renderBlocks(quoted, context)}</blockquote>`);
+      continue;
+    }
+
+    if (BULLET.test(line) || NUMBER.test(line)) {
+      const ordered = NUMBER.test(line);
+      const marker = ordered ? NUMBER : BULLET;
+      const items = [];
+      while (index < lines.length && lines[index].trim() !== '' &&
+        (marker.test(lines[index]) || (items.length > 0 && /^\s+\S/.test(lines[index])))) {
+        items.push(lines[index++]);
+      }
+      html.push(renderList(items, ordered, context));
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[index + 1] ?? '')) {
+      const header = tableCells(line);
+      const alignments = tableCells(lines[index + 1]).map((cell) =>
+        cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : null
+      );
+      const cell = (tag, text, column) => {
+        const align = alignments[column] ? ` style="text-align: ${alignments[column]}"` : '';
+        return `<${tag}${align}>${renderInline(text, context)}</${tag}>`;
+      };
+
+      index += 2;
+      const rows = [];
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim() !== '') {
+        rows.push(tableCells(lines[index++]));
+      }
+
+      html.push([
+        '<table>',
+        `<thead><tr>${header.map((text, column) => cell('th', text, column)).join('')}</tr></thead>`,
+        `<tbody>${rows.map((row) => `<tr>${header.map((_, column) => cell('td', row[column] ?? '', column)).join('')}</tr>`).join('')}</tbody>`,
+        '</table>'
+      ].join(''));
+      continue;
+    }
+
+    const paragraph = [line];
+    index++;
+    while (index < lines.length && !startsBlock(lines[index]) && !LINK_DEFINITION.test(lines[index])) {
+      paragraph.push(lines[index++]);
+    }
+    html.push(`<p>${renderInline(paragraph.join('\n'), context)}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+/**
+ * Convert Markdown to HTML
+ * @param {string} markdown - The Markdown
+ * @param {Object} [options]
+ * @param {function(string, string): (string|null|undefined)} [options.resolveLink]
+ *   - Given a link's URL and label, returns the HTML to use instead of an
+ *   <a> element, or nothing to keep the link as it is
+ * @param {Map<string, string>} [options.definitions] - Reference-style link
+ *   definitions to use besides those in the Markdown
+ * @returns {string} The HTML
+ */
+function markdownToHtml(markdown, { resolveLink, definitions = new Map() } = {}) {
+  const normalized = markdown.replace(/\r\n?/g, '\n');
+  const context = {
+    definitions: new Map([...definitions, ...linkDefinitions(normalized)]),
+    resolveLink
+  };
+  return renderBlocks(normalized.split('\n'), context);
+}
+
+export { escapeHtml, linkDefinitions, markdownToHtml };
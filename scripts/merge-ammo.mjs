@@ -1,12 +1,20 @@
 #!/usr/bin/env node
 
-import { readFileSync, writeFileSync } from 'fs';
-import { join } from 'path';
+import { mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { readPackSource, writePackSource } from './pack-source.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = join(__filename, '..');
 
+const ROOT_DIR = join(__dirname, '..');
+
+// Fields that both sides change whenever they edit a document, merged by
+// taking the later time rather than reported as conflicts
+const TIMESTAMP_PATHS = ['_stats.modifiedTime'];
+
 // Colors for console output
 const colors = {
   reset: '\x1b[0m',
@@ -198,28 +206,319 @@ function mergeAmmunitionFiles(inputFiles, outputFile) {
   logInfo(`Final item count: ${orderedItems.length}`);
 }
 
+/**
+ * Identify a record across the versions of a three-way merge
+ * @param {Object} record - A record from pack JSON
+ * @returns {string} Its pack key, _id or slug
+ */
+function recordIdentity(record) {
+  const identity = record._metadata?.key ?? record._id ?? record.system?.slug;
+  if (!identity) {
+    throw new Error(`Record "${record.name ?? 'unnamed'}" has no _metadata.key, _id or slug to merge it by`);
+  }
+  return identity;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge one value changed on two sides. Objects are merged field by field;
+ * arrays and other values are taken whole from whichever side changed them.
+ * @param {*} base - The value both sides started from (undefined if new)
+ * @param {*} ours - Our value (undefined if we removed it)
+ * @param {*} theirs - Their value (undefined if they removed it)
+ * @param {string} path - The dotted path of the value
+ * @param {Object[]} conflicts - Conflicts found so far, added to
+ * @returns {*} The merged value; ours where the sides conflict
+ */
+function mergeValues(base, ours, theirs, path, conflicts) {
+  if (isDeepStrictEqual(ours, theirs) || isDeepStrictEqual(base, theirs)) {
+    return ours;
+  }
+  if (isDeepStrictEqual(base, ours)) {
+    return theirs;
+  }
+
+  if (isPlainObject(ours) && isPlainObject(theirs) && (base === undefined || isPlainObject(base))) {
+    const merged = {};
+    for (const key of new Set([...Object.keys(ours), ...Object.keys(theirs)])) {
+      const value = mergeValues(base?.[key], ours[key], theirs[key], path ? `${path}.${key}` : key, conflicts);
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+
+  if (TIMESTAMP_PATHS.includes(path) && typeof ours === 'number' && typeof theirs === 'number') {
+    return Math.max(ours, theirs);
+  }
+
+  conflicts.push({ path, base, ours, theirs });
+  return ours;
+}
+
+/**
+ * Merge two versions of a pack that were both derived from a base version.
+ * Records are matched by key; changes to different fields of a record are
+ * both kept, and changes to the same field are reported as conflicts.
+ * @param {Object[]} base - The records both versions started from
+ * @param {Object[]} ours - Our records
+ * @param {Object[]} theirs - Their records
+ * @returns {{records: Object[], conflicts: Object[], stats: Object}} The
+ *   merged records, in our order with theirs added at the end; the conflicts,
+ *   as { key, name, type, path, base, ours, theirs } where type is "changed",
+ *   "deletedByOurs" or "deletedByTheirs", keeping our side of a changed field
+ *   and the changed record of a deletion; and counts of what happened
+ */
+function mergeThreeWay(base, ours, theirs) {
+  const byIdentity = (records) => new Map(records.map((record) => [recordIdentity(record), record]));
+  const baseRecords = byIdentity(base);
+  const ourRecords = byIdentity(ours);
+  const theirRecords = byIdentity(theirs);
+
+  const records = [];
+  const conflicts = [];
+  const stats = { unchanged: 0, ours: 0, theirs: 0, merged: 0, added: 0, deleted: 0 };
+
+  for (const key of new Set([...ourRecords.keys(), ...theirRecords.keys()])) {
+    const baseRecord = baseRecords.get(key);
+    const ourRecord = ourRecords.get(key);
+    const theirRecord = theirRecords.get(key);
+    const name = (ourRecord ?? theirRecord).name;
+
+    // A record one side deleted stays deleted, unless the other side changed it
+    if (!ourRecord || !theirRecord) {
+      const kept = ourRecord ?? theirRecord;
+      if (!baseRecord) {
+        records.push(kept);
+        stats.added++;
+      } else if (isDeepStrictEqual(baseRecord, kept)) {
+        stats.deleted++;
+      } else {
+        records.push(kept);
+        conflicts.push({ key, name, type: ourRecord ? 'deletedByTheirs' : 'deletedByOurs', path: '', base: baseRecord, ours: ourRecord, theirs: theirRecord });
+      }
+      continue;
+    }
+
+    const recordConflicts = [];
+    const merged = mergeValues(baseRecord, ourRecord, theirRecord, '', recordConflicts);
+    records.push(merged);
+    conflicts.push(...recordConflicts.map((conflict) => ({ key, name, type: 'changed', ...conflict })));
+
+    if (isDeepStrictEqual(merged, ourRecord) && isDeepStrictEqual(merged, theirRecord)) {
+      stats.unchanged++;
+    } else if (isDeepStrictEqual(merged, ourRecord)) {
+      stats.ours++;
+    } else if (isDeepStrictEqual(merged, theirRecord)) {
+      stats.theirs++;
+    } else {
+      stats.merged++;
+    }
+  }
+
+  // Deleted by both sides
+  stats.deleted += [...baseRecords.keys()].filter((key) => !ourRecords.has(key) && !theirRecords.has(key)).length;
+
+  return { records, conflicts, stats };
+}
+
+/**
+ * Read one version for a three-way merge
+ * @param {string} path - A pack source directory, a JSON array of records (or
+ *   an object with a "records" array), or a single record's JSON file
+ * @returns {{records: Object[], format: string}} The records, and whether
+ *   they came from a "directory", an "array" or a single "record"
+ */
+function loadMergeVersion(path) {
+  if (statSync(path, { throwIfNoEntry: false })?.isDirectory()) {
+    return { records: readPackSource(path), format: 'directory' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`File not found: ${path}`);
+    }
+    if (error instanceof SyntaxError) {
+      throw new Error(`Invalid JSON in file: ${path}`);
+    }
+    throw error;
+  }
+
+  if (Array.isArray(data)) {
+    return { records: data, format: 'array' };
+  }
+  if (Array.isArray(data?.records)) {
+    return { records: data.records, format: 'array' };
+  }
+  if (isPlainObject(data)) {
+    return { records: [data], format: 'record' };
+  }
+  throw new Error(`File does not contain records: ${path}`);
+}
+
+/**
+ * Read the version both sides started from. When both sides add the same
+ * file, git has no such version and passes an empty file; that, or a base
+ * that does not exist, has no records.
+ * @param {string} path - As for loadMergeVersion
+ * @returns {{records: Object[], format: string}} As from loadMergeVersion
+ */
+function loadMergeBase(path) {
+  const stats = statSync(path, { throwIfNoEntry: false });
+  if (!stats || (stats.isFile() && readFileSync(path, 'utf8').trim() === '')) {
+    return { records: [], format: 'array' };
+  }
+  return loadMergeVersion(path);
+}
+
+/**
+ * Merge two pack files or source directories derived from a base, writing
+ * the result and, if there are conflicts, a JSON report of them
+ * @param {string} basePath - The base version
+ * @param {string} oursPath - Our version
+ * @param {string} theirsPath - Their version
+ * @param {string} outputPath - Where to write the merged version, in the
+ *   same form as ours
+ * @param {Object} [options]
+ * @param {string} [options.reportPath] - Where to write the conflict report
+ *   (defaults to the output path with .conflicts.json appended)
+ * @param {string} [options.label] - What the report calls the merged file
+ * @returns {{conflicts: Object[], stats: Object, reportPath: string | null}}
+ *   The conflicts, counts of what happened, and where the report was written
+ */
+function mergePackVersions(basePath, oursPath, theirsPath, outputPath, options = {}) {
+  const { reportPath = `${outputPath}.conflicts.json`, label = outputPath } = options;
+
+  const base = loadMergeBase(basePath);
+  const ours = loadMergeVersion(oursPath);
+  const theirs = loadMergeVersion(theirsPath);
+  const { records, conflicts, stats } = mergeThreeWay(base.records, ours.records, theirs.records);
+
+  if (ours.format === 'directory') {
+    writePackSource(records, outputPath);
+  } else if (ours.format === 'record' && records.length === 1) {
+    writeFileSync(outputPath, `${JSON.stringify(records[0], null, 2)}\n`, 'utf8');
+  } else {
+    writeFileSync(outputPath, JSON.stringify(records, null, 2), 'utf8');
+  }
+
+  if (conflicts.length === 0) {
+    return { conflicts, stats, reportPath: null };
+  }
+
+  mkdirSync(dirname(reportPath), { recursive: true });
+  writeFileSync(reportPath, JSON.stringify({ file: label, conflicts }, null, 2), 'utf8');
+  return { conflicts, stats, reportPath };
+}
+
+/**
+ * Run a three-way merge from the command line, exiting with 1 if there are
+ * conflicts so that git leaves the file marked as conflicted
+ */
+function runThreeWayMerge(basePath, oursPath, theirsPath, outputPath, options) {
+  logStep('Three-way merge');
+  logInfo(`Base: ${basePath}`);
+  logInfo(`Ours: ${oursPath}`);
+  logInfo(`Theirs: ${theirsPath}`);
+  log('');
+
+  const { conflicts, stats, reportPath } = mergePackVersions(basePath, oursPath, theirsPath, outputPath, options);
+
+  logInfo(`Unchanged: ${stats.unchanged}, ours: ${stats.ours}, theirs: ${stats.theirs}, merged: ${stats.merged}, added: ${stats.added}, deleted: ${stats.deleted}`);
+  logInfo(`Output: ${outputPath}`);
+
+  if (conflicts.length > 0) {
+    for (const { name, key, type, path } of conflicts) {
+      logWarning(`  ${name ?? key}: ${type === 'changed' ? path : type}`);
+    }
+    logError(`${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}, kept our side of each; see ${reportPath}`);
+    process.exit(1);
+  }
+
+  logSuccess('Merged without conflicts');
+}
+
+function logUsage() {
+  logError('Usage: node merge-ammo.mjs <input-file1> [input-file2] ... <output-file>');
+  logError('       node merge-ammo.mjs --base <base> <ours> <theirs> <output> [--report <file>]');
+  logError('       node merge-ammo.mjs --git-driver <base> <ours> <theirs> <path> [--report <file>]');
+  logInfo('');
+  logInfo('Examples:');
+  logInfo('  node merge-ammo.mjs file1.json file2.json merged.json');
+  logInfo('  node merge-ammo.mjs arrows.json bolts.json darts.json all-ammo.json');
+  logInfo('');
+  logInfo('The merge preserves the order of the rightmost file.');
+  logInfo('Items in earlier files replace items with the same slug in the rightmost file.');
+  logInfo('Unmatched items from earlier files are appended at the end.');
+  logInfo('Items without slugs are passed through unchanged.');
+  logInfo('When replacing items, the createdTime from the rightmost file is preserved.');
+  logInfo('');
+  logInfo('With --base, merges two versions derived from a base, matching records by key.');
+  logInfo('Each version is a JSON array, a single record or a pack source directory.');
+  logInfo('Changes to different fields are both kept; changes to the same field, and');
+  logInfo('changes to a record the other side deleted, are conflicts. The output keeps');
+  logInfo('our side of each conflict, and the conflicts are written as JSON to the report');
+  logInfo('(<output>.conflicts.json unless --report is given). Exits with 1 on conflicts.');
+  logInfo('');
+  logInfo('With --git-driver, works as a git merge driver, writing the result over <ours>.');
+  logInfo('.gitattributes assigns the pack source to the "pack-records" driver; enable it with:');
+  logInfo('  git config merge.pack-records.name "Pack records three-way merge"');
+  logInfo('  git config merge.pack-records.driver "node scripts/merge-ammo.mjs --git-driver %O %A %B %P"');
+  logInfo('Its conflict reports go to tmp/merge-conflicts.');
+}
+
 // Command line interface
 function main() {
   const args = process.argv.slice(2);
 
-  if (args.length < 3) {
-    logError('Usage: node merge-ammo.mjs <input-file1> [input-file2] ... <output-file>');
-    logInfo('');
-    logInfo('Examples:');
-    logInfo('  node merge-ammo.mjs file1.json file2.json merged.json');
-    logInfo('  node merge-ammo.mjs arrows.json bolts.json darts.json all-ammo.json');
-    logInfo('');
-    logInfo('The merge preserves the order of the rightmost file.');
-    logInfo('Items in earlier files replace items with the same slug in the rightmost file.');
-    logInfo('Unmatched items from earlier files are appended at the end.');
-    logInfo('Items without slugs are passed through unchanged.');
-    logInfo('When replacing items, the createdTime from the rightmost file is preserved.');
+  // Pull out the report option, which takes a value
+  const reportIndex = args.indexOf('--report');
+  const reportPath = reportIndex >= 0 ? args[reportIndex + 1] : undefined;
+  const rest = reportIndex >= 0 ? args.filter((_, index) => index !== reportIndex && index !== reportIndex + 1) : args;
+  const mode = ['--base', '--git-driver'].find(flag => rest[0] === flag);
+
+  if (mode) {
+    const paths = rest.slice(1);
+    if (paths.length !== 4 || (reportIndex >= 0 && !reportPath)) {
+      logUsage();
+      process.exit(1);
+    }
+
+    const [basePath, oursPath, theirsPath, outputOrPath] = paths.map(path => resolve(process.cwd(), path));
+    try {
+      if (mode === '--git-driver') {
+        // Git hands us temporary files; the last argument names the file merged
+        const name = paths[3];
+        const report = reportPath
+          ? resolve(process.cwd(), reportPath)
+          : join(ROOT_DIR, 'tmp', 'merge-conflicts', `${name}.conflicts.json`);
+        runThreeWayMerge(basePath, oursPath, theirsPath, oursPath, { reportPath: report, label: name });
+      } else {
+        const options = reportPath ? { reportPath: resolve(process.cwd(), reportPath) } : {};
+        runThreeWayMerge(basePath, oursPath, theirsPath, outputOrPath, options);
+      }
+    } catch (error) {
+      logError(`Merge failed: ${error.message}`);
+      process.exit(2);
+    }
+    return;
+  }
+
+  if (rest.length < 3 || reportIndex >= 0) {
+    logUsage();
     process.exit(1);
   }
 
   // Last argument is the output file
-  const outputFile = args[args.length - 1];
-  const inputFiles = args.slice(0, -1);
+  const outputFile = rest[rest.length - 1];
+  const inputFiles = rest.slice(0, -1);
 
   // Resolve relative paths
   const resolvedInputFiles = inputFiles.map(file => join(process.cwd(), file));
@@ -243,4 +542,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { mergeAmmunitionFiles };
+export { mergeAmmunitionFiles, mergeValues, mergeThreeWay, mergePackVersions };
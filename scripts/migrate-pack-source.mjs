@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+import { readdirSync, rmSync, statSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { compareRecords } from './leveldb-records.mjs';
+import { loadPackRecords, readPackSource, writePackSource } from './pack-source.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logStep(message) {
+  log(`📋 ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.cyan);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+// LevelDB's own files, which an old build may have left in the source directory
+const LEVELDB_FILE = /^(CURRENT|LOCK|LOG(\.old)?|MANIFEST-\d+|\d+\.(ldb|log))$/;
+
+/**
+ * Convert a pack's single JSON array of records into a source directory with
+ * one file per document, check that the directory holds exactly the same
+ * records and remove the JSON file
+ * @param {string} jsonPath - The JSON file
+ * @param {string} sourceDir - The source directory to write
+ * @param {Object} [options]
+ * @param {boolean} [options.keep=false] - Keep the JSON file
+ * @returns {{records: number, files: number, removed: string[]}} How many
+ *   records and files there are, and the LevelDB files removed from the
+ *   directory
+ */
+function migratePackSource(jsonPath, sourceDir, { keep = false } = {}) {
+  const records = loadPackRecords(jsonPath);
+
+  // A LevelDB pack in the way is build output, which the build now writes to dist
+  const removed = statSync(sourceDir, { throwIfNoEntry: false })?.isDirectory()
+    ? readdirSync(sourceDir).filter((file) => LEVELDB_FILE.test(file))
+    : [];
+  for (const file of removed) {
+    rmSync(join(sourceDir, file));
+  }
+
+  const { written } = writePackSource(records, sourceDir);
+
+  const differences = compareRecords(records, readPackSource(sourceDir));
+  if (differences.length > 0) {
+    throw new Error(`The source directory does not match ${jsonPath}: ${differences.join('; ')}`);
+  }
+
+  if (!keep) {
+    rmSync(jsonPath);
+  }
+
+  return { records: records.length, files: written.length, removed };
+}
+
+// Command line interface
+function main() {
+  const args = process.argv.slice(2);
+  const keep = args.includes('--keep');
+  const positional = args.filter(arg => !arg.startsWith('--'));
+
+  if (positional.length > 2 || args.some(arg => arg.startsWith('--') && arg !== '--keep')) {
+    logError('Usage: node migrate-pack-source.mjs [--keep] [json-file] [source-dir]');
+    logInfo('');
+    logInfo('Splits a pack\'s JSON array of records into one file per document, checks');
+    logInfo('that the directory holds exactly the same records, and removes the JSON file.');
+    logInfo('');
+    logInfo('Defaults to src/packs/prishas-precious-projectiles.json and');
+    logInfo('src/packs/prishas-precious-projectiles.');
+    logInfo('  --keep  Keep the JSON file');
+    process.exit(1);
+  }
+
+  const packsDir = join(__dirname, '..', 'src', 'packs');
+  const jsonPath = positional[0] ? join(process.cwd(), positional[0]) : join(packsDir, 'prishas-precious-projectiles.json');
+  const sourceDir = positional[1] ? join(process.cwd(), positional[1]) : join(packsDir, 'prishas-precious-projectiles');
+
+  logStep('Pack Source Migration');
+  logInfo(`Input: ${jsonPath}`);
+  logInfo(`Output: ${sourceDir}`);
+  log('');
+
+  try {
+    const { records, files, removed } = migratePackSource(jsonPath, sourceDir, { keep });
+
+    if (removed.length > 0) {
+      logWarning(`Removed an old LevelDB build from the source directory: ${removed.join(', ')}`);
+    }
+    logSuccess(`Wrote ${records} records to ${files} files`);
+    if (!keep) {
+      logInfo(`Removed ${jsonPath}`);
+    }
+  } catch (error) {
+    logError(`Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { migratePackSource };
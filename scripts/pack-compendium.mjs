@@ -1,9 +1,10 @@
 #!/usr/bin/env node
 
-import { readFileSync, mkdirSync, statSync } from 'fs';
+import { mkdirSync, statSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { ClassicLevel } from 'classic-level';
+import { compareRecords, readLevelDB, writeLevelDB } from './leveldb-records.mjs';
+import { loadPackRecords } from './pack-source.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -45,35 +46,29 @@ function logWarning(message) {
 }
 
 /**
- * Pack records from a JSON file into a LevelDB database
- * @param {string} jsonPath - Path to the JSON file containing records
+ * Pack records from a pack source directory or a JSON file into a LevelDB
+ * database, replacing its contents, and check that reading it back gives the
+ * same records
+ * @param {string|Object[]} sourcePath - Path to the source directory (one
+ *   file per document) or to a JSON file containing records, or the records
+ *   themselves (as built from Markdown for a journal pack)
  * @param {string} dbPath - Path to the LevelDB database directory
  */
-async function packLevelDB(jsonPath, dbPath) {
-  let db = null;
-
+async function packLevelDB(sourcePath, dbPath) {
   try {
     logStep('Starting LevelDB packing...');
 
-    // Check if JSON file exists
-    if (!statSync(jsonPath, { throwIfNoEntry: false })) {
-      throw new Error(`JSON file does not exist: ${jsonPath}`);
-    }
-
-    logInfo(`Reading records from: ${jsonPath}`);
+    let records = sourcePath;
+    if (!Array.isArray(sourcePath)) {
+      // Check if the source exists
+      if (!statSync(sourcePath, { throwIfNoEntry: false })) {
+        throw new Error(`Pack source does not exist: ${sourcePath}`);
+      }
 
-    // Read and parse the JSON file
-    const jsonContent = readFileSync(jsonPath, 'utf8');
-    const data = JSON.parse(jsonContent);
+      logInfo(`Reading records from: ${sourcePath}`);
 
-    // Validate the structure - expect either an array directly or an object with records array
-    let records;
-    if (Array.isArray(data)) {
-      records = data;
-    } else if (data.records && Array.isArray(data.records)) {
-      records = data.records;
-    } else {
-      throw new Error('JSON file must contain an array of records or an object with a "records" array');
+      // Read the records, from one file per document or a single array
+      records = loadPackRecords(sourcePath);
     }
 
     logInfo(`Found ${records.length} records to pack`);
@@ -84,55 +79,26 @@ async function packLevelDB(jsonPath, dbPath) {
       logInfo(`Created database directory: ${dbPath}`);
     }
 
-    // Open the LevelDB database
-    db = new ClassicLevel(dbPath, { valueEncoding: 'json' });
-
     logStep('Packing records into LevelDB...');
 
-    // Pack all records
-    const errors = [];
-    let recordCount = 0;
-
-    for (const record of records) {
-      try {
-        // Extract the key from metadata or generate one
-        let key;
-        if (record._metadata && record._metadata.key) {
-          key = record._metadata.key;
-        } else if (record._id) {
-          key = `!items!${record._id}`;
-        } else {
-          // Generate a key based on the record type and name
-          const type = record.type || 'unknown';
-          const name = record.name || 'unnamed';
-          const id = record._id || Math.random().toString(36).substr(2, 9);
-          key = `!items!${id}`;
-        }
-
-        // Remove metadata before storing (to keep the database clean)
-        const cleanRecord = { ...record };
-        delete cleanRecord._metadata;
-
-        // Store the record
-        await db.put(key, cleanRecord);
-        recordCount++;
-
-        if (recordCount % 10 === 0) {
-          logInfo(`Packed ${recordCount} records...`);
-        }
-
-      } catch (error) {
-        logError(`Error packing record: ${error.message}`);
-        errors.push(`Error packing record: ${error.message}`);
-      }
+    // Replace the pack's contents, so that records removed from the source are
+    // removed from the pack too
+    const { written, deleted } = await writeLevelDB(records, dbPath);
+    logSuccess(`Packed ${written} records into LevelDB`);
+    for (const key of deleted) {
+      logInfo(`Deleted ${key}`);
     }
 
-    logSuccess(`Packed ${recordCount} records into LevelDB`);
-
-    if (errors.length > 0) {
-      logWarning(`${errors.length} errors encountered during packing`);
-      logInfo('Check the console output for error details');
+    // Read the pack back and check that every record survived exactly
+    logStep('Verifying packed records...');
+    const differences = compareRecords(records, await readLevelDB(dbPath));
+    if (differences.length > 0) {
+      for (const difference of differences) {
+        logError(difference);
+      }
+      throw new Error(`${differences.length} record${differences.length === 1 ? '' : 's'} did not survive packing`);
     }
+    logSuccess('Every record survived packing');
 
     // Display some statistics
     if (records.length > 0) {
@@ -162,15 +128,6 @@ async function packLevelDB(jsonPath, dbPath) {
   } catch (error) {
     logError(`Packing failed: ${error.message}`);
     process.exit(1);
-  } finally {
-    // Always close the database
-    if (db) {
-      try {
-        await db.close();
-      } catch (error) {
-        logWarning(`Error closing database: ${error.message}`);
-      }
-    }
   }
 }
 
@@ -179,32 +136,36 @@ function main() {
   const args = process.argv.slice(2);
 
   if (args.length !== 2) {
-    logError('Usage: node pack-compendium.mjs <json-file> <leveldb-path>');
+    logError('Usage: node pack-compendium.mjs <source-dir | json-file> <leveldb-path>');
     logInfo('');
     logInfo('Examples:');
+    logInfo('  node pack-compendium.mjs ./src/packs/prishas-precious-projectiles ./dist/packs/prishas-precious-projectiles');
     logInfo('  node pack-compendium.mjs ./analysis/ammunition.json ./dist/packs/prishas-precious-projectiles');
     logInfo('  node pack-compendium.mjs ./analysis/equipment.json ./foundry-server/data/Data/packs/custom-equipment');
     logInfo('');
     logInfo('The script will:');
-    logInfo('  1. Read records from the specified JSON file (array or object with records array)');
+    logInfo('  1. Read records from the source directory (one JSON file per document) or');
+    logInfo('     the JSON file (array or object with records array)');
     logInfo('  2. Pack all records into a LevelDB database');
     logInfo('  3. Create the database directory if it doesn\'t exist');
-    logInfo('  4. Use existing keys from metadata or generate new ones');
+    logInfo('  4. Store each record under the key in its _metadata (or !items!<_id>)');
+    logInfo('  5. Delete documents that are no longer in the source');
+    logInfo('  6. Read the database back and fail if any record did not survive');
     process.exit(1);
   }
 
-  const [jsonPath, dbPath] = args;
+  const [sourcePath, dbPath] = args;
 
   // Resolve relative paths
-  const resolvedJsonPath = join(process.cwd(), jsonPath);
+  const resolvedSourcePath = join(process.cwd(), sourcePath);
   const resolvedDbPath = join(process.cwd(), dbPath);
 
   logStep('LevelDB Packer');
-  logInfo(`Input: ${resolvedJsonPath}`);
+  logInfo(`Input: ${resolvedSourcePath}`);
   logInfo(`Output: ${resolvedDbPath}`);
   log('');
 
-  packLevelDB(resolvedJsonPath, resolvedDbPath);
+  packLevelDB(resolvedSourcePath, resolvedDbPath);
 }
 
 // Run the script
@@ -0,0 +1,266 @@
+/**
+ * The compendium's source layout: one JSON file per document
+ *
+ * The pack's source lives in src/packs/prishas-precious-projectiles, with a
+ * directory for each folder (holding the folder's own record as _folder.json)
+ * and a file for each document in it, named after its slug or name:
+ *
+ *   Arrows/_folder.json
+ *   Arrows/cold-iron-arrows-low-grade.json
+ *   Arrows/cold-iron-arrows-low-grade.effects.effect-cold-iron.json
+ *
+ * Embedded documents, such as an item's effects, sit beside their parent.
+ * Every file keeps its LevelDB key in `_metadata.key`, and it is the records,
+ * not where their files are, that decide what goes where in the pack: the
+ * layout is only there to make the source easy to find your way around and
+ * to keep merges to the documents that changed.
+ *
+ * The scripts also accept the older single JSON array of records wherever
+ * they take a path ending in .json.
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, statSync, writeFileSync } from 'fs';
+import { dirname, join, relative, sep } from 'path';
+import { toSlug } from './generator.mjs';
+import { parseKey, recordKey } from './leveldb-records.mjs';
+
+// The name of the file holding a folder's own record
+const FOLDER_FILE = '_folder.json';
+
+/**
+ * Turn a name into something safe to use as a file name
+ * @param {string} name - A document name
+ * @returns {string} The name without characters that file systems reject
+ */
+function safeFileName(name) {
+  return String(name)
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+    .replace(/^\.+/, '')
+    .trim() || 'unnamed';
+}
+
+/**
+ * Format a record as it is written to a file
+ * @param {Object} record - A record
+ * @returns {string} Its JSON
+ */
+function formatRecord(record) {
+  return `${JSON.stringify(record, null, 2)}\n`;
+}
+
+/**
+ * Work out the file each record belongs in
+ * @param {Object[]} records - Records with `_metadata.key`
+ * @returns {Map<string, Object>} Records by path, relative to the source directory
+ */
+function layOutRecords(records) {
+  const sorted = [...records].sort((a, b) => recordKey(a).localeCompare(recordKey(b)));
+  const folders = new Map(sorted.filter((record) => recordKey(record).startsWith('!folders!')).map((folder) => [folder._id, folder]));
+  const folderDirs = new Map();
+  const taken = new Set();
+  const files = new Map();
+  const stems = new Map();
+
+  // Claim a path, adding the document's ID if another document has it
+  const claim = (path, id, extension = '') => {
+    const unique = taken.has(`${path}${extension}`.toLowerCase()) ? `${path}.${id}` : path;
+    taken.add(`${unique}${extension}`.toLowerCase());
+    return unique;
+  };
+
+  // A folder's directory, under its parent folder's
+  const folderDir = (id, seen = new Set()) => {
+    if (!folders.has(id) || seen.has(id)) {
+      return '';
+    }
+    if (!folderDirs.has(id)) {
+      const folder = folders.get(id);
+      const parent = folderDir(folder.folder, new Set([...seen, id]));
+      folderDirs.set(id, claim(join(parent, safeFileName(folder.name)), id));
+    }
+    return folderDirs.get(id);
+  };
+
+  for (const record of sorted) {
+    const key = recordKey(record);
+    const { collections, ids } = parseKey(key);
+    const id = ids[ids.length - 1];
+
+    if (collections[0] === 'folders' && collections.length === 1) {
+      files.set(join(folderDir(id), FOLDER_FILE), record);
+      continue;
+    }
+
+    const name = toSlug(record.system?.slug || record.name) || id;
+    let stem;
+    if (collections.length > 1) {
+      // Embedded documents sit beside their parent
+      const parentKey = `!${collections.slice(0, -1).join('.')}!${ids.slice(0, -1).join('.')}`;
+      const parentStem = stems.get(parentKey) ?? join(collections[0], ids.slice(0, -1).join('.'));
+      stem = claim(`${parentStem}.${collections[collections.length - 1]}.${name}`, id, '.json');
+    } else {
+      stem = claim(join(folderDir(record.folder), name), id, '.json');
+    }
+
+    stems.set(key, stem);
+    files.set(`${stem}.json`, record);
+  }
+
+  return files;
+}
+
+/**
+ * List the JSON files under a directory
+ * @param {string} dir - The directory
+ * @returns {string[]} Paths relative to the directory
+ */
+function listJsonFiles(dir) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+
+  return readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.json'))
+    .map((entry) => relative(dir, join(entry.parentPath ?? entry.path, entry.name)));
+}
+
+/**
+ * Remove empty directories under a directory, leaving the directory itself
+ * @param {string} dir - The directory
+ */
+function removeEmptyDirectories(dir) {
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      const path = join(dir, entry.name);
+      removeEmptyDirectories(path);
+      if (readdirSync(path).length === 0) {
+        rmSync(path, { recursive: true });
+      }
+    }
+  }
+}
+
+/**
+ * Read the records of a pack source directory
+ * @param {string} dir - The source directory
+ * @returns {Object[]} The records, in key order
+ */
+function readPackSource(dir) {
+  if (!statSync(dir, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new Error(`Pack source directory does not exist: ${dir}`);
+  }
+
+  const records = [];
+  const keys = new Map();
+
+  for (const file of listJsonFiles(dir).sort()) {
+    let record;
+    try {
+      record = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record) || !record._metadata?.key) {
+      throw new Error(`${file} is not a pack record with a _metadata.key`);
+    }
+
+    const key = recordKey(record);
+    if (keys.has(key)) {
+      throw new Error(`${file} and ${keys.get(key)} both hold ${key}`);
+    }
+    keys.set(key, file);
+    records.push(record);
+  }
+
+  return records.sort((a, b) => recordKey(a).localeCompare(recordKey(b)));
+}
+
+/**
+ * Write records to a pack source directory, one file each, removing the files
+ * of documents that are no longer among them
+ * @param {Object[]} records - Records with `_metadata.key`
+ * @param {string} dir - The source directory, which is created if need be
+ * @returns {{written: string[], deleted: string[], unchanged: number}} The
+ *   files written and deleted, relative to the directory
+ */
+function writePackSource(records, dir) {
+  const files = layOutRecords(records);
+  const written = [];
+  const deleted = [];
+  let unchanged = 0;
+
+  for (const file of listJsonFiles(dir)) {
+    if (!files.has(file)) {
+      rmSync(join(dir, file));
+      deleted.push(file);
+    }
+  }
+
+  for (const [file, record] of files) {
+    const path = join(dir, file);
+    const content = formatRecord(record);
+    if (existsSync(path) && readFileSync(path, 'utf8') === content) {
+      unchanged++;
+      continue;
+    }
+
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, content, 'utf8');
+    written.push(file);
+  }
+
+  mkdirSync(dir, { recursive: true });
+  removeEmptyDirectories(dir);
+  return { written: written.map(toPosix), deleted: deleted.map(toPosix), unchanged };
+}
+
+// Report paths with forward slashes on every platform
+function toPosix(path) {
+  return path.split(sep).join('/');
+}
+
+/**
+ * Load pack records from a source directory or a JSON file
+ * @param {string} path - A source directory, or a JSON file holding an array
+ *   of records (or an object with a "records" array)
+ * @returns {Object[]} The records
+ */
+function loadPackRecords(path) {
+  if (statSync(path, { throwIfNoEntry: false })?.isDirectory()) {
+    return readPackSource(path);
+  }
+
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+  const records = Array.isArray(data) ? data : data?.records;
+  if (!Array.isArray(records)) {
+    throw new Error(`${path} must contain an array of records or an object with a "records" array`);
+  }
+  return records;
+}
+
+/**
+ * Save pack records to a source directory or, for a path ending in .json, a
+ * JSON file
+ * @param {Object[]} records - The records
+ * @param {string} path - A source directory or a JSON file
+ * @param {Object} [options]
+ * @param {boolean} [options.merge=false] - Keep the records already there
+ *   that are not among these, rather than replacing them all
+ */
+function savePackRecords(records, path, { merge = false } = {}) {
+  if (merge && existsSync(path)) {
+    const keys = new Set(records.map(recordKey));
+    records = [...loadPackRecords(path).filter((record) => !keys.has(recordKey(record))), ...records];
+  }
+
+  if (path.endsWith('.json')) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify(records, null, 2), 'utf8');
+    return;
+  }
+
+  writePackSource(records, path);
+}
+
+export { FOLDER_FILE, layOutRecords, readPackSource, writePackSource, loadPackRecords, savePackRecords };
@@ -0,0 +1,86 @@
+/**
+ * The module's compendium packs, as declared in src/packs.yml
+ *
+ * Each pack is built from its source directory, src/packs/<name>, into
+ * packs/<name>, and its entry in module.json is written from the declaration,
+ * so that the manifest, the build, the generators and the module itself all
+ * follow the same list.
+ */
+
+import { join } from 'path';
+
+// Players can see a pack and assistant GMs can edit it, unless it says otherwise
+const DEFAULT_OWNERSHIP = { PLAYER: 'OBSERVER', ASSISTANT: 'OWNER' };
+
+// Document types whose data depends on the game system
+const SYSTEM_DOCUMENT_TYPES = ['Actor', 'Item'];
+
+/**
+ * Find the source directory of a pack
+ * @param {string} rootDir - The repository root
+ * @param {string} name - The pack's name
+ * @returns {string} The directory holding its documents
+ */
+function packSourcePath(rootDir, name) {
+  return join(rootDir, 'src', 'packs', name);
+}
+
+/**
+ * Write a pack's entry for the "packs" list of module.json
+ * @param {string} name - The pack's name
+ * @param {Object} pack - Its declaration from packs.yml
+ * @returns {Object} The manifest entry
+ */
+function manifestEntry(name, pack) {
+  const entry = {
+    name,
+    label: pack.label,
+    path: `packs/${name}`,
+    type: pack.type
+  };
+
+  if (SYSTEM_DOCUMENT_TYPES.includes(pack.type)) {
+    entry.system = 'pf2e';
+  }
+
+  entry.ownership = { ...DEFAULT_OWNERSHIP, ...pack.ownership };
+  entry.flags = pack.compendium_browser
+    ? { pf2e: { compendiumBrowser: { category: pack.compendium_browser, searchable: true } } }
+    : {};
+
+  return entry;
+}
+
+/**
+ * Write the "packs" list of module.json
+ * @param {Object} packs - The declarations from packs.yml, by name
+ * @returns {Object[]} The manifest entries, in the order they are declared
+ */
+function manifestPacks(packs) {
+  return Object.entries(packs).map(([name, pack]) => manifestEntry(name, pack));
+}
+
+/**
+ * Find the pack that generated ammunition goes into by default
+ * @param {Object} packs - The declarations from packs.yml, by name
+ * @returns {string} The name of the pack marked `ammunition: true`
+ */
+function defaultAmmunitionPack(packs) {
+  const name = Object.keys(packs).find(packName => packs[packName].ammunition === true);
+  if (!name) {
+    throw new Error('No pack in packs.yml is marked "ammunition: true"');
+  }
+  return name;
+}
+
+/**
+ * Find the pack an ammunition type's items go into
+ * @param {Object} packs - The declarations from packs.yml, by name
+ * @param {Object} ammunitionType - The type's entry in ammunition-types.yml
+ * @returns {string} The pack's name
+ */
+function ammunitionPack(packs, ammunitionType) {
+  return ammunitionType?.pack ?? defaultAmmunitionPack(packs);
+}
+
+export { packSourcePath, manifestEntry, manifestPacks, defaultAmmunitionPack, ammunitionPack };
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ClassicLevel } from 'classic-level';
+import jsyaml from 'js-yaml';
+import { getBaseWeapons, materialSlug, toWeaponSlug } from './generator.mjs';
+import { loadCatalogs } from './validate-catalogs.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+const REFERENCES_HEADER = `# UUIDs of the PF2e system's own entries, used to link generated item
+# descriptions to them: materials by catalog name, and base weapons by slug.
+# \`npm run pf2e:references\` writes them from a local PF2e install (see
+# \`npm run server:init\`), linking each material to its raw material (e.g.
+# "Cold Iron Chunk"); materials PF2e has no entry for can be added by hand,
+# and are kept. Anything missing here is linked to Archives of Nethys instead,
+# or left as plain text.
+`;
+
+// The raw material items PF2e describes a material in, by slug, in order of
+// preference
+const MATERIAL_ITEM_SUFFIXES = ['', '-chunk', '-ingot'];
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logStep(message) {
+  log(`📋 ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.cyan);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+/**
+ * Load src/pf2e-references.yml, or empty references if it does not exist
+ * @param {string} rootDir - The repository root
+ * @returns {object} { materials: {name: uuid}, weapons: {slug: uuid} }
+ */
+function loadReferences(rootDir = join(__dirname, '..')) {
+  const referencesPath = join(rootDir, 'src', 'pf2e-references.yml');
+
+  if (!existsSync(referencesPath)) {
+    return { materials: {}, weapons: {} };
+  }
+
+  const references = jsyaml.load(readFileSync(referencesPath, 'utf8')) || {};
+  for (const section of ['materials', 'weapons']) {
+    const entries = references[section] || {};
+    if (typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`${referencesPath}: ${section} must be a mapping of names to UUIDs`);
+    }
+    references[section] = entries;
+  }
+
+  return references;
+}
+
+/**
+ * Collect the slugs of the base weapons the catalogs' ammunition is for
+ */
+function catalogBaseWeapons(ammunitionTypes) {
+  const slugs = new Set();
+
+  for (const [name, ammoConfig] of Object.entries(ammunitionTypes)) {
+    if (!name.startsWith('.')) {
+      getBaseWeapons(name, ammoConfig).forEach(slug => slugs.add(slug));
+    }
+  }
+
+  return [...slugs].sort();
+}
+
+/**
+ * Read the items in the PF2e system's equipment compendium
+ * @param {string} systemDir - The PF2e system directory
+ * @returns {object} { weapons, items }: Maps of slug to UUID, of the weapons
+ *   and of everything else
+ */
+async function readSystemItems(systemDir) {
+  const systemJsonPath = join(systemDir, 'system.json');
+  if (!existsSync(systemJsonPath)) {
+    throw new Error(`PF2e system not found at: ${systemDir}`);
+  }
+
+  const systemJson = JSON.parse(readFileSync(systemJsonPath, 'utf8'));
+  const pack = (systemJson.packs || []).find(entry => entry.name === 'equipment-srd');
+  if (!pack) {
+    throw new Error('The PF2e system has no equipment-srd compendium');
+  }
+
+  const weapons = new Map();
+  const items = new Map();
+  const db = new ClassicLevel(join(systemDir, pack.path), { valueEncoding: 'json', createIfMissing: false });
+
+  try {
+    for await (const [key, value] of db.iterator()) {
+      if (!key.startsWith('!items!')) {
+        continue;
+      }
+      const slug = value.system?.slug || toWeaponSlug(value.name);
+      const uuid = `Compendium.${systemJson.id}.${pack.name}.Item.${value._id}`;
+      (value.type === 'weapon' ? weapons : items).set(slug, uuid);
+    }
+  } finally {
+    await db.close();
+  }
+
+  return { weapons, items };
+}
+
+/**
+ * Look up the catalogs' base weapons and materials in a local PF2e install
+ * and record their UUIDs
+ * @param {string} systemDir - The PF2e system directory
+ * @param {string} [rootDir] - The repository root
+ * @returns {object} The references written
+ */
+async function updateReferences(systemDir, rootDir = join(__dirname, '..')) {
+  const referencesPath = join(rootDir, 'src', 'pf2e-references.yml');
+
+  logStep('Reading PF2e equipment compendium...');
+  const systemItems = await readSystemItems(systemDir);
+  logInfo(`Found ${systemItems.weapons.size} weapons and ${systemItems.items.size} other items`);
+
+  const { ammunitionTypes, weaponMaterials } = loadCatalogs(rootDir);
+  const references = loadReferences(rootDir);
+  const weapons = {};
+
+  for (const slug of catalogBaseWeapons(ammunitionTypes)) {
+    const uuid = systemItems.weapons.get(slug);
+    if (uuid) {
+      weapons[slug] = uuid;
+      logInfo(`${slug}: ${uuid}`);
+    } else {
+      logWarning(`${slug}: not found in the PF2e system`);
+    }
+  }
+
+  // Materials PF2e has no item for keep any UUID given by hand
+  const materials = { ...references.materials };
+  for (const [name, materialConfig] of Object.entries(weaponMaterials)) {
+    if (name.startsWith('.')) {
+      continue;
+    }
+    const slug = materialSlug(name, materialConfig);
+    const uuid = MATERIAL_ITEM_SUFFIXES.map(suffix => systemItems.items.get(`${slug}${suffix}`)).find(Boolean);
+    if (uuid) {
+      materials[name] = uuid;
+      logInfo(`${name}: ${uuid}`);
+    } else if (materials[name]) {
+      logInfo(`${name}: ${materials[name]} (kept)`);
+    } else {
+      logWarning(`${name}: not found in the PF2e system`);
+    }
+  }
+
+  const updated = { ...references, materials, weapons };
+  writeFileSync(referencesPath, REFERENCES_HEADER + jsyaml.dump(updated, { sortKeys: true }), 'utf8');
+  logSuccess(`Wrote ${Object.keys(weapons).length} weapon and ${Object.keys(materials).length} material references to ${referencesPath}`);
+  return updated;
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length > 1) {
+    logError('Usage: node update-pf2e-references.mjs [pf2e-system-dir]');
+    logInfo('');
+    logInfo('The system directory defaults to foundry-server/data/Data/systems/pf2e,');
+    logInfo('which "npm run server:init" sets up.');
+    process.exit(1);
+  }
+
+  const systemDir = args.length === 1
+    ? join(process.cwd(), args[0])
+    : join(__dirname, '..', 'foundry-server', 'data', 'Data', 'systems', 'pf2e');
+
+  logStep('PF2e Reference Updater');
+  logInfo(`PF2e system: ${systemDir}`);
+  log('');
+
+  try {
+    await updateReferences(systemDir);
+  } catch (error) {
+    logError(`Update failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { loadReferences, updateReferences };
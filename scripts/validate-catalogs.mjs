@@ -0,0 +1,770 @@
+#!/usr/bin/env node
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import jsyaml from 'js-yaml';
+import { DESCRIPTION_LABELS, getBaseWeapons, templatePaths, splitPath } from './generator.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logStep(message) {
+  log(`📋 ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+const RARITIES = ['common', 'uncommon', 'rare', 'unique'];
+
+// Grades in the order their levels must increase
+const GRADES = ['Low-Grade', 'Standard-Grade', 'High-Grade'];
+
+/**
+ * Schema for an entry in ammunition-types.yml. Keys starting with "." are
+ * templates that are merged into other entries, so they are checked for
+ * unknown keys and bad values but may leave required fields out.
+ */
+const AMMUNITION_TYPE_SCHEMA = {
+  rarity:               { type: 'string', required: true, enum: RARITIES },
+  traits:               { type: 'array', required: true, items: 'string' },
+  title_template:       { type: 'template', required: true },
+  description_template: { type: 'template', required: true },
+  folder:               { type: 'string', required: true },
+  weapon_type:          { type: 'string', required: true },
+  base_weapons:         { type: 'weapons' },
+  ammo_type:            { type: 'string', required: true },
+  image:                { type: 'string', required: true },
+  quantity:             { type: 'integer', required: true, minimum: 1 },
+  max_uses:             { type: 'integer', required: true, minimum: 1 },
+  bulk:                 { type: 'number', minimum: 0 },
+  stack_group:          { type: 'string' },
+  plurals:              { type: 'strings' },
+  proper_nouns:         { type: 'array', items: 'string' },
+  rules:                { type: 'rules' },
+  exclude:              { type: 'exclusions', keys: ['material', 'grade'] },
+  pack:                 { type: 'pack' }
+};
+
+// Schema for an entry in weapon-materials.yml
+const MATERIAL_SCHEMA = {
+  rarity:       { type: 'string', required: true, enum: RARITIES },
+  reference:    { type: 'url', required: true },
+  summary:       { type: 'string' },
+  uuid:          { type: 'string' },
+  slug:          { type: 'string' },
+  grades:        { type: 'grades', required: true },
+  rules:         { type: 'rules' },
+  traits:        { type: 'trait-changes' },
+  bulk_modifier: { type: 'integer' },
+  restrictions:  { type: 'restrictions', keys: ['ammunition', 'ammo_type', 'weapon_type'] },
+  proper_nouns:  { type: 'array', items: 'string' },
+  exclude:       { type: 'exclusions', keys: ['ammunition', 'grade'] }
+};
+
+// Schema for a grade within a material
+const GRADE_SCHEMA = {
+  level:          { type: 'integer', required: true, minimum: 0, maximum: 25 },
+  base_price:     { type: 'number', required: true, minimum: 0 },
+  price_per_bulk: { type: 'number', required: true, minimum: 0 },
+  limit:          { type: 'string' }
+};
+
+// Document types a compendium pack can hold
+const DOCUMENT_TYPES = ['Actor', 'Adventure', 'Cards', 'Item', 'JournalEntry', 'Macro', 'Playlist', 'RollTable', 'Scene'];
+
+// Schema for an entry in packs.yml
+const PACK_SCHEMA = {
+  label:              { type: 'string', required: true },
+  type:               { type: 'string', required: true, enum: DOCUMENT_TYPES },
+  compendium_browser: { type: 'string' },
+  ammunition:         { type: 'boolean' },
+  markdown:           { type: 'boolean' },
+  ownership:          { type: 'strings' }
+};
+
+// Schemas for the translations of catalog entries in a language file. Only
+// text can be translated.
+const AMMUNITION_TYPE_TRANSLATION_SCHEMA = {
+  name:                 { type: 'string' },
+  ammo_type:            { type: 'string' },
+  weapon_type:          { type: 'string' },
+  folder:               { type: 'string' },
+  title_template:       { type: 'template' },
+  description_template: { type: 'template' },
+  plurals:              { type: 'strings' },
+  proper_nouns:         { type: 'array', items: 'string' }
+};
+
+const GRADE_TRANSLATION_SCHEMA = {
+  name:  { type: 'string' },
+  limit: { type: 'string' }
+};
+
+const MATERIAL_TRANSLATION_SCHEMA = {
+  name:         { type: 'string' },
+  summary:      { type: 'string' },
+  proper_nouns: { type: 'array', items: 'string' },
+  grades:       { type: 'translations', names: 'gradeNames', schema: GRADE_TRANSLATION_SCHEMA }
+};
+
+// Schema for a language file, src/lang/<lang>.yml
+const LANGUAGE_SCHEMA = {
+  name:             { type: 'string', required: true },
+  strings:          { type: 'messages' },
+  packs:            { type: 'translations', names: 'packNames' },
+  labels:           { type: 'translations', names: 'labelNames' },
+  weapons:          { type: 'translations', names: 'weaponNames' },
+  grades:           { type: 'translations', names: 'gradeNames', schema: GRADE_TRANSLATION_SCHEMA },
+  ammunition_types: { type: 'translations', names: 'ammunitionNames', schema: AMMUNITION_TYPE_TRANSLATION_SCHEMA },
+  weapon_materials: { type: 'translations', names: 'materialNames', schema: MATERIAL_TRANSLATION_SCHEMA }
+};
+
+// Foundry language codes, e.g. en, de or pt-BR
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+// Fields each template scope can refer to. Missing optional fields render as
+// empty text (and can be tested with a section); anything else is an error.
+const TEMPLATE_FIELDS = {
+  ammo:     ['name', ...Object.keys(AMMUNITION_TYPE_SCHEMA)],
+  material: ['name', ...Object.keys(MATERIAL_SCHEMA)],
+  grade:    ['name', ...Object.keys(GRADE_SCHEMA)]
+};
+
+/**
+ * Build a map from key paths (e.g. "Arrows.folder") to the line they are
+ * defined on. The catalogs only use block mappings, so tracking indentation
+ * is enough; block scalars are skipped so their text is not read as keys.
+ * @param {string} source - The YAML text
+ * @returns {Map<string, number>} Map of dotted key path to 1-based line number
+ */
+function buildLineMap(source) {
+  const lineMap = new Map();
+  const stack = [];
+  let blockScalarIndent = null;
+
+  source.split('\n').forEach((line, index) => {
+    const indent = line.search(/\S/);
+    if (indent === -1 || line.trimStart().startsWith('#')) {
+      return;
+    }
+
+    if (blockScalarIndent !== null) {
+      if (indent > blockScalarIndent) {
+        return;
+      }
+      blockScalarIndent = null;
+    }
+
+    const match = line.match(/^(\s*)(?:-\s+)?("[^"]*"|'[^']*'|[^\s#:'"][^#:]*?)\s*:(?:\s|$)(.*)$/);
+    if (!match) {
+      return;
+    }
+
+    const key = match[2].replace(/^["']|["']$/g, '');
+    const keyIndent = match[1].length;
+
+    while (stack.length > 0 && stack[stack.length - 1].indent >= keyIndent) {
+      stack.pop();
+    }
+    stack.push({ indent: keyIndent, key });
+
+    if (key !== '<<') {
+      lineMap.set(stack.map(entry => entry.key).join('.'), index + 1);
+    }
+
+    if (/^[>|]/.test(match[3].trim())) {
+      blockScalarIndent = keyIndent;
+    }
+  });
+
+  return lineMap;
+}
+
+/**
+ * Find the line for a key path, falling back to the nearest parent that has one
+ */
+function lineFor(lineMap, path) {
+  for (let length = path.length; length > 0; length--) {
+    const line = lineMap.get(path.slice(0, length).join('.'));
+    if (line) {
+      return line;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Collects validation errors for one catalog file
+ */
+function createReporter(file, lineMap, errors) {
+  return (path, message) => {
+    errors.push({ file, line: lineFor(lineMap, path), path: path.join('.'), message });
+  };
+}
+
+/**
+ * Check a single value against a field definition
+ */
+function validateField(value, definition, path, report, context) {
+  switch (definition.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        report(path, 'must be a non-empty string');
+      } else if (definition.enum && !definition.enum.includes(value)) {
+        report(path, `must be one of ${definition.enum.join(', ')} (got "${value}")`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        report(path, 'must be true or false');
+      }
+      break;
+
+    case 'pack':
+      if (!(context.itemPackNames || []).includes(value)) {
+        report(path, `must name an Item pack in packs.yml (got "${value}")`);
+      }
+      break;
+
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) {
+        report(path, 'must be an http(s) URL');
+      }
+      break;
+
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) ||
+          (definition.type === 'integer' && !Number.isInteger(value))) {
+        report(path, `must be ${definition.type === 'integer' ? 'an integer' : 'a number'}`);
+      } else if (definition.minimum !== undefined && value < definition.minimum) {
+        report(path, `must be at least ${definition.minimum}`);
+      } else if (definition.maximum !== undefined && value > definition.maximum) {
+        report(path, `must be at most ${definition.maximum}`);
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value) || value.some(item =>
+        typeof item !== definition.items || item === null || Array.isArray(item))) {
+        report(path, `must be a list of ${definition.items}s`);
+      }
+      break;
+
+    case 'weapons':
+      if (value === null || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0 ||
+          Object.entries(value).some(([slug, name]) =>
+            !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug) || typeof name !== 'string' || name.trim() === '')) {
+        report(path, 'must be a non-empty mapping of weapon slugs to names, e.g. { longbow: Longbow }');
+      }
+      break;
+
+    case 'template':
+      if (typeof value !== 'string' || value.trim() === '') {
+        report(path, 'must be a non-empty string');
+        break;
+      }
+      validateTemplate(value, path, report);
+      break;
+
+    case 'strings':
+      if (value === null || typeof value !== 'object' || Array.isArray(value) ||
+          Object.values(value).some(item => typeof item !== 'string')) {
+        report(path, 'must be a mapping of names to strings');
+      }
+      break;
+
+    case 'messages':
+      validateMessages(value, path, report);
+      break;
+
+    case 'translations':
+      validateTranslations(value, definition, path, report, context);
+      break;
+
+    case 'grades':
+      validateGrades(value, path, report);
+      break;
+
+    case 'exclusions':
+      validateExclusions(value, definition.keys, path, report, context);
+      break;
+
+    case 'rules':
+      validateRules(value, path, report);
+      break;
+
+    case 'trait-changes':
+      validateTraitChanges(value, path, report);
+      break;
+
+    case 'restrictions':
+      validateRestrictions(value, definition.keys, path, report);
+      break;
+
+    default:
+      throw new Error(`Unknown schema type: ${definition.type}`);
+  }
+}
+
+/**
+ * Check a template parses and only refers to fields that exist
+ */
+function validateTemplate(template, path, report) {
+  let paths;
+  try {
+    paths = templatePaths(template);
+  } catch (error) {
+    report(path, error.message);
+    return;
+  }
+
+  for (const placeholder of paths) {
+    const { scope, field } = splitPath(placeholder);
+    if (!TEMPLATE_FIELDS[scope].includes(field)) {
+      report(path, `unknown placeholder "{${placeholder}}"; ${scope} fields are ${TEMPLATE_FIELDS[scope].join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Check an entry against a schema: unknown keys, required fields and values
+ * @param {object} entry - The parsed entry (with merge keys resolved)
+ * @param {object} schema - The schema to check against
+ * @param {string[]} path - Key path of the entry
+ * @param {Function} report - Error reporter
+ * @param {object} options - { partial: boolean, lineMap: Map, context: object }
+ */
+function validateEntry(entry, schema, path, report, options = {}) {
+  const { partial = false, lineMap = null, context = {} } = options;
+
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    report(path, 'must be a mapping');
+    return;
+  }
+
+  for (const [key, value] of Object.entries(entry)) {
+    const keyPath = [...path, key];
+
+    // Keys merged in from a template are reported against the template
+    if (lineMap && !lineMap.has(keyPath.join('.'))) {
+      continue;
+    }
+
+    if (!schema[key]) {
+      report(keyPath, `unknown key "${key}"; expected one of ${Object.keys(schema).join(', ')}`);
+      continue;
+    }
+
+    validateField(value, schema[key], keyPath, report, context);
+  }
+
+  if (!partial) {
+    for (const [key, definition] of Object.entries(schema)) {
+      if (definition.required && entry[key] === undefined) {
+        report(path, `missing required key "${key}"`);
+      }
+    }
+  }
+}
+
+/**
+ * Collect the slugs of the base weapons the ammunition types are for, leaving
+ * out entries too broken to tell (which are reported as they are checked)
+ */
+function catalogBaseWeapons(ammunitionTypes) {
+  const slugs = new Set();
+
+  for (const [name, entry] of Object.entries(ammunitionTypes)) {
+    const valid = !name.startsWith('.') && entry !== null && typeof entry === 'object' &&
+      (entry.base_weapons === undefined || (entry.base_weapons !== null && typeof entry.base_weapons === 'object' && !Array.isArray(entry.base_weapons))) &&
+      (entry.weapon_type === undefined || typeof entry.weapon_type === 'string');
+    if (valid) {
+      getBaseWeapons(name, entry).forEach(slug => slugs.add(slug));
+    }
+  }
+
+  return [...slugs];
+}
+
+/**
+ * Check a language's strings for Foundry: mappings whose values are text or
+ * further mappings
+ */
+function validateMessages(messages, path, report) {
+  if (messages === null || typeof messages !== 'object' || Array.isArray(messages)) {
+    report(path, 'must be a mapping of keys to strings');
+    return;
+  }
+
+  for (const [key, value] of Object.entries(messages)) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      validateMessages(value, [...path, key], report);
+    } else if (typeof value !== 'string' || value.trim() === '') {
+      report([...path, key], 'must be a non-empty string or a mapping of keys to strings');
+    }
+  }
+}
+
+/**
+ * Check the translations of a language file's catalog entries, pack labels
+ * or description labels: each must name something that exists, and be text
+ * or an entry that matches the schema
+ */
+function validateTranslations(translations, definition, path, report, context) {
+  if (translations === null || typeof translations !== 'object' || Array.isArray(translations)) {
+    report(path, 'must be a mapping of names to translations');
+    return;
+  }
+
+  const names = context[definition.names] || [];
+  for (const [name, translation] of Object.entries(translations)) {
+    if (!names.includes(name)) {
+      report([...path, name], `unknown name "${name}"; expected one of ${names.join(', ')}`);
+    } else if (definition.schema) {
+      validateEntry(translation, definition.schema, [...path, name], report, { partial: true, context });
+    } else {
+      validateField(translation, { type: 'string' }, [...path, name], report, context);
+    }
+  }
+}
+
+/**
+ * Check the grades of a material, including that levels and prices rise
+ * with the grade
+ */
+function validateGrades(grades, path, report) {
+  if (grades === null || typeof grades !== 'object' || Array.isArray(grades)) {
+    report(path, 'must be a mapping of grade names to grades');
+    return;
+  }
+
+  const names = Object.keys(grades);
+  if (names.length === 0) {
+    report(path, 'must define at least one grade');
+  }
+
+  let previous = null;
+  for (const name of names) {
+    const gradePath = [...path, name];
+
+    if (!GRADES.includes(name)) {
+      report(gradePath, `unknown grade "${name}"; expected one of ${GRADES.join(', ')}`);
+      continue;
+    }
+
+    validateEntry(grades[name], GRADE_SCHEMA, gradePath, report);
+
+    const grade = grades[name] || {};
+    if (previous) {
+      if (GRADES.indexOf(name) < GRADES.indexOf(previous.name)) {
+        report(gradePath, `${name} must be listed before ${previous.name}`);
+      } else {
+        for (const field of ['level', 'base_price', 'price_per_bulk']) {
+          if (typeof grade[field] === 'number' && typeof previous.grade[field] === 'number' && grade[field] <= previous.grade[field]) {
+            report([...gradePath, field], `${name} ${field} (${grade[field]}) must be higher than ${previous.name} ${field} (${previous.grade[field]})`);
+          }
+        }
+      }
+    }
+    previous = { name, grade };
+  }
+}
+
+/**
+ * Check an exclusion list refers to ammunition types, materials and grades
+ * that exist
+ */
+function validateExclusions(rules, keys, path, report, context) {
+  if (!Array.isArray(rules)) {
+    report(path, 'must be a list');
+    return;
+  }
+
+  const known = {
+    ammunition: context.ammunitionNames || [],
+    material: context.materialNames || [],
+    grade: GRADES
+  };
+
+  rules.forEach((rule, index) => {
+    const rulePath = [...path];
+
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      report(rulePath, `rule ${index + 1} must be a mapping`);
+      return;
+    }
+
+    if (Object.keys(rule).length === 0) {
+      report(rulePath, `rule ${index + 1} must name at least one of ${keys.join(', ')}`);
+    }
+
+    for (const [key, value] of Object.entries(rule)) {
+      if (!keys.includes(key)) {
+        report(rulePath, `rule ${index + 1} has unknown key "${key}"; expected one of ${keys.join(', ')}`);
+      } else if (!known[key].includes(value)) {
+        report(rulePath, `rule ${index + 1} refers to unknown ${key} "${value}"`);
+      }
+    }
+  });
+}
+
+/**
+ * Check a list of rule element templates: each must be a mapping with a
+ * `key`, and every string in it a template that only refers to known fields
+ */
+function validateRules(rules, path, report) {
+  if (!Array.isArray(rules)) {
+    report(path, 'must be a list of rule elements');
+    return;
+  }
+
+  const visit = (value, valuePath) => {
+    if (typeof value === 'string') {
+      validateTemplate(value, valuePath, report);
+    } else if (value !== null && typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => visit(item, [...valuePath, key]));
+    }
+  };
+
+  rules.forEach((rule, index) => {
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      report(path, `rule element ${index + 1} must be a mapping`);
+    } else if (typeof rule.key !== 'string' || rule.key.trim() === '') {
+      report(path, `rule element ${index + 1} must have a "key"`);
+    } else {
+      visit(rule, [...path, String(index)]);
+    }
+  });
+}
+
+/**
+ * Check a material's trait changes are lists of traits to add and remove
+ */
+function validateTraitChanges(changes, path, report) {
+  if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+    report(path, 'must be a mapping with "add" and/or "remove" lists');
+    return;
+  }
+
+  for (const [key, traits] of Object.entries(changes)) {
+    if (!['add', 'remove'].includes(key)) {
+      report([...path, key], `unknown key "${key}"; expected add or remove`);
+    } else if (!Array.isArray(traits) || traits.some(trait => typeof trait !== 'string')) {
+      report([...path, key], 'must be a list of strings');
+    }
+  }
+}
+
+/**
+ * Check a material's restrictions map ammunition type fields to lists of
+ * allowed values
+ */
+function validateRestrictions(restrictions, keys, path, report) {
+  if (restrictions === null || typeof restrictions !== 'object' || Array.isArray(restrictions)) {
+    report(path, `must be a mapping of ${keys.join(', ')} to lists of allowed values`);
+    return;
+  }
+
+  for (const [key, allowed] of Object.entries(restrictions)) {
+    if (!keys.includes(key)) {
+      report([...path, key], `unknown key "${key}"; expected one of ${keys.join(', ')}`);
+    } else if (!Array.isArray(allowed) || allowed.length === 0 ||
+               allowed.some(value => typeof value !== 'string')) {
+      report([...path, key], 'must be a non-empty list of strings');
+    }
+  }
+}
+
+/**
+ * Parse a catalog file, reporting YAML syntax errors with their line
+ */
+function parseCatalog(path, file, errors) {
+  const source = readFileSync(path, 'utf8');
+
+  try {
+    const data = jsyaml.load(source);
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push({ file, line: 1, path: '', message: 'must be a mapping of names to entries' });
+      return { data: {}, lineMap: new Map() };
+    }
+    return { data, lineMap: buildLineMap(source) };
+  } catch (error) {
+    const line = error.mark ? error.mark.line + 1 : 1;
+    errors.push({ file, line, path: '', message: error.reason || error.message });
+    return { data: {}, lineMap: new Map() };
+  }
+}
+
+/**
+ * Validate ammunition-types.yml, weapon-materials.yml, packs.yml and the
+ * language files in src/lang
+ * @param {string} rootDir - The repository root
+ * @returns {object} { ammunitionTypes, weaponMaterials, packs, languages,
+ *   errors }, where languages are the parsed language files by language code
+ */
+function validateCatalogs(rootDir = join(__dirname, '..')) {
+  const ammunitionTypesPath = join(rootDir, 'src', 'ammunition-types.yml');
+  const weaponMaterialsPath = join(rootDir, 'src', 'weapon-materials.yml');
+  const packsPath = join(rootDir, 'src', 'packs.yml');
+  const ammunitionFile = relative(process.cwd(), ammunitionTypesPath);
+  const materialsFile = relative(process.cwd(), weaponMaterialsPath);
+  const packsFile = relative(process.cwd(), packsPath);
+
+  const errors = [];
+  const ammunition = parseCatalog(ammunitionTypesPath, ammunitionFile, errors);
+  const materials = parseCatalog(weaponMaterialsPath, materialsFile, errors);
+  const packs = parseCatalog(packsPath, packsFile, errors);
+
+  const context = {
+    ammunitionNames: Object.keys(ammunition.data).filter(name => !name.startsWith('.')),
+    materialNames: Object.keys(materials.data).filter(name => !name.startsWith('.')),
+    itemPackNames: Object.keys(packs.data).filter(name => packs.data[name]?.type === 'Item'),
+    packNames: Object.keys(packs.data),
+    gradeNames: GRADES,
+    labelNames: Object.keys(DESCRIPTION_LABELS),
+    weaponNames: catalogBaseWeapons(ammunition.data)
+  };
+
+  const reportAmmunition = createReporter(ammunitionFile, ammunition.lineMap, errors);
+  for (const [name, entry] of Object.entries(ammunition.data)) {
+    validateEntry(entry, AMMUNITION_TYPE_SCHEMA, [name], reportAmmunition, {
+      partial: name.startsWith('.'),
+      lineMap: ammunition.lineMap,
+      context
+    });
+  }
+
+  // Material templates (such as .basic-grades) are only ever used as values,
+  // so they are checked where they are used
+  const reportMaterial = createReporter(materialsFile, materials.lineMap, errors);
+  for (const [name, entry] of Object.entries(materials.data)) {
+    if (!name.startsWith('.')) {
+      validateEntry(entry, MATERIAL_SCHEMA, [name], reportMaterial, { context });
+    }
+  }
+
+  // Pack names become directory names and part of every document's UUID
+  const reportPack = createReporter(packsFile, packs.lineMap, errors);
+  for (const [name, entry] of Object.entries(packs.data)) {
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(name)) {
+      reportPack([name], `pack name "${name}" must be a slug, e.g. precious-ammunition`);
+    }
+    validateEntry(entry, PACK_SCHEMA, [name], reportPack);
+    if (entry?.markdown === true && entry.type !== 'JournalEntry') {
+      reportPack([name, 'markdown'], 'only JournalEntry packs can be built from Markdown');
+    }
+  }
+
+  // Generated ammunition needs exactly one pack to go to by default
+  const ammunitionPacks = Object.keys(packs.data).filter(name => packs.data[name]?.ammunition === true);
+  if (ammunitionPacks.length !== 1) {
+    reportPack([], `exactly one pack must be marked "ammunition: true" (found ${ammunitionPacks.length})`);
+  } else if (!context.itemPackNames.includes(ammunitionPacks[0])) {
+    reportPack([ammunitionPacks[0], 'ammunition'], 'the ammunition pack must hold Items');
+  }
+
+  // Each language file translates the module's strings and the catalogs'
+  // text. English, which Foundry falls back to, must be there.
+  const languagesDir = join(rootDir, 'src', 'lang');
+  const languageFiles = existsSync(languagesDir)
+    ? readdirSync(languagesDir).filter(file => file.endsWith('.yml')).sort()
+    : [];
+  const languages = {};
+  for (const languageFile of languageFiles) {
+    const lang = languageFile.replace(/\.yml$/, '');
+    const path = join(languagesDir, languageFile);
+    const file = relative(process.cwd(), path);
+    const language = parseCatalog(path, file, errors);
+    const reportLanguage = createReporter(file, language.lineMap, errors);
+
+    if (!LANGUAGE_CODE.test(lang)) {
+      reportLanguage([], `"${lang}" is not a language code, e.g. en or pt-BR`);
+    }
+    validateEntry(language.data, LANGUAGE_SCHEMA, [], reportLanguage, { context });
+    languages[lang] = language.data;
+  }
+  if (languageFiles.length > 0 && !languages.en) {
+    errors.push({ file: relative(process.cwd(), languagesDir), line: 1, path: '', message: 'missing the English language file, en.yml' });
+  }
+
+  errors.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+
+  return {
+    ammunitionTypes: ammunition.data,
+    weaponMaterials: materials.data,
+    packs: packs.data,
+    languages,
+    errors
+  };
+}
+
+/**
+ * Format a validation error as "file:line: path: message"
+ */
+function formatError(error) {
+  const location = `${error.file}:${error.line}`;
+  return error.path ? `${location}: ${error.path}: ${error.message}` : `${location}: ${error.message}`;
+}
+
+/**
+ * Load the catalogs, throwing if any fails validation
+ * @returns {object} { ammunitionTypes, weaponMaterials, packs, languages }
+ */
+function loadCatalogs(rootDir = join(__dirname, '..')) {
+  const { ammunitionTypes, weaponMaterials, packs, languages, errors } = validateCatalogs(rootDir);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ammunition catalogs:\n${errors.map(formatError).join('\n')}`);
+  }
+
+  return { ammunitionTypes, weaponMaterials, packs, languages };
+}
+
+// Command line interface
+function main() {
+  logStep('Validating ammunition catalogs...');
+
+  const { errors } = validateCatalogs();
+
+  if (errors.length > 0) {
+    for (const error of errors) {
+      logError(formatError(error));
+    }
+    logError(`${errors.length} problem${errors.length === 1 ? '' : 's'} found`);
+    process.exit(1);
+  }
+
+  logSuccess('Ammunition catalogs are valid');
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { validateCatalogs, loadCatalogs, formatError, TEMPLATE_FIELDS };
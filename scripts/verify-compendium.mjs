@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readdirSync, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { compareRecords, readLevelDB, writeLevelDB } from './leveldb-records.mjs';
+import { loadPackRecords } from './pack-source.mjs';
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logStep(message) {
+  log(`📋 ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.cyan);
+}
+
+/**
+ * Load the records of a pack, from its source or its LevelDB directory
+ * @param {string} path - A source directory, a JSON file or a LevelDB directory
+ * @returns {Promise<Object[]>} The records, with `_metadata.key`
+ */
+async function loadRecords(path) {
+  if (statSync(path).isDirectory() && readdirSync(path).some((file) => file.startsWith('MANIFEST-'))) {
+    return readLevelDB(path);
+  }
+
+  return loadPackRecords(path);
+}
+
+/**
+ * Check that a pack survives a round trip: pack its records, extract them,
+ * pack what was extracted and extract again, comparing the records exactly
+ * (keys and values) at each step
+ * @param {string} path - A source directory, a JSON file or a LevelDB directory
+ * @returns {Promise<{records: number, differences: string[]}>} The number of
+ *   records and a description of each one lost or changed
+ */
+async function verifyRoundTrip(path) {
+  const records = await loadRecords(path);
+  const workDir = mkdtempSync(join(tmpdir(), 'prishas-precious-projectiles-'));
+
+  try {
+    logStep('Packing and extracting...');
+    await writeLevelDB(records, join(workDir, 'first'));
+    const extracted = await readLevelDB(join(workDir, 'first'));
+    const differences = compareRecords(records, extracted);
+
+    logStep('Packing and extracting the extracted records...');
+    await writeLevelDB(extracted, join(workDir, 'second'));
+    const reextracted = await readLevelDB(join(workDir, 'second'));
+    differences.push(...compareRecords(extracted, reextracted).map((difference) => `${difference} after re-extracting`));
+
+    return { records: records.length, differences };
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length !== 1) {
+    logError('Usage: node verify-compendium.mjs <source-dir | json-file | leveldb-path>');
+    logInfo('');
+    logInfo('Examples:');
+    logInfo('  node verify-compendium.mjs src/packs/prishas-precious-projectiles');
+    logInfo('  node verify-compendium.mjs dist/packs/prishas-precious-projectiles');
+    logInfo('');
+    logInfo('Packs the records into a temporary LevelDB database, extracts them, packs');
+    logInfo('and extracts them again, and fails if any key or value differs.');
+    process.exit(1);
+  }
+
+  try {
+    const { records, differences } = await verifyRoundTrip(resolve(process.cwd(), args[0]));
+
+    if (differences.length > 0) {
+      for (const difference of differences) {
+        logError(difference);
+      }
+      logError(`${differences.length} difference${differences.length === 1 ? '' : 's'} after a round trip`);
+      process.exit(1);
+    }
+
+    logSuccess(`All ${records} records survived a round trip`);
+  } catch (error) {
+    logError(`Verification failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { loadRecords, verifyRoundTrip };
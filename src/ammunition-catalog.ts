@@ -0,0 +1,117 @@
+/**
+ * Prisha's Precious Projectiles - Ammunition catalog
+ * Reads the ammunition in our compendium from its index, with the material
+ * and grade of each item
+ */
+
+import { MODULE_ID } from './constants.js';
+import { getModulePacks } from './module-packs.js';
+
+// Index fields needed to describe ammunition without loading documents
+export const INDEX_FIELDS = [
+  'flags',
+  'system.level',
+  'system.price',
+  'system.quantity',
+  'system.rules',
+  'system.stackGroup'
+];
+
+export type Coins = Partial<Record<'pp' | 'gp' | 'sp' | 'cp', number>>;
+
+export interface AmmunitionEntry {
+  uuid: string;
+  name: string;
+  img?: string;
+  material: string;
+  grade: string;
+  level: number;
+  price: Coins;
+  quantity: number;
+  index: CompendiumIndexData;
+}
+
+// Value of each coin denomination in copper pieces
+const COIN_VALUES: [keyof Coins, number][] = [['pp', 1000], ['gp', 100], ['sp', 10], ['cp', 1]];
+
+// Turn a slug such as "cold-iron" back into a name such as "Cold Iron"
+function unslug(slug: string): string {
+  return slug.split('-').map((word: string): string => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Work out the material and grade of an item: from the generator's flags, or
+// for items made before it recorded them, from the item's rules and name.
+// The material's slug is turned back into its name by `materialName`.
+export function materialAndGrade(
+  entry: CompendiumIndexData,
+  materialName: (slug: string) => string = unslug
+): { material: string; grade: string } | null {
+  const generated = entry.flags?.[MODULE_ID]?.generated;
+  if (generated?.material && generated?.grade) {
+    return { material: generated.material, grade: generated.grade };
+  }
+
+  const strikeRule = (entry.system?.rules ?? []).find((rule: any): boolean =>
+    rule.key === 'AdjustStrike' && rule.property === 'materials'
+  );
+  // Babele keeps the English name of items it translates
+  const name: string = entry.flags?.babele?.originalName ?? entry.name;
+  const grade = name.match(/\(([\w-]+-Grade)\)$/)?.[1];
+  if (!strikeRule || !grade) {
+    return null;
+  }
+
+  return { material: materialName(String(strikeRule.value)), grade };
+}
+
+// Load the ammunition in our compendiums
+export async function loadAmmunition(): Promise<AmmunitionEntry[]> {
+  const entries: AmmunitionEntry[] = [];
+
+  for (const pack of getModulePacks('Item')) {
+    const index = await pack.getIndex({ fields: INDEX_FIELDS });
+
+    for (const entry of index.values()) {
+      const details = materialAndGrade(entry);
+      if (!details) {
+        continue;
+      }
+
+      entries.push({
+        uuid: entry.uuid ?? `Compendium.${pack.collection}.Item.${entry._id}`,
+        name: entry.name,
+        img: entry.img,
+        material: details.material,
+        grade: details.grade,
+        level: entry.system?.level?.value ?? 0,
+        price: entry.system?.price?.value ?? {},
+        quantity: entry.system?.quantity ?? 1,
+        index: entry
+      });
+    }
+  }
+
+  return entries.sort((a: AmmunitionEntry, b: AmmunitionEntry): number =>
+    a.level - b.level || a.name.localeCompare(b.name)
+  );
+}
+
+// Multiply a price, e.g. for several packs
+export function scalePrice(price: Coins, factor: number): Coins {
+  const scaled: Coins = {};
+  for (const [denomination] of COIN_VALUES) {
+    if (price[denomination]) {
+      scaled[denomination] = (price[denomination] ?? 0) * factor;
+    }
+  }
+  return scaled;
+}
+
+// Format a price as it is written in the rules, e.g. "40 gp, 4 sp" or
+// "1,400 gp"
+export function formatPrice(price: Coins): string {
+  const parts = COIN_VALUES
+    .filter(([denomination]): boolean => Boolean(price[denomination]))
+    .map(([denomination]): string => `${(price[denomination] as number).toLocaleString('en')} ${denomination}`);
+  return parts.length > 0 ? parts.join(', ') : '0 gp';
+}
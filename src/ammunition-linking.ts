@@ -0,0 +1,85 @@
+/**
+ * Prisha's Precious Projectiles - Ammunition linking
+ * When ammunition from our packs is added to a character, offers to load it
+ * into the character's equipped ranged weapons that can fire it, and warns
+ * when the character has no weapon that can
+ */
+
+import { MODULE_ID } from './constants.js';
+import { confirmDialog, escapeHtml } from './dialogs.js';
+import { localize } from './i18n.js';
+import { isModulePackUuid } from './module-packs.js';
+import { canFire } from './weapon-compatibility.js';
+
+// Check whether an item is ammunition from our packs
+export function isOurAmmunition(item: ItemDocument): boolean {
+  const isAmmunition = item.type === 'ammo' ||
+    (item.type === 'consumable' && item.system?.category === 'ammo');
+  if (!isAmmunition) {
+    return false;
+  }
+
+  const source = item._stats?.compendiumSource ?? item.flags?.core?.sourceId ?? '';
+  return Boolean(item.flags?.[MODULE_ID]) || isModulePackUuid(source);
+}
+
+// Check whether a weapon is an equipped ranged weapon
+function isEquippedRangedWeapon(weapon: ItemDocument): boolean {
+  const equipped = weapon.isEquipped ?? weapon.system?.equipped?.carryType === 'held';
+  const ranged = weapon.isRanged ?? Boolean(weapon.system?.range);
+  return equipped && ranged;
+}
+
+// Offer to load newly added ammunition into the weapons that can fire it
+async function offerToLoad(ammo: ItemDocument, actor: ActorDocument): Promise<void> {
+  const weapons = Array.from(actor.items.values())
+    .filter((item: ItemDocument): boolean => item.type === 'weapon' && canFire(item, ammo));
+
+  if (weapons.length === 0) {
+    ui.notifications.warn(localize('Linking.NoWeapon', { actor: actor.name, item: ammo.name }));
+    return;
+  }
+
+  const targets = weapons.filter((weapon: ItemDocument): boolean =>
+    isEquippedRangedWeapon(weapon) && weapon.system?.selectedAmmoId !== ammo.id
+  );
+  if (targets.length === 0) {
+    return;
+  }
+
+  const weaponList = targets.map((weapon: ItemDocument): string => `<li>${escapeHtml(weapon.name)}</li>`).join('');
+  const load = await confirmDialog(
+    localize('Linking.Title'),
+    `<p>${localize('Linking.Prompt', { item: escapeHtml(ammo.name) })}</p><ul>${weaponList}</ul>`
+  );
+  if (!load) {
+    return;
+  }
+
+  for (const weapon of targets) {
+    await weapon.update({ 'system.selectedAmmoId': ammo.id });
+  }
+  ui.notifications.info(localize('Linking.Loaded', {
+    item: ammo.name,
+    weapons: targets.map((weapon: ItemDocument): string => weapon.name).join(', ')
+  }));
+}
+
+// Watch for our ammunition being added to characters
+export function registerAmmunitionLinking(): void {
+  Hooks.on('createItem', (item: ItemDocument, options: any, userId: string): void => {
+    // Only ask the user who added the item
+    if (userId !== game.user.id) {
+      return;
+    }
+
+    const actor = item.actor;
+    if (!actor || actor.type !== 'character' || !isOurAmmunition(item)) {
+      return;
+    }
+
+    offerToLoad(item, actor).catch((error: unknown): void => {
+      console.error('Prisha\'s Precious Projectiles: Error loading ammunition:', error);
+    });
+  });
+}
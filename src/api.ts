@@ -0,0 +1,213 @@
+/**
+ * Prisha's Precious Projectiles - Public API
+ * The API that macros and other modules reach through
+ * `game.modules.get('prishas-precious-projectiles').api`, and the hooks the
+ * module calls when ammunition is given to or used by an actor
+ */
+
+import { AmmunitionEntry, Coins, loadAmmunition, scalePrice } from './ammunition-catalog.js';
+import { isOurAmmunition } from './ammunition-linking.js';
+import { MODULE_ID } from './constants.js';
+import {
+  SynthesisRequest,
+  createSynthesizedAmmunition,
+  loadCatalog,
+  openSynthesisDialog,
+  synthesizeAmmunition
+} from './synthesis.js';
+import {
+  canFire,
+  filterCompatibleAmmunition,
+  findCompatibleAmmunition,
+  getBaseWeapons
+} from './weapon-compatibility.js';
+
+// Hooks called by the module. Both are called with Hooks.callAll, on the
+// client that gave or used the ammunition.
+export const HOOKS = {
+  // (actor, item, { uuid, packs, cost }) after ammunition is given to an actor
+  ammunitionGiven: `${MODULE_ID}.ammunitionGiven`,
+  // (actor, item, { quantity, remaining }) after the quantity of an actor's
+  // ammunition goes down or its stack is deleted, for whatever reason: PF2e
+  // does not mark what it spends on a Strike, so moving, selling or editing
+  // the ammunition calls it too
+  ammunitionConsumed: `${MODULE_ID}.ammunitionConsumed`
+};
+
+export interface AmmunitionQuery {
+  material?: string;
+  grade?: string;
+  // Only ammunition this weapon can fire
+  weapon?: ItemLike;
+}
+
+export interface MaterialSummary {
+  name: string;
+  rarity: string;
+  summary?: string;
+  grades: { name: string; level: number }[];
+}
+
+export interface GiveOptions {
+  // Number of packs to give (default 1)
+  packs?: number;
+  // Take the Price from the actor's coins (default false)
+  pay?: boolean;
+}
+
+export interface PrishasPreciousProjectilesApi {
+  hooks: typeof HOOKS;
+  findAmmunition(query?: AmmunitionQuery): Promise<AmmunitionEntry[]>;
+  getRecommendedGrade(level: number, material?: string): Promise<string | null>;
+  getMaterials(): Promise<MaterialSummary[]>;
+  giveAmmunition(actor: ActorDocument, ammunition: AmmunitionEntry | string, options?: GiveOptions): Promise<ItemDocument | null>;
+  canFire: typeof canFire;
+  filterCompatibleAmmunition: typeof filterCompatibleAmmunition;
+  findCompatibleAmmunition: typeof findCompatibleAmmunition;
+  getBaseWeapons: typeof getBaseWeapons;
+  synthesizeAmmunition(request: SynthesisRequest): Promise<Record<string, any>>;
+  createSynthesizedAmmunition: typeof createSynthesizedAmmunition;
+  openSynthesisDialog(): Promise<void>;
+}
+
+// Find the ammunition in our compendium by material, grade and the weapon
+// that fires it. Names are matched without regard to case.
+export async function findAmmunition(query: AmmunitionQuery = {}): Promise<AmmunitionEntry[]> {
+  const matches = (value: string, wanted?: string): boolean =>
+    !wanted || value.toLowerCase() === wanted.toLowerCase();
+
+  const ammunition = (await loadAmmunition()).filter((entry: AmmunitionEntry): boolean =>
+    matches(entry.material, query.material) && matches(entry.grade, query.grade)
+  );
+  if (!query.weapon) {
+    return ammunition;
+  }
+
+  const fits = filterCompatibleAmmunition(query.weapon, ammunition.map((entry: AmmunitionEntry) => entry.index));
+  return ammunition.filter((entry: AmmunitionEntry): boolean => fits.includes(entry.index));
+}
+
+// List the materials the module supports, with their grades in level order
+export async function getMaterials(): Promise<MaterialSummary[]> {
+  const catalog = await loadCatalog();
+
+  return Object.entries(catalog.weaponMaterials)
+    .filter(([name]: [string, unknown]): boolean => !name.startsWith('.'))
+    .map(([name, config]): MaterialSummary => ({
+      name,
+      rarity: config.rarity ?? 'common',
+      summary: config.summary,
+      grades: Object.entries(config.grades)
+        .map(([grade, gradeConfig]): { name: string; level: number } => ({ name: grade, level: gradeConfig.level }))
+        .sort((a: { level: number }, b: { level: number }): number => a.level - b.level)
+    }));
+}
+
+// Get the best grade a character of the given level can use: the highest
+// grade whose item level is no higher than the character's. Without a
+// material, a grade counts when any material offers it at that level.
+export async function getRecommendedGrade(level: number, material?: string): Promise<string | null> {
+  const materials = (await getMaterials()).filter((summary: MaterialSummary): boolean =>
+    !material || summary.name.toLowerCase() === material.toLowerCase()
+  );
+  if (material && materials.length === 0) {
+    throw new Error(`Unknown material: ${material}`);
+  }
+
+  let recommended: { name: string; level: number } | null = null;
+  for (const summary of materials) {
+    for (const grade of summary.grades) {
+      if (grade.level <= level && (!recommended || grade.level > recommended.level)) {
+        recommended = grade;
+      }
+    }
+  }
+  return recommended?.name ?? null;
+}
+
+// Give ammunition from our compendium to an actor, given its entry or UUID.
+// Returns the new item, or null if the actor could not pay for it.
+export async function giveAmmunition(
+  actor: ActorDocument,
+  ammunition: AmmunitionEntry | string,
+  options: GiveOptions = {}
+): Promise<ItemDocument | null> {
+  const uuid = typeof ammunition === 'string' ? ammunition : ammunition.uuid;
+  const packs = Math.max(1, Math.floor(options.packs ?? 1));
+
+  const source = await fromUuid(uuid);
+  if (!source) {
+    throw new Error(`Could not find ammunition ${uuid}`);
+  }
+
+  const data = source.toObject();
+  const cost: Coins = options.pay ? scalePrice(data.system.price?.value ?? {}, packs) : {};
+  if (options.pay) {
+    const paid = await actor.inventory?.removeCoins(cost);
+    if (!paid) {
+      return null;
+    }
+  }
+
+  data.system.quantity = (data.system.quantity ?? 1) * packs;
+  data._stats = { ...(data._stats ?? {}), compendiumSource: uuid };
+  const [item] = await actor.createEmbeddedDocuments('Item', [data]);
+
+  Hooks.callAll(HOOKS.ammunitionGiven, actor, item, { uuid, packs, cost });
+  return item;
+}
+
+// Call the consumed hook when the quantity of our ammunition on an actor goes
+// down, as it does when PF2e spends ammunition on a Strike, or when the stack
+// is deleted, as PF2e does instead when the last piece is used. Neither is
+// told apart from other changes, such as a stack dragged to another actor.
+export function registerApiHooks(): void {
+  Hooks.on('preUpdateItem', (item: ItemDocument, changes: Record<string, any>, options: Record<string, any>): void => {
+    if (item.actor && changes.system?.quantity !== undefined && isOurAmmunition(item)) {
+      options[MODULE_ID] = { quantity: item.system?.quantity ?? 0 };
+    }
+  });
+
+  Hooks.on('updateItem', (item: ItemDocument, changes: Record<string, any>, options: Record<string, any>, userId: string): void => {
+    const previous = options[MODULE_ID]?.quantity;
+    const remaining = item.system?.quantity ?? 0;
+    if (userId !== game.user.id || previous === undefined || remaining >= previous) {
+      return;
+    }
+
+    Hooks.callAll(HOOKS.ammunitionConsumed, item.actor, item, { quantity: previous - remaining, remaining });
+  });
+
+  Hooks.on('preDeleteItem', (item: ItemDocument, options: Record<string, any>): void => {
+    if (item.actor && isOurAmmunition(item)) {
+      options[MODULE_ID] = { quantity: item.system?.quantity ?? 0 };
+    }
+  });
+
+  Hooks.on('deleteItem', (item: ItemDocument, options: Record<string, any>, userId: string): void => {
+    const previous = options[MODULE_ID]?.quantity;
+    if (userId !== game.user.id || !previous) {
+      return;
+    }
+
+    Hooks.callAll(HOOKS.ammunitionConsumed, item.actor, item, { quantity: previous, remaining: 0 });
+  });
+}
+
+// Build the API object for game.modules
+export function createApi(): PrishasPreciousProjectilesApi {
+  return {
+    hooks: HOOKS,
+    findAmmunition,
+    getRecommendedGrade,
+    getMaterials,
+    giveAmmunition,
+    canFire,
+    filterCompatibleAmmunition,
+    findCompatibleAmmunition,
+    getBaseWeapons,
+    synthesizeAmmunition,
+    createSynthesizedAmmunition,
+    openSynthesisDialog
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Prisha's Precious Projectiles - Compendium browser integration
+ * Turns our packs on in their tabs of PF2e's compendium browser (the
+ * equipment tab, for the ammunition), as the module settings allow. The
+ * browser has changed shape between PF2e versions (an Application on Foundry
+ * v12, an ApplicationV2 on v13), so we look for the features we use rather
+ * than at version numbers. Syncing is idempotent: it
+ * only saves the browser's settings and refreshes its tabs when something
+ * changed, so it is safe to run on every event that might need it.
+ */
+
+import { getBrowserTab, getModulePacks } from './module-packs.js';
+import { getSetting, setSetting } from './settings.js';
+
+// PF2e's setting holding which packs each browser tab loads
+const BROWSER_PACKS_SETTING = 'compendiumBrowserPacks';
+
+export interface BrowserPackSettings {
+  load: boolean;
+  name: string;
+  package?: string;
+}
+
+type BrowserSettings = Record<string, Record<string, BrowserPackSettings> | undefined>;
+
+// The compendium browser, if PF2e has one
+function getBrowser(): CompendiumBrowser | null {
+  return game.system?.id === 'pf2e' ? game.pf2e?.compendiumBrowser ?? null : null;
+}
+
+// Find the browser's pack settings: on the browser itself where it has them,
+// otherwise in PF2e's world setting
+function getBrowserSettings(browser: CompendiumBrowser): BrowserSettings | null {
+  const settings = browser.settings ?? game.settings.get('pf2e', BROWSER_PACKS_SETTING);
+  return settings && typeof settings === 'object' ? settings : null;
+}
+
+// Make the browser reload its tabs, so that it picks up our packs
+function refreshBrowser(browser: CompendiumBrowser): void {
+  if (typeof browser.resetInitializedTabs === 'function') {
+    browser.resetInitializedTabs();
+    return;
+  }
+
+  for (const tab of Object.values(browser.tabs ?? {})) {
+    if (tab && typeof tab.isInitialized === 'boolean') {
+      tab.isInitialized = false;
+    }
+  }
+}
+
+// Work out whether our packs should be turned on, and do it. Returns whether
+// the browser's settings changed.
+async function enablePacks(browser: CompendiumBrowser): Promise<boolean> {
+  const packs = getModulePacks().filter((pack: CompendiumCollection<CompendiumDocument>): boolean =>
+    Boolean(getBrowserTab(pack))
+  );
+  if (!game.user.isGM || packs.length === 0 || !getSetting('autoEnablePack')) {
+    return false;
+  }
+
+  // Once we have turned the packs on, a GM who turns them off again means it
+  if (getSetting('respectManualChoice') && getSetting('packEnabled')) {
+    return false;
+  }
+
+  // A browser that has not listed its packs yet may not have ours
+  let settings = getBrowserSettings(browser);
+  const isListed = (pack: CompendiumCollection<CompendiumDocument>): boolean =>
+    Boolean(settings?.[getBrowserTab(pack) as string]?.[pack.collection]);
+  if (!packs.every(isListed) && typeof browser.initCompendiumList === 'function') {
+    browser.initCompendiumList();
+    settings = getBrowserSettings(browser);
+  }
+
+  if (!settings) {
+    return false;
+  }
+
+  let changed = false;
+  let enabled = false;
+  for (const pack of packs) {
+    const tabSettings = settings[getBrowserTab(pack) as string];
+    if (!tabSettings) {
+      continue;
+    }
+
+    enabled = true;
+    const packSettings = tabSettings[pack.collection];
+    if (packSettings?.load !== true) {
+      tabSettings[pack.collection] = { ...packSettings, load: true, name: packSettings?.name ?? pack.metadata.label };
+      changed = true;
+    }
+  }
+
+  if (!enabled) {
+    return false;
+  }
+
+  if (changed) {
+    await game.settings.set('pf2e', BROWSER_PACKS_SETTING, settings);
+  }
+
+  if (!getSetting('packEnabled')) {
+    await setSetting('packEnabled', true);
+  }
+  return changed;
+}
+
+let syncing: Promise<boolean> = Promise.resolve(false);
+
+// Bring the compendium browser into line with the module settings. Calls are
+// queued, so that overlapping events do not save twice. Resolves to whether
+// anything changed.
+export function syncCompendiumBrowser(): Promise<boolean> {
+  const sync = async (): Promise<boolean> => {
+    const browser = getBrowser();
+    if (!browser) {
+      return false;
+    }
+
+    try {
+      const changed = await enablePacks(browser);
+      if (changed) {
+        refreshBrowser(browser);
+      }
+      return changed;
+    } catch (error) {
+      console.error('Prisha\'s Precious Projectiles: Error during browser integration:', error);
+      return false;
+    }
+  };
+
+  syncing = syncing.then(sync, sync);
+  return syncing;
+}
+
+// Sync when the world is ready and whenever the browser is opened, in case
+// PF2e had not set it up by the time the world was ready
+export function registerCompendiumBrowserIntegration(): void {
+  Hooks.once('ready', (): void => {
+    syncCompendiumBrowser();
+  });
+
+  Hooks.on('renderCompendiumBrowser', (): void => {
+    syncCompendiumBrowser();
+  });
+}
@@ -0,0 +1,6 @@
+/**
+ * Prisha's Precious Projectiles - Shared identifiers
+ */
+
+// The module's ID, which also namespaces its flags and settings
+export const MODULE_ID = 'prishas-precious-projectiles';
@@ -0,0 +1,85 @@
+/**
+ * Prisha's Precious Projectiles - Dialogs
+ * Small wrappers over Foundry's dialog APIs, using DialogV2 where the Foundry
+ * version has it (v13) and Dialog otherwise (v12)
+ */
+
+export function escapeHtml(text: string): string {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Get the DialogV2 class, if this Foundry version has it
+function dialogV2(): any {
+  return foundry?.applications?.api?.DialogV2 ?? null;
+}
+
+// Get a dialog's root element from whatever the render callback was given
+function dialogElement(html: any): HTMLElement {
+  return html instanceof HTMLElement ? html : html[0];
+}
+
+// Ask a yes/no question
+export async function confirmDialog(title: string, content: string): Promise<boolean> {
+  const DialogV2 = dialogV2();
+  if (DialogV2) {
+    return Boolean(await DialogV2.confirm({ window: { title }, content }));
+  }
+  return Boolean(await Dialog.confirm({ title, content }));
+}
+
+export interface FormDialogOptions<T> {
+  title: string;
+  content: string;
+  label: string;
+  // Called once the dialog is shown, to wire up its controls
+  render?(element: HTMLElement): void;
+  // Called with the dialog's element when the user confirms
+  submit(element: HTMLElement): T;
+}
+
+// Show a form and resolve with the result of submit, or null if cancelled
+export async function formDialog<T>(options: FormDialogOptions<T>): Promise<T | null> {
+  const DialogV2 = dialogV2();
+
+  if (DialogV2) {
+    const result = await DialogV2.wait({
+      window: { title: options.title },
+      content: options.content,
+      buttons: [
+        {
+          action: 'submit',
+          label: options.label,
+          default: true,
+          callback: (event: Event, button: HTMLButtonElement, dialog: any): T =>
+            options.submit(dialog.element ?? dialog)
+        },
+        { action: 'cancel', label: game.i18n.localize('Cancel') }
+      ],
+      render: (event: Event, dialog: any): void => options.render?.(dialog.element ?? dialog),
+      rejectClose: false
+    });
+    return result === 'cancel' || result === null || result === undefined ? null : result;
+  }
+
+  return new Promise((resolve: (value: T | null) => void): void => {
+    new Dialog({
+      title: options.title,
+      content: options.content,
+      buttons: {
+        submit: {
+          label: options.label,
+          callback: (html: any): void => resolve(options.submit(dialogElement(html)))
+        },
+        cancel: {
+          label: game.i18n.localize('Cancel'),
+          callback: (): void => resolve(null)
+        }
+      },
+      default: 'submit',
+      render: (html: any): void => options.render?.(dialogElement(html)),
+      close: (): void => resolve(null)
+    }).render(true);
+  });
+}
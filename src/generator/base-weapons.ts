@@ -0,0 +1,35 @@
+/**
+ * Prisha's Precious Projectiles - Base weapons
+ * An ammunition type names the PF2e base weapons that fire it in
+ * `base_weapons`, by slug. When it does not, its `weapon_type` and that
+ * name's slug are used, which is right for the firearms and repeating
+ * crossbows that each take their own ammunition. Item descriptions list the base weapons, linked to
+ * PF2e's own entries where src/pf2e-references.yml has them.
+ */
+
+import { AmmoConfig } from './types.js';
+
+// Turn a weapon name into a PF2e slug, e.g. "Double-Barreled Musket" to
+// "double-barreled-musket"
+export function toWeaponSlug(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Get the names of the PF2e base weapons an ammunition type is for, by slug
+export function baseWeaponNames(ammunitionType: string, ammoConfig: AmmoConfig): Record<string, string> {
+  if (ammoConfig.base_weapons) {
+    return { ...ammoConfig.base_weapons };
+  }
+
+  const name = ammoConfig.weapon_type || ammunitionType;
+  return { [toWeaponSlug(name)]: name };
+}
+
+// Get the slugs of the PF2e base weapons an ammunition type is for
+export function getBaseWeapons(ammunitionType: string, ammoConfig: AmmoConfig): string[] {
+  return Object.keys(baseWeaponNames(ammunitionType, ammoConfig));
+}
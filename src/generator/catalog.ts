@@ -0,0 +1,11 @@
+/**
+ * Prisha's Precious Projectiles - Catalog entries
+ * The catalogs hold hidden templates, keys starting with ".", that only exist
+ * to be merged into other entries. Everything that goes through a catalog's
+ * entries leaves them out.
+ */
+
+// Get a catalog's entries as [name, entry] pairs, without the hidden templates
+export function catalogEntries<T>(catalog: Record<string, T> | null | undefined): [string, T][] {
+  return Object.entries(catalog || {}).filter(([name]: [string, T]): boolean => !name.startsWith('.'));
+}
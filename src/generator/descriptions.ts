@@ -0,0 +1,80 @@
+/**
+ * Prisha's Precious Projectiles - Descriptions
+ * Builds the system.description.value of a generated item: the rendered
+ * description_template, followed by the material's rules summary and links to
+ * the material and the weapons the ammunition is for. Links use @UUID
+ * references to the PF2e system's own entries where we know them and fall
+ * back to Archives of Nethys.
+ */
+
+import { MaterialConfig, References } from './types.js';
+
+const HTML_ESCAPES: Record<string, string> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+export function escapeHtml(text: string): string {
+  return String(text).replace(/[&<>"']/g, (character: string): string => HTML_ESCAPES[character]);
+}
+
+// Make a link to a rules entry: an @UUID link if we have its UUID, an
+// Archives of Nethys link if we have a URL, or plain text otherwise
+export function formatLink(label: string, { uuid, url }: { uuid?: string; url?: string } = {}): string {
+  if (uuid) {
+    return `@UUID[${uuid}]{${label}}`;
+  }
+  if (url) {
+    return `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`;
+  }
+  return escapeHtml(label);
+}
+
+// Headings of the lines that follow the description, which a translation can
+// replace with its `labels`
+export const DESCRIPTION_LABELS: Record<string, string> = {
+  material: 'Material',
+  weapons: 'Weapons'
+};
+
+export interface DescriptionOptions {
+  description: string;
+  material: string;
+  materialConfig: MaterialConfig;
+  // The slugs of the base weapons the ammunition is for
+  weapons: string[];
+  references?: References;
+  // Names to show for the material and the weapons, instead of the material's
+  // catalog name and the weapons' slugs
+  names?: Record<string, string>;
+  labels?: Record<string, string>;
+}
+
+// Build the HTML description of a generated item
+export function buildDescriptionHtml({ description, material, materialConfig, weapons, references = {}, names = {}, labels = {} }: DescriptionOptions): string {
+  const label = (key: string): string => labels[key] || DESCRIPTION_LABELS[key];
+  const materialLink = formatLink(names[material] || material, {
+    uuid: materialConfig.uuid || references.materials?.[material],
+    url: materialConfig.reference
+  });
+  const weaponLinks = weapons.map((weapon: string): string =>
+    formatLink(names[weapon] || weapon, { uuid: references.weapons?.[weapon] })
+  );
+
+  const paragraphs = [`<p>${escapeHtml(description)}</p>`, '<hr />'];
+
+  if (materialConfig.summary) {
+    paragraphs.push(`<p><strong>${materialLink}</strong> ${escapeHtml(materialConfig.summary)}</p>`);
+  } else {
+    paragraphs.push(`<p><strong>${escapeHtml(label('material'))}</strong> ${materialLink}</p>`);
+  }
+
+  if (weaponLinks.length > 0) {
+    paragraphs.push(`<p><strong>${escapeHtml(label('weapons'))}</strong> ${weaponLinks.join(', ')}</p>`);
+  }
+
+  return paragraphs.join('\n');
+}
@@ -0,0 +1,14 @@
+/**
+ * Prisha's Precious Projectiles - Generator
+ * The ammunition generator shared by the build scripts and the runtime module
+ */
+
+export * from './types.js';
+export * from './catalog.js';
+export * from './pricing.js';
+export * from './templates.js';
+export * from './material-rules.js';
+export * from './descriptions.js';
+export * from './base-weapons.js';
+export * from './localization.js';
+export * from './item.js';
@@ -0,0 +1,237 @@
+/**
+ * Prisha's Precious Projectiles - Item generation
+ * Builds the Foundry item for one ammunition type × material × grade
+ * combination. Everything here is pure: the caller chooses the item's ID,
+ * folder and timestamps, so the same combination gives the same item at
+ * build time and at runtime. With a translation, the name and description are
+ * rendered in its language; everything else, the slug included, stays English.
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { baseWeaponNames, getBaseWeapons, toWeaponSlug } from './base-weapons.js';
+import { buildDescriptionHtml } from './descriptions.js';
+import { CatalogTranslation, localizeEntries } from './localization.js';
+import { applyBulkModifier, applyTraitChanges, buildItemRules, combineRarity } from './material-rules.js';
+import { calculatePrice, getPackBulk } from './pricing.js';
+import { TemplateContext, capitalize, createTemplateContext, renderTemplate, renderTemplateValue } from './templates.js';
+import { AmmoConfig, GradeConfig, KnownFields, MaterialConfig, References } from './types.js';
+
+export interface AmmunitionCombination {
+  ammunitionType: string;
+  ammoConfig: AmmoConfig;
+  material: string;
+  materialConfig: MaterialConfig;
+  grade: string;
+  gradeConfig: GradeConfig;
+  // Optional template fields, which render as empty when missing
+  knownFields?: KnownFields;
+  references?: References;
+  // The language to write the name and description in (see localization.ts)
+  translation?: CatalogTranslation;
+}
+
+export interface ItemPlacement {
+  id: string;
+  folderId: string | null;
+  // Milliseconds since the epoch, for _stats
+  now: number;
+  // The UUID to record as the item's compendium source, if it has one
+  compendiumSource?: string | null;
+}
+
+// Convert text to slug (lowercase, spaces and punctuation to hyphens)
+export function toSlug(text: string): string {
+  if (!text) return text;
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s_-]/g, '') // Remove punctuation except hyphens
+    .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
+    .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+}
+
+// Clean whitespace in text
+export function cleanWhitespace(text: string): string {
+  if (!text) return text;
+  return text
+    .replace(/\s+\./g, '.') // Remove spaces before periods
+    .replace(/\s+/g, ' ') // Fold multiple whitespace into single space
+    .trim();
+}
+
+function templateContext(combination: AmmunitionCombination): TemplateContext {
+  const { ammunitionType, ammoConfig, material, materialConfig, grade, gradeConfig } = combination;
+  return createTemplateContext(ammunitionType, ammoConfig, material, materialConfig, grade, gradeConfig);
+}
+
+// The combination with its translation laid over the entries, or as it is
+// if it has none
+function localizeCombination(combination: AmmunitionCombination): AmmunitionCombination {
+  const { translation, ammunitionType, ammoConfig, material, materialConfig, grade, gradeConfig } = combination;
+  if (!translation) {
+    return combination;
+  }
+  return {
+    ...combination,
+    ...localizeEntries(translation, ammunitionType, ammoConfig, material, materialConfig, grade, gradeConfig),
+    translation: undefined
+  };
+}
+
+function renderName(combination: AmmunitionCombination): string {
+  const { ammoConfig, knownFields = {} } = combination;
+  return cleanWhitespace(
+    renderTemplate(ammoConfig.title_template || "{material} {name} ({grade})", templateContext(combination), knownFields)
+  );
+}
+
+// Render the name and slug of the item for a combination. The slug always
+// comes from the English name, so that translated items keep their slug.
+export function ammunitionName(combination: AmmunitionCombination): { name: string; slug: string } {
+  return { name: renderName(localizeCombination(combination)), slug: toSlug(renderName(combination)) };
+}
+
+// Build the item for a combination
+export function buildAmmunitionItem(combination: AmmunitionCombination, placement: ItemPlacement): Record<string, any> {
+  const { ammunitionType, ammoConfig, material, materialConfig, grade, gradeConfig, knownFields = {}, references = {} } = combination;
+  const { id, folderId, now, compendiumSource = null } = placement;
+
+  // Rules are rendered from the catalogs as they are, since roll options and
+  // the like must not change with the language
+  const context = templateContext(combination);
+  const localized = localizeCombination(combination);
+  const localizedContext = templateContext(localized);
+  const { name, slug } = ammunitionName(combination);
+  const baseWeapons = getBaseWeapons(ammunitionType, ammoConfig);
+
+  // Name each base weapon in the language: by its own translation, by the
+  // weapon_type if it is that weapon, or else as the catalog names it
+  const weaponTypeSlug = toWeaponSlug(ammoConfig.weapon_type || ammunitionType);
+  const catalogNames = baseWeaponNames(ammunitionType, ammoConfig);
+  const weaponNames = Object.fromEntries(baseWeapons.map((weapon: string): [string, string] => [
+    weapon,
+    combination.translation?.weapons?.[weapon] ||
+      (weapon === weaponTypeSlug ? localizedContext.scopes.ammo.weapon_type : catalogNames[weapon])
+  ]));
+
+  // Start the description with a capital, leaving the rest as written, then
+  // wrap it in HTML with the material's rules and links
+  const description = buildDescriptionHtml({
+    description: cleanWhitespace(capitalize(
+      renderTemplate(localized.ammoConfig.description_template || "Standard ammunition.", localizedContext, knownFields)
+    )),
+    material,
+    materialConfig: localized.materialConfig,
+    weapons: baseWeapons,
+    references,
+    names: {
+      ...weaponNames,
+      [material]: localizedContext.scopes.material.name
+    },
+    labels: combination.translation?.labels
+  });
+
+  // Price the pack from the material's base Price and Price per Bulk, using
+  // the pack's usual Bulk rather than any the material modifies
+  const bulk = getPackBulk(ammoConfig);
+  const price = calculatePrice(gradeConfig, bulk);
+
+  return {
+    name: name,
+    type: "consumable",
+    effects: [],
+    system: {
+      description: {
+        gm: "",
+        value: description
+      },
+      rules: renderTemplateValue(buildItemRules(ammoConfig, material, materialConfig), context, knownFields),
+      slug: slug,
+      traits: {
+        otherTags: [],
+        value: applyTraitChanges(ammoConfig.traits || ["consumable"], materialConfig),
+        rarity: combineRarity(ammoConfig, materialConfig)
+      },
+      publication: {
+        title: "Prisha's Precious Projectiles",
+        authors: "John Carney",
+        license: "OGL",
+        remaster: true
+      },
+      level: {
+        value: gradeConfig.level
+      },
+      quantity: ammoConfig.quantity || 1,
+      // Ammunition has no base item; the base weapons are in the flags
+      baseItem: null,
+      bulk: {
+        value: applyBulkModifier(bulk, materialConfig.bulk_modifier)
+      },
+      hp: {
+        value: 0,
+        max: 0
+      },
+      hardness: 0,
+      price: {
+        value: price,
+        per: ammoConfig.quantity || 1
+      },
+      equipped: {
+        carryType: "worn"
+      },
+      containerId: null,
+      size: "med",
+      material: {
+        type: null,
+        grade: null
+      },
+      identification: {
+        status: "identified",
+        unidentified: {
+          name: "Unusual Object",
+          img: "systems/pf2e/icons/unidentified_item_icons/other-consumables.webp",
+          data: {
+            description: {
+              value: ""
+            }
+          }
+        },
+        misidentified: {}
+      },
+      usage: {
+        value: "held-in-one-hand"
+      },
+      uses: {
+        value: ammoConfig.max_uses || 1,
+        max: ammoConfig.max_uses || 1,
+        autoDestroy: true
+      },
+      stackGroup: ammoConfig.stack_group || null,
+      spell: null,
+      category: "ammo"
+    },
+    img: ammoConfig.image || "systems/pf2e/icons/equipment/weapons/sling-bullets.webp",
+    folder: folderId,
+    ownership: {
+      default: 0
+    },
+    flags: {
+      [MODULE_ID]: {
+        generated: {
+          ammunition: ammunitionType,
+          material: material,
+          grade: grade
+        },
+        baseWeapons: baseWeapons
+      }
+    },
+    _stats: {
+      compendiumSource: compendiumSource,
+      duplicateSource: null,
+      systemId: "pf2e",
+      createdTime: now,
+      modifiedTime: now
+    },
+    _id: id,
+    sort: 0
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Prisha's Precious Projectiles - Localization
+ * Lays a translation from src/lang over the catalogs, so that an item's name
+ * and description can be rendered in another language. A translation only
+ * replaces text: names, templates, summaries, plurals and proper nouns. The
+ * catalog keys, and so slugs, flags, rules and prices, stay as they are.
+ */
+
+import { AmmoConfig, GradeConfig, MaterialConfig } from './types.js';
+
+export interface AmmoTranslation {
+  name?: string;
+  ammo_type?: string;
+  weapon_type?: string;
+  folder?: string;
+  title_template?: string;
+  description_template?: string;
+  plurals?: Record<string, string>;
+  proper_nouns?: string[];
+}
+
+export interface GradeTranslation {
+  name?: string;
+  limit?: string;
+}
+
+export interface MaterialTranslation {
+  name?: string;
+  summary?: string;
+  proper_nouns?: string[];
+  grades?: Record<string, GradeTranslation>;
+}
+
+// The catalog part of a parsed src/lang/<lang>.yml
+export interface CatalogTranslation {
+  ammunition_types?: Record<string, AmmoTranslation>;
+  weapon_materials?: Record<string, MaterialTranslation>;
+  // Grade names and limits shared by every material
+  grades?: Record<string, GradeTranslation>;
+  // The headings of the description's rules lines (see descriptions.ts)
+  labels?: Record<string, string>;
+  // The names of base weapons, by slug
+  weapons?: Record<string, string>;
+}
+
+// Copy the fields a translation sets over an entry. Lists and mappings, such
+// as plurals, are replaced outright: English plurals make no sense in German.
+function overlay<T extends Record<string, any>>(entry: T, translation: Record<string, any> | undefined): T {
+  const result: Record<string, any> = { ...entry };
+  for (const [field, value] of Object.entries(translation || {})) {
+    if (value !== undefined && value !== null) {
+      result[field] = value;
+    }
+  }
+  return result as T;
+}
+
+// Translate the entries of an ammunition type × material × grade combination
+export function localizeEntries(
+  translation: CatalogTranslation,
+  ammunitionType: string,
+  ammoConfig: AmmoConfig,
+  material: string,
+  materialConfig: MaterialConfig,
+  grade: string,
+  gradeConfig: GradeConfig
+): { ammoConfig: AmmoConfig; materialConfig: MaterialConfig; gradeConfig: GradeConfig } {
+  const { grades: materialGrades, ...materialTranslation } = translation.weapon_materials?.[material] || {};
+
+  return {
+    ammoConfig: overlay(ammoConfig, translation.ammunition_types?.[ammunitionType]),
+    materialConfig: overlay(materialConfig, materialTranslation),
+    gradeConfig: overlay(overlay(gradeConfig, translation.grades?.[grade]), materialGrades?.[grade])
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Prisha's Precious Projectiles - Material rules
+ * By default a material adds itself to the Strikes made with the ammunition
+ * (an AdjustStrike rule element with the material's slug), which is how the
+ * PF2e system applies weaknesses and resistances to cold iron, silver and so
+ * on. Materials can instead give their own `rules` (to which ammunition
+ * types can add more), change the item's `traits`, adjust its Bulk with
+ * `bulk_modifier`, or limit the ammunition they can be used for with
+ * `restrictions`. Ammunition is as rare as the rarer of its type and material.
+ */
+
+import { AmmoConfig, MaterialConfig } from './types.js';
+
+// Get the PF2e slug of a material, e.g. "cold-iron"
+export function materialSlug(material: string, materialConfig: MaterialConfig): string {
+  return materialConfig.slug || material.toLowerCase().replace(/\s+/g, '-');
+}
+
+// Build the rule element templates for ammunition made from a material: the
+// material's own (or the default AdjustStrike), then any the ammunition type
+// adds. Render them with renderTemplateValue.
+export function buildItemRules(ammoConfig: AmmoConfig, material: string, materialConfig: MaterialConfig): Record<string, any>[] {
+  const materialRules = materialConfig.rules || [
+    {
+      key: "AdjustStrike",
+      mode: "add",
+      property: "materials",
+      value: materialSlug(material, materialConfig),
+      definition: [
+        "item:id:{item|id}"
+      ]
+    }
+  ];
+
+  return structuredClone([...materialRules, ...(ammoConfig.rules || [])]);
+}
+
+// Apply a material's trait changes to an ammunition type's traits
+export function applyTraitChanges(traits: string[], materialConfig: MaterialConfig): string[] {
+  const { add = [], remove = [] } = materialConfig.traits || {};
+  const result = traits.filter((trait: string): boolean => !remove.includes(trait));
+
+  for (const trait of add) {
+    if (!result.includes(trait)) {
+      result.push(trait);
+    }
+  }
+
+  return result;
+}
+
+// PF2e's rarities, from most to least common
+export const RARITIES = ["common", "uncommon", "rare", "unique"];
+
+// Get the rarity of ammunition made from a material: the rarer of the
+// ammunition type's and the material's, so uncommon adamantine makes
+// uncommon arrows and rare ammunition stays rare in cold iron
+export function combineRarity(ammoConfig: AmmoConfig, materialConfig: MaterialConfig): string {
+  const rarities = [ammoConfig.rarity || "common", materialConfig.rarity || "common"];
+  return rarities.reduce((rarest: string, rarity: string): string =>
+    RARITIES.indexOf(rarity) > RARITIES.indexOf(rarest) ? rarity : rarest
+  );
+}
+
+// Apply a material's Bulk modifier. As with dawnsilver, an item of 1 Bulk
+// becomes light and light items are unaffected.
+export function applyBulkModifier(bulk: number, modifier: number = 0): number {
+  if (!modifier || bulk < 1) {
+    return bulk;
+  }
+
+  const modified = bulk + modifier;
+  return modified < 1 ? 0.1 : modified;
+}
+
+// Check whether a material may be used for an ammunition type. Each field
+// named in the material's `restrictions` lists the values it allows.
+export function meetsRestrictions(ammunitionType: string, ammoConfig: AmmoConfig, materialConfig: MaterialConfig): boolean {
+  const values: Record<string, string> = {
+    ammunition: ammunitionType,
+    ammo_type: ammoConfig.ammo_type || ammunitionType,
+    weapon_type: ammoConfig.weapon_type || ammunitionType
+  };
+
+  return Object.entries(materialConfig.restrictions || {}).every(([field, allowed]: [string, string[]]): boolean =>
+    allowed.includes(values[field])
+  );
+}
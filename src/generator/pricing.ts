@@ -0,0 +1,54 @@
+/**
+ * Prisha's Precious Projectiles - Pricing
+ * Precious material weapons are priced as a base Price plus a Price per Bulk
+ * of the item. Ammunition is sold in packs (10 arrows, a magazine of 5 bolts,
+ * 5 scattergun rounds and so on), so the Bulk used is the Bulk of one pack.
+ */
+
+import { AmmoConfig, Coins, GradeConfig } from './types.js';
+
+// Bulk of a pack when the ammunition type does not declare one (light Bulk)
+export const DEFAULT_PACK_BULK = 0.1;
+
+// Value of each coin denomination in copper pieces, largest first. Platinum
+// is left out so that prices read the way they do in the rulebooks.
+const COIN_VALUES: [keyof Coins, number][] = [
+  ['gp', 100],
+  ['sp', 10],
+  ['cp', 1]
+];
+
+// Get the Bulk of one pack of an ammunition type, where light Bulk is 0.1
+export function getPackBulk(ammoConfig: AmmoConfig): number {
+  const bulk = ammoConfig.bulk ?? DEFAULT_PACK_BULK;
+
+  if (typeof bulk !== 'number' || !Number.isFinite(bulk) || bulk < 0) {
+    throw new Error(`Invalid bulk: ${bulk}`);
+  }
+
+  return bulk;
+}
+
+// Convert an amount in gold pieces to PF2e coins, e.g. 40.4 to { gp: 40, sp: 4 }
+export function toCoins(gp: number): Coins {
+  let copper = Math.round(gp * 100);
+  const coins: Coins = {};
+
+  for (const [denomination, value] of COIN_VALUES) {
+    const count = Math.floor(copper / value);
+    if (count > 0) {
+      coins[denomination] = count;
+      copper -= count * value;
+    }
+  }
+
+  return coins;
+}
+
+// Calculate the Price of one pack of precious material ammunition
+export function calculatePrice(gradeConfig: GradeConfig, bulk: number): Coins {
+  const basePrice = gradeConfig.base_price || 0;
+  const pricePerBulk = gradeConfig.price_per_bulk || 0;
+
+  return toCoins(basePrice + pricePerBulk * bulk);
+}
@@ -0,0 +1,305 @@
+/**
+ * Prisha's Precious Projectiles - Templates
+ * Renders title_template, description_template and rule element templates.
+ * Placeholders are written in braces and may be followed by filters:
+ *
+ *   {material}               the material name
+ *   {grade}                  the grade name
+ *   {name}                   the ammunition type name
+ *   {weapon_type}            any field of the ammunition type entry
+ *   {material.rarity}        any field of the material entry
+ *   {grade.level}            any field of the grade entry
+ *   {ammo.quantity}          the ammunition type entry, spelt out in full
+ *   {weapon_type.plural}     the plural of a value (see `plurals` below)
+ *   {grade|lower}            a value with a case filter applied
+ *
+ * Sections render their contents only when a value is present (or, with ^,
+ * only when it is missing):
+ *
+ *   {#grade.limit} {grade.limit}{/grade.limit}
+ *   {^grade.limit} of any level{/grade.limit}
+ *
+ * Rule elements (see `rules` in the catalogs) are rendered the same way, field
+ * by field. A field that is just one placeholder keeps the value's type, so
+ * `value: "{grade.level}"` gives a number. Foundry's own rule element
+ * placeholders, such as {item|id} and {actor|level}, are left as they are.
+ *
+ * Plurals are formed with the usual English rules unless the ammunition type
+ * gives one in its `plurals` mapping, e.g. `plurals: { weapon_type: Knuckle Dusters }`.
+ * Case filters leave words listed in an entry's `proper_nouns` untouched.
+ *
+ * Names are the catalog keys, unless a translation gives the entry a `name`.
+ */
+
+import { materialSlug } from './material-rules.js';
+import { AmmoConfig, GradeConfig, KnownFields, MaterialConfig } from './types.js';
+
+// Scopes that a placeholder's first segment may name
+const SCOPES = ['ammo', 'material', 'grade'];
+
+// Objects that Foundry's rule element placeholders refer to, e.g. {item|id}
+const FOUNDRY_PLACEHOLDER_OBJECTS = ['actor', 'item', 'rule'];
+
+type Filter = (value: string, properNouns: string[]) => string;
+
+export const FILTERS: Record<string, Filter> = {
+  lower: (value: string, properNouns: string[]): string => mapWords(value, (word: string): string => word.toLowerCase(), properNouns),
+  upper: (value: string, properNouns: string[]): string => mapWords(value, (word: string): string => word.toUpperCase(), properNouns),
+  title: (value: string, properNouns: string[]): string => mapWords(value, capitalize, properNouns),
+  capitalize: (value: string): string => capitalize(value)
+};
+
+export type TemplateNode =
+  | { type: 'text'; text: string }
+  | { type: 'placeholder'; path: string; filters: string[] }
+  | { type: 'section'; path: string; inverted: boolean; children: TemplateNode[] };
+
+export interface TemplateContext {
+  scopes: Record<string, Record<string, any>>;
+  plurals: Record<string, string>;
+  properNouns: string[];
+}
+
+// Upper-case the first character, leaving the rest as written
+export function capitalize(text: string): string {
+  if (!text) return text;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Apply a change to each word (including each part of a hyphenated word),
+// skipping proper nouns
+function mapWords(text: string, change: (word: string) => string, properNouns: string[] = []): string {
+  let result = text;
+  const placeholders: string[] = [];
+
+  // Shield proper nouns (which may be several words) from the change
+  for (const noun of [...properNouns].sort((a: string, b: string): number => b.length - a.length)) {
+    result = result.split(noun).join(`\u0000${placeholders.length}\u0000`);
+    placeholders.push(noun);
+  }
+
+  result = result.replace(/[^\s\-\u0000]+/g, (word: string): string => change(word));
+
+  return result.replace(/\u0000(\d+)\u0000/g, (match: string, index: string): string => placeholders[Number(index)]);
+}
+
+// Form the plural of a noun phrase by pluralizing its last word
+export function pluralize(text: string): string {
+  if (!text) return text;
+
+  if (/(s|x|z|ch|sh)$/i.test(text)) {
+    return `${text}es`;
+  }
+  if (/[^aeiou]y$/i.test(text)) {
+    return `${text.slice(0, -1)}ies`;
+  }
+  return `${text}s`;
+}
+
+// Parse a template into a tree of text, placeholder and section nodes
+export function parseTemplate(template: string): TemplateNode[] {
+  const root = { children: [] as TemplateNode[] };
+  const stack: { path?: string; children: TemplateNode[] }[] = [root];
+  const tokenPattern = /\{([#^/]?)([^{}|]*)((?:\|[^{}|]*)*)\}/g;
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(tokenPattern)) {
+    const [token, sigil, rawPath, rawFilters] = match;
+    const index = match.index ?? 0;
+    const current = stack[stack.length - 1];
+    const path = rawPath.trim();
+
+    if (index > lastIndex) {
+      current.children.push({ type: 'text', text: template.slice(lastIndex, index) });
+    }
+    lastIndex = index + token.length;
+
+    if (!path) {
+      throw new Error(`Empty placeholder "${token}"`);
+    }
+
+    if (!sigil && rawFilters && FOUNDRY_PLACEHOLDER_OBJECTS.includes(path)) {
+      current.children.push({ type: 'text', text: token });
+      continue;
+    }
+
+    if (sigil === '#' || sigil === '^') {
+      const section: TemplateNode & { type: 'section' } = { type: 'section', path, inverted: sigil === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (current === root || current.path !== path) {
+        throw new Error(`Unexpected "{/${path}}"`);
+      }
+      stack.pop();
+    } else {
+      const filters = rawFilters.split('|').map((filter: string): string => filter.trim()).filter(Boolean);
+      for (const filter of filters) {
+        if (!FILTERS[filter]) {
+          throw new Error(`Unknown filter "${filter}"`);
+        }
+      }
+      current.children.push({ type: 'placeholder', path, filters });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section "{#${stack[stack.length - 1].path}}"`);
+  }
+
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', text: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+// List every placeholder and section path used by a template, e.g.
+// ["material", "grade.limit"]
+export function templatePaths(template: string): string[] {
+  const paths: string[] = [];
+  const visit = (nodes: TemplateNode[]): void => {
+    for (const node of nodes) {
+      if (node.type !== 'text') {
+        paths.push(node.path);
+      }
+      if (node.type === 'section') {
+        visit(node.children);
+      }
+    }
+  };
+  visit(parseTemplate(template));
+  return paths;
+}
+
+// Split a placeholder path such as "weapon_type.plural" or "grade.limit" into
+// its scope, field and whether it asks for the plural. Paths without a scope
+// refer to the ammunition type entry.
+export function splitPath(path: string): { scope: string; field: string; plural: boolean } {
+  const segments = path.split('.');
+  const plural = segments.length > 1 && segments[segments.length - 1] === 'plural';
+  if (plural) {
+    segments.pop();
+  }
+
+  if (SCOPES.includes(segments[0])) {
+    return { scope: segments[0], field: segments.slice(1).join('.') || 'name', plural };
+  }
+  return { scope: 'ammo', field: segments.join('.'), plural };
+}
+
+// Build the values a template can refer to
+export function createTemplateContext(
+  ammunitionType: string,
+  ammoConfig: AmmoConfig,
+  material: string,
+  materialConfig: MaterialConfig,
+  grade: string,
+  gradeConfig: GradeConfig
+): TemplateContext {
+  // Translated entries have a name of their own (see localization.ts)
+  const ammoName = ammoConfig.name || ammunitionType;
+  return {
+    scopes: {
+      ammo: {
+        ...ammoConfig,
+        name: ammoName,
+        ammo_type: ammoConfig.ammo_type || ammoName,
+        weapon_type: ammoConfig.weapon_type || ammoName
+      },
+      material: { ...materialConfig, name: materialConfig.name || material, slug: materialSlug(material, materialConfig) },
+      grade: { ...gradeConfig, name: gradeConfig.name || grade }
+    },
+    plurals: ammoConfig.plurals || {},
+    properNouns: [...(ammoConfig.proper_nouns || []), ...(materialConfig.proper_nouns || [])]
+  };
+}
+
+// Look up a placeholder's value. Known fields that are not set render as "";
+// anything else that is missing is an error.
+function resolvePath(path: string, context: TemplateContext, knownFields: KnownFields = {}): string {
+  const { scope, field, plural } = splitPath(path);
+  const value = context.scopes[scope]?.[field];
+
+  if (value === undefined || value === null) {
+    if ((knownFields[scope] || []).includes(field)) {
+      return '';
+    }
+    throw new Error(`Unknown placeholder "{${path}}"`);
+  }
+
+  if (typeof value === 'object') {
+    throw new Error(`Placeholder "{${path}}" refers to a ${Array.isArray(value) ? 'list' : 'mapping'}, not a value`);
+  }
+
+  const text = String(value);
+  if (!plural) {
+    return text;
+  }
+
+  const override = scope === 'ammo' ? context.plurals[field] : undefined;
+  return override || pluralize(text);
+}
+
+// Render a template
+export function renderTemplate(template: string, context: TemplateContext, knownFields: KnownFields = {}): string {
+  const render = (nodes: TemplateNode[]): string => nodes.map((node: TemplateNode): string => {
+    switch (node.type) {
+      case 'text':
+        return node.text;
+
+      case 'section': {
+        const present = resolvePath(node.path, context, knownFields) !== '';
+        return present !== node.inverted ? render(node.children) : '';
+      }
+
+      default:
+        return node.filters.reduce(
+          (value: string, filter: string): string => FILTERS[filter](value, context.properNouns),
+          resolvePath(node.path, context, knownFields)
+        );
+    }
+  }).join('');
+
+  try {
+    return render(parseTemplate(template));
+  } catch (error) {
+    throw new Error(`${(error as Error).message} in template: ${template}`);
+  }
+}
+
+// Render every string in a rule element (or list of them), keeping the type
+// of fields that are a single placeholder
+export function renderTemplateValue(value: any, context: TemplateContext, knownFields: KnownFields = {}): any {
+  if (Array.isArray(value)) {
+    return value.map((item: any): any => renderTemplateValue(item, context, knownFields));
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]: [string, any]): [string, any] => [key, renderTemplateValue(item, context, knownFields)])
+    );
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  let nodes: TemplateNode[];
+  try {
+    nodes = parseTemplate(value);
+  } catch (error) {
+    throw new Error(`${(error as Error).message} in template: ${value}`);
+  }
+
+  const [node] = nodes;
+  if (nodes.length === 1 && node.type === 'placeholder' && node.filters.length === 0) {
+    const { scope, field, plural } = splitPath(node.path);
+    const raw = context.scopes[scope]?.[field];
+    if (!plural && (typeof raw === 'number' || typeof raw === 'boolean')) {
+      return raw;
+    }
+  }
+
+  return renderTemplate(value, context, knownFields);
+}
@@ -0,0 +1,59 @@
+/**
+ * Prisha's Precious Projectiles - Catalog types
+ * The shapes of the entries in ammunition-types.yml and weapon-materials.yml
+ */
+
+export interface AmmoConfig {
+  rarity?: string;
+  traits?: string[];
+  title_template?: string;
+  description_template?: string;
+  folder?: string;
+  weapon_type?: string;
+  base_weapons?: Record<string, string>;
+  ammo_type?: string;
+  image?: string;
+  quantity?: number;
+  max_uses?: number;
+  bulk?: number;
+  stack_group?: string;
+  plurals?: Record<string, string>;
+  proper_nouns?: string[];
+  rules?: Record<string, any>[];
+  [field: string]: any;
+}
+
+export interface GradeConfig {
+  level: number;
+  base_price: number;
+  price_per_bulk: number;
+  limit?: string;
+  [field: string]: any;
+}
+
+export interface MaterialConfig {
+  rarity?: string;
+  reference?: string;
+  summary?: string;
+  uuid?: string;
+  slug?: string;
+  grades: Record<string, GradeConfig>;
+  rules?: Record<string, any>[];
+  traits?: { add?: string[]; remove?: string[] };
+  bulk_modifier?: number;
+  restrictions?: Record<string, string[]>;
+  proper_nouns?: string[];
+  [field: string]: any;
+}
+
+// Parsed src/pf2e-references.yml
+export interface References {
+  materials?: Record<string, string>;
+  weapons?: Record<string, string>;
+}
+
+// Fields each template scope can refer to (see validate-catalogs.mjs)
+export type KnownFields = Record<string, string[]>;
+
+// PF2e coins
+export type Coins = Partial<Record<'pp' | 'gp' | 'sp' | 'cp', number>>;
@@ -0,0 +1,41 @@
+/**
+ * Prisha's Precious Projectiles - Localization
+ * Looks up the module's strings in Foundry's lang/<lang>.json files, which
+ * the build writes from src/lang, and registers the packs' translations with
+ * Babele for languages other than English
+ */
+
+import { MODULE_ID } from './constants.js';
+
+// The key the module's strings sit under in lang/<lang>.json
+export const I18N_NAMESPACE = 'PRISHAS_PRECIOUS_PROJECTILES';
+
+// The key of one of the module's strings, e.g. for a setting's name
+export function i18nKey(key: string): string {
+  return `${I18N_NAMESPACE}.${key}`;
+}
+
+// Get one of the module's strings, filling in any {placeholders}
+export function localize(key: string, data?: Record<string, string | number>): string {
+  return data ? game.i18n.format(i18nKey(key), data) : game.i18n.localize(i18nKey(key));
+}
+
+// Get the translated name of a material or grade, or the name itself if the
+// language does not translate it
+export function localizeName(kind: 'Materials' | 'Grades', name: string): string {
+  const key = i18nKey(`${kind}.${name}`);
+  return game.i18n.has(key) ? game.i18n.localize(key) : name;
+}
+
+// Register the Babele translations of our packs, which the build writes to
+// babele/<lang> for every language but English
+export function registerBabele(): void {
+  Hooks.once('babele.init', (babele: Babele): void => {
+    const languages = Array.from(game.modules.get(MODULE_ID)?.languages ?? []);
+    for (const { lang } of languages) {
+      if (lang !== 'en') {
+        babele.register({ module: MODULE_ID, lang, dir: `babele/${lang}` });
+      }
+    }
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * Prisha's Precious Projectiles - The module's compendium packs
+ * The packs are declared in src/packs.yml and listed in module.json by the
+ * build, so we find them by their collection IDs rather than by name
+ */
+
+import { MODULE_ID } from './constants.js';
+
+// The module's packs, optionally only those holding one type of document
+export function getModulePacks(type?: string): CompendiumCollection<CompendiumDocument>[] {
+  return Array.from(game.packs.values()).filter((pack: CompendiumCollection<CompendiumDocument>): boolean =>
+    pack.collection.startsWith(`${MODULE_ID}.`) && (!type || pack.metadata.type === type)
+  );
+}
+
+// The compendium browser tab a pack belongs in, if any (see its flags in
+// module.json)
+export function getBrowserTab(pack: CompendiumCollection<CompendiumDocument>): string | undefined {
+  return pack.metadata.flags?.pf2e?.compendiumBrowser?.category;
+}
+
+// Check whether a UUID points into one of the module's packs
+export function isModulePackUuid(uuid: string): boolean {
+  return uuid.startsWith(`Compendium.${MODULE_ID}.`);
+}
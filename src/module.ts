@@ -1,140 +1,45 @@
 /**
  * Prisha's Precious Projectiles - Module Initialization
- * Registers the compendium with PF2e's compendium browser
+ * Registers the compendium with PF2e's compendium browser as the module
+ * settings allow (see compendium-browser.ts), exposes the module's API (see
+ * api.ts), offers to load ammunition into weapons when it is added to a
+ * character, lets characters buy it from their sheet, lets GMs create it for
+ * weapons the compendium does not cover, and hands the packs' translations to
+ * Babele (see i18n.ts)
  */
 
-console.log('Prisha\'s Precious Projectiles: Module loaded');
-
-// Function to save compendium browser settings
-function saveCompendiumBrowserSettings(): void {
-  try {
-    if (game.pf2e?.compendiumBrowser?.settings) {
-      game.settings.set('pf2e', 'compendiumBrowserPacks', game.pf2e.compendiumBrowser.settings);
-    }
-  } catch (error) {
-    console.error('Prisha\'s Precious Projectiles: Error saving settings:', error);
-  }
-}
-
-// Function to enable our pack in settings
-function enableOurPack(): boolean {
-  try {
-    const packName = 'prishas-precious-projectiles.prishas-precious-projectiles';
-
-    if (game.pf2e?.compendiumBrowser?.settings?.equipment) {
-      const packSettings = game.pf2e.compendiumBrowser.settings.equipment[packName];
-      if (packSettings) {
-        packSettings.load = true;
-        saveCompendiumBrowserSettings();
-        return true;
-      }
-    }
-    return false;
-  } catch (error) {
-    console.error('Prisha\'s Precious Projectiles: Error enabling pack:', error);
-    return false;
-  }
-}
-
-// Initialize when Foundry is ready
-Hooks.once('ready', (): void => {
-  if (game.system?.id !== 'pf2e') {
-    return;
-  }
-
-  // Check if our pack exists
-  const packName = 'prishas-precious-projectiles.prishas-precious-projectiles';
-  const pack = game.packs.get(packName);
+import { MODULE_ID } from './constants.js';
+import { createApi, registerApiHooks } from './api.js';
+import { registerAmmunitionLinking } from './ammunition-linking.js';
+import { registerCompendiumBrowserIntegration, syncCompendiumBrowser } from './compendium-browser.js';
+import { registerBabele } from './i18n.js';
+import { registerPurchaseButton } from './purchase-dialog.js';
+import { registerSettings } from './settings.js';
+import { registerSynthesisButton } from './synthesis.js';
 
-  if (pack && game.pf2e?.compendiumBrowser) {
-    // Try to register our pack with the compendium browser
-    try {
-      // Initialize the compendium list
-      if (typeof game.pf2e.compendiumBrowser.initCompendiumList === 'function') {
-        game.pf2e.compendiumBrowser.initCompendiumList();
-      }
+console.log('Prisha\'s Precious Projectiles: Module loaded');
 
-      // Add our pack to equipment settings if not already present
-      if (game.pf2e.compendiumBrowser.settings?.equipment) {
-        const equipmentSettings = game.pf2e.compendiumBrowser.settings.equipment;
-        if (!equipmentSettings[packName]) {
-          equipmentSettings[packName] = {
-            load: true,
-            name: pack.metadata.label
-          };
-          saveCompendiumBrowserSettings();
-        } else {
-          // Ensure our pack is set to load: true
-          const packSettings = equipmentSettings[packName];
-          if (packSettings.load !== true) {
-            packSettings.load = true;
-            saveCompendiumBrowserSettings();
-          }
-        }
-      }
+// Babele may start before our init hook runs, so listen for it now
+registerBabele();
 
-      // Reset initialized tabs to force refresh
-      if (typeof game.pf2e.compendiumBrowser.resetInitializedTabs === 'function') {
-        game.pf2e.compendiumBrowser.resetInitializedTabs();
-      }
+// Register the settings, expose the API to macros and other modules, join
+// the compendium browser, watch for ammunition being added to and used by
+// characters, and add the purchase and synthesis buttons
+Hooks.once('init', (): void => {
+  registerSettings((): void => {
+    syncCompendiumBrowser();
+  });
 
-    } catch (error) {
-      console.error('Prisha\'s Precious Projectiles: Error during browser integration:', error);
-    }
+  const module = game.modules.get(MODULE_ID);
+  if (module) {
+    module.api = createApi();
   }
-});
-
-// Enable our pack when PF2e is ready
-Hooks.on('pf2e.ready', (): void => {
-  setTimeout((): void => {
-    enableOurPack();
-  }, 1000);
-});
-
-// Enable our pack when compendium browser is ready
-Hooks.on('pf2e.compendiumBrowser.ready', (): void => {
-  setTimeout((): void => {
-    enableOurPack();
-  }, 1000);
-});
-
-// Ensure our pack is enabled when compendium directory is opened
-Hooks.on('renderCompendiumDirectory', (app: any, html: any, data: any): void => {
-  if (game.system.id === 'pf2e') {
-    setTimeout((): void => {
-      try {
-        const packName = 'prishas-precious-projectiles.prishas-precious-projectiles';
-
-        if (game.pf2e?.compendiumBrowser) {
-          // Force a refresh of the compendium list
-          if (typeof game.pf2e.compendiumBrowser.initCompendiumList === 'function') {
-            game.pf2e.compendiumBrowser.initCompendiumList();
-          }
-
-          // Reset tabs
-          if (typeof game.pf2e.compendiumBrowser.resetInitializedTabs === 'function') {
-            game.pf2e.compendiumBrowser.resetInitializedTabs();
-          }
 
-          // Ensure our pack is enabled in settings
-          if (game.pf2e.compendiumBrowser.settings?.equipment) {
-            const equipmentSettings = game.pf2e.compendiumBrowser.settings.equipment;
-            const pack = game.packs.get(packName);
-            if (pack && !equipmentSettings[packName]) {
-              equipmentSettings[packName] = {
-                load: true,
-                name: pack.metadata.label
-              };
-              saveCompendiumBrowserSettings();
-            } else if (equipmentSettings[packName]) {
-              equipmentSettings[packName].load = true;
-              saveCompendiumBrowserSettings();
-            }
-          }
-        }
-      } catch (error) {
-        console.error('Prisha\'s Precious Projectiles: Error during directory integration:', error);
-      }
-    }, 500);
+  if (game.system?.id === 'pf2e') {
+    registerCompendiumBrowserIntegration();
+    registerApiHooks();
+    registerAmmunitionLinking();
+    registerPurchaseButton();
+    registerSynthesisButton();
   }
 });
@@ -0,0 +1,232 @@
+/**
+ * Prisha's Precious Projectiles - Purchase dialog
+ * Adds a "Buy Precious Ammunition" button to the inventory of PF2e character
+ * sheets. The dialog offers the ammunition in our compendium for one of the
+ * character's ranged weapons, by material and grade, and adds the chosen
+ * number of packs to the character, optionally paying for them.
+ */
+
+import { AmmunitionEntry, formatPrice, loadAmmunition, scalePrice } from './ammunition-catalog.js';
+import { getRecommendedGrade, giveAmmunition } from './api.js';
+import { escapeHtml, formDialog } from './dialogs.js';
+import { localize, localizeName } from './i18n.js';
+import { isSurfaced } from './settings.js';
+import { filterCompatibleAmmunition } from './weapon-compatibility.js';
+
+interface Purchase {
+  entry: AmmunitionEntry;
+  packs: number;
+  pay: boolean;
+}
+
+// Grades in the order they are offered
+const GRADES = ['Low-Grade', 'Standard-Grade', 'High-Grade'];
+
+// Get the character's ranged weapons
+function rangedWeapons(actor: ActorDocument): ItemDocument[] {
+  return Array.from(actor.items.values()).filter((item: ItemDocument): boolean =>
+    item.type === 'weapon' && (item.isRanged ?? Boolean(item.system?.range))
+  );
+}
+
+// Options for a select of materials or grades, showing their names in the
+// user's language
+function options(kind: 'Materials' | 'Grades', values: string[], selected?: string): string {
+  return values
+    .map((value: string): string =>
+      `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(localizeName(kind, value))}</option>`
+    )
+    .join('');
+}
+
+function unique(values: string[]): string[] {
+  return Array.from(new Set(values));
+}
+
+function renderContent(weapons: ItemDocument[]): string {
+  const weaponOptions = weapons
+    .map((weapon: ItemDocument): string => `<option value="${weapon.id}">${escapeHtml(weapon.name)}</option>`)
+    .join('');
+
+  return `
+    <form class="prishas-precious-projectiles-purchase">
+      <div class="form-group">
+        <label>${localize('Purchase.Weapon')}</label>
+        <select name="weapon">${weaponOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>${localize('Purchase.Material')}</label>
+        <select name="material"></select>
+      </div>
+      <div class="form-group">
+        <label>${localize('Purchase.Grade')}</label>
+        <select name="grade"></select>
+      </div>
+      <table>
+        <thead><tr><th></th><th>${localize('Purchase.Ammunition')}</th><th>${localize('Purchase.Level')}</th><th>${localize('Purchase.Price')}</th></tr></thead>
+        <tbody class="ammunition"></tbody>
+      </table>
+      <div class="form-group">
+        <label>${localize('Purchase.Packs')}</label>
+        <input type="number" name="packs" value="1" min="1" step="1" />
+      </div>
+      <div class="form-group">
+        <label>${localize('Purchase.Pay')}</label>
+        <input type="checkbox" name="pay" checked />
+      </div>
+    </form>`;
+}
+
+// The grade getRecommendedGrade gives each material for the character's level
+async function recommendedGrades(actor: ActorDocument, ammunition: AmmunitionEntry[]): Promise<Map<string, string | null>> {
+  const materials = unique(ammunition.map((entry: AmmunitionEntry): string => entry.material));
+  const grades = await Promise.all(materials.map((material: string) => getRecommendedGrade(actor.level ?? 0, material)));
+  return new Map(materials.map((material: string, index: number): [string, string | null] => [material, grades[index]]));
+}
+
+// Keep the material and grade choices and the list of ammunition in step
+// with the chosen weapon. The grade starts as the one recommended for the
+// character, for each material, until one is picked.
+function wireControls(
+  element: HTMLElement,
+  actor: ActorDocument,
+  ammunition: AmmunitionEntry[],
+  recommended: Map<string, string | null>
+): void {
+  const form = element.querySelector('form') as HTMLFormElement;
+  const weaponSelect = form.elements.namedItem('weapon') as HTMLSelectElement;
+  const materialSelect = form.elements.namedItem('material') as HTMLSelectElement;
+  const gradeSelect = form.elements.namedItem('grade') as HTMLSelectElement;
+  const list = form.querySelector('tbody.ammunition') as HTMLElement;
+  let gradePicked = false;
+
+  const compatible = (): AmmunitionEntry[] => {
+    const weapon = actor.items.get(weaponSelect.value);
+    if (!weapon) {
+      return [];
+    }
+    const fits = filterCompatibleAmmunition(weapon, ammunition.map((entry: AmmunitionEntry) => entry.index));
+    return ammunition.filter((entry: AmmunitionEntry): boolean => fits.includes(entry.index));
+  };
+
+  const update = (): void => {
+    const forWeapon = compatible();
+    const materials = unique(forWeapon.map((entry: AmmunitionEntry): string => entry.material)).sort();
+    materialSelect.innerHTML = options('Materials', materials, materialSelect.value);
+
+    const forMaterial = forWeapon.filter((entry: AmmunitionEntry): boolean => entry.material === materialSelect.value);
+    const grades = GRADES.filter((grade: string): boolean =>
+      forMaterial.some((entry: AmmunitionEntry): boolean => entry.grade === grade)
+    );
+    const grade = gradePicked ? gradeSelect.value : recommended.get(materialSelect.value) ?? gradeSelect.value;
+    gradeSelect.innerHTML = options('Grades', grades, grade);
+
+    const matches = forMaterial.filter((entry: AmmunitionEntry): boolean => entry.grade === gradeSelect.value);
+    list.innerHTML = matches.length > 0
+      ? matches.map((entry: AmmunitionEntry, index: number): string => `
+          <tr>
+            <td><input type="radio" name="ammunition" value="${escapeHtml(entry.uuid)}"${index === 0 ? ' checked' : ''} /></td>
+            <td>${escapeHtml(entry.name)}</td>
+            <td>${entry.level}</td>
+            <td>${formatPrice(entry.price)}</td>
+          </tr>`).join('')
+      : `<tr><td colspan="4">${localize('Purchase.NoAmmunition')}</td></tr>`;
+  };
+
+  weaponSelect.addEventListener('change', update);
+  materialSelect.addEventListener('change', update);
+  gradeSelect.addEventListener('change', (): void => {
+    gradePicked = true;
+    update();
+  });
+  update();
+}
+
+function readPurchase(element: HTMLElement, ammunition: AmmunitionEntry[]): Purchase | null {
+  const form = element.querySelector('form') as HTMLFormElement;
+  const selected = form.querySelector('input[name="ammunition"]:checked') as HTMLInputElement | null;
+  const entry = ammunition.find((candidate: AmmunitionEntry): boolean => candidate.uuid === selected?.value);
+  if (!entry) {
+    return null;
+  }
+
+  const packs = Math.max(1, Math.floor(Number((form.elements.namedItem('packs') as HTMLInputElement).value) || 1));
+  const pay = (form.elements.namedItem('pay') as HTMLInputElement).checked;
+  return { entry, packs, pay };
+}
+
+// Add the purchased ammunition to the character, paying for it if asked
+async function completePurchase(actor: ActorDocument, purchase: Purchase): Promise<void> {
+  const { entry, packs, pay } = purchase;
+  const cost = scalePrice(entry.price, packs);
+
+  let item: ItemDocument | null;
+  try {
+    item = await giveAmmunition(actor, entry, { packs, pay });
+  } catch (error) {
+    ui.notifications.error((error as Error).message);
+    return;
+  }
+
+  const names = { actor: actor.name, item: entry.name, price: formatPrice(cost) };
+  if (!item) {
+    ui.notifications.warn(localize('Purchase.CannotAfford', names));
+    return;
+  }
+
+  ui.notifications.info(localize(pay ? 'Purchase.Bought' : 'Purchase.Received', names));
+}
+
+// Open the purchase dialog for a character
+export async function openPurchaseDialog(actor: ActorDocument): Promise<void> {
+  const weapons = rangedWeapons(actor);
+  if (weapons.length === 0) {
+    ui.notifications.warn(localize('Purchase.NoRangedWeapons', { actor: actor.name }));
+    return;
+  }
+
+  const ammunition = (await loadAmmunition()).filter((entry: AmmunitionEntry): boolean =>
+    isSurfaced(entry.material, entry.grade)
+  );
+  const recommended = await recommendedGrades(actor, ammunition);
+  const purchase = await formDialog<Purchase | null>({
+    title: localize('Purchase.Title'),
+    content: renderContent(weapons),
+    label: localize('Purchase.Buy'),
+    render: (element: HTMLElement): void => wireControls(element, actor, ammunition, recommended),
+    submit: (element: HTMLElement): Purchase | null => readPurchase(element, ammunition)
+  });
+
+  if (purchase) {
+    await completePurchase(actor, purchase);
+  }
+}
+
+// Add the purchase button to the inventory of character sheets
+export function registerPurchaseButton(): void {
+  Hooks.on('renderCharacterSheetPF2e', (app: any, html: any): void => {
+    const actor: ActorDocument | undefined = app.actor;
+    if (!actor?.isOwner) {
+      return;
+    }
+
+    const root: HTMLElement | undefined = html instanceof HTMLElement ? html : html?.[0];
+    const inventory = root?.querySelector('.tab[data-tab="inventory"]');
+    if (!inventory || inventory.querySelector('.prishas-precious-projectiles-buy')) {
+      return;
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'prishas-precious-projectiles-buy';
+    button.innerHTML = `<i class="fa-solid fa-bow-arrow"></i> ${localize('Purchase.Button')}`;
+    button.addEventListener('click', (event: MouseEvent): void => {
+      event.preventDefault();
+      openPurchaseDialog(actor).catch((error: unknown): void => {
+        console.error('Prisha\'s Precious Projectiles: Error buying ammunition:', error);
+      });
+    });
+
+    inventory.prepend(button);
+  });
+}
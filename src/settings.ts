@@ -0,0 +1,100 @@
+/**
+ * Prisha's Precious Projectiles - Module settings
+ * World settings for how the module joins PF2e's compendium browser and which
+ * materials and grades its dialogs offer
+ */
+
+import { MODULE_ID } from './constants.js';
+import { i18nKey, localizeName } from './i18n.js';
+
+export interface ModuleSettings {
+  // Turn our packs on in the compendium browser
+  autoEnablePack: boolean;
+  // Turn it on only once, leaving it alone if a GM turns it off
+  respectManualChoice: boolean;
+  // Comma-separated material and grade names to offer, or empty for all
+  materials: string;
+  grades: string;
+  // Set once we have turned the packs on (not shown)
+  packEnabled: boolean;
+}
+
+// Read one of the module's settings
+export function getSetting<K extends keyof ModuleSettings>(key: K): ModuleSettings[K] {
+  return game.settings.get(MODULE_ID, key);
+}
+
+// Set one of the module's settings
+export function setSetting<K extends keyof ModuleSettings>(key: K, value: ModuleSettings[K]): Promise<any> {
+  return game.settings.set(MODULE_ID, key, value);
+}
+
+// Split a comma-separated setting into lower-case names
+function names(value: string): string[] {
+  return value
+    .split(',')
+    .map((name: string): string => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Check whether a setting's names include a material or grade, by its own
+// name or by its name in the user's language
+function includes(list: string[], kind: 'Materials' | 'Grades', name: string): boolean {
+  return list.length === 0 || list.includes(name.toLowerCase()) || list.includes(localizeName(kind, name).toLowerCase());
+}
+
+// Check whether the settings allow a material and grade to be offered
+export function isSurfaced(material: string, grade?: string): boolean {
+  return includes(names(getSetting('materials')), 'Materials', material) &&
+    (grade === undefined || includes(names(getSetting('grades')), 'Grades', grade));
+}
+
+// Register the settings. onBrowserSettingsChange is called when a setting
+// that affects the compendium browser changes. Names and hints are keys in
+// lang/<lang>.json, which Foundry localizes when it shows them.
+export function registerSettings(onBrowserSettingsChange: () => void): void {
+  game.settings.register(MODULE_ID, 'autoEnablePack', {
+    name: i18nKey('Settings.AutoEnablePack.Name'),
+    hint: i18nKey('Settings.AutoEnablePack.Hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: onBrowserSettingsChange
+  });
+
+  game.settings.register(MODULE_ID, 'respectManualChoice', {
+    name: i18nKey('Settings.RespectManualChoice.Name'),
+    hint: i18nKey('Settings.RespectManualChoice.Hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: onBrowserSettingsChange
+  });
+
+  game.settings.register(MODULE_ID, 'materials', {
+    name: i18nKey('Settings.Materials.Name'),
+    hint: i18nKey('Settings.Materials.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'grades', {
+    name: i18nKey('Settings.Grades.Name'),
+    hint: i18nKey('Settings.Grades.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'packEnabled', {
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false
+  });
+}
@@ -0,0 +1,284 @@
+/**
+ * Prisha's Precious Projectiles - Runtime synthesis
+ * Generates precious ammunition for ranged weapons the compendium does not
+ * cover, such as firearms without their own rounds, using the same catalogs
+ * and generator as the build. GMs can create it in a world compendium or give
+ * it to an actor.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { escapeHtml, formDialog } from './dialogs.js';
+import {
+  AmmoConfig,
+  CatalogTranslation,
+  KnownFields,
+  MaterialConfig,
+  References,
+  baseWeaponNames,
+  buildAmmunitionItem,
+  getBaseWeapons,
+  meetsRestrictions
+} from './generator/index.js';
+import { localize, localizeName } from './i18n.js';
+import { isSurfaced } from './settings.js';
+import { getWeaponSlug, getWeaponStackGroups } from './weapon-compatibility.js';
+
+// The catalogs as written to catalog.json by the build
+export interface Catalog {
+  ammunitionTypes: Record<string, AmmoConfig>;
+  weaponMaterials: Record<string, MaterialConfig>;
+  templateFields: KnownFields;
+  references: References;
+  // The languages that translate the catalogs, by language code
+  translations?: Record<string, CatalogTranslation>;
+}
+
+export interface SynthesisRequest {
+  weapon: ItemLike & { uuid?: string };
+  material: string;
+  grade: string;
+}
+
+// The PF2e compendium that weapons are picked from
+const SYSTEM_WEAPONS_PACK = 'pf2e.equipment-srd';
+
+// The catalog template used for firearms without their own ammunition type
+const FIREARM_TEMPLATE = '.rounds10';
+
+let catalogPromise: Promise<Catalog> | null = null;
+
+// Load catalog.json, once. getRoute adds the server's route prefix, if it
+// has one.
+export function loadCatalog(): Promise<Catalog> {
+  catalogPromise ??= fetch(foundry.utils.getRoute(`modules/${MODULE_ID}/catalog.json`)).then((response: Response): Promise<Catalog> => {
+    if (!response.ok) {
+      throw new Error(`Could not load catalog.json: ${response.status}`);
+    }
+    return response.json();
+  });
+  return catalogPromise;
+}
+
+// Find the ammunition type for a weapon: the catalog's own entry if it has
+// one, one made from the firearm template for a firearm that it lacks, or
+// else the entry for the ammunition the weapon takes or its group fires (as
+// bolts for an arbalest), extended to the weapon
+export function ammunitionTypeForWeapon(catalog: Catalog, weapon: ItemLike): { name: string; config: AmmoConfig } | null {
+  const slug = getWeaponSlug(weapon);
+  const entries = Object.entries(catalog.ammunitionTypes).filter(([name]: [string, AmmoConfig]): boolean => !name.startsWith('.'));
+
+  for (const [name, config] of entries) {
+    if (slug && getBaseWeapons(name, config).includes(slug)) {
+      return { name, config };
+    }
+  }
+  if (!slug) {
+    return null;
+  }
+
+  const template = catalog.ammunitionTypes[FIREARM_TEMPLATE];
+  if (weapon.system?.group === 'firearm' && template) {
+    return {
+      name: `${weapon.name} Rounds`,
+      config: { ...template, weapon_type: weapon.name, base_weapons: { [slug]: weapon.name } }
+    };
+  }
+
+  const stackGroups = getWeaponStackGroups(weapon);
+  for (const [name, config] of entries) {
+    if (config.stack_group && stackGroups.includes(config.stack_group)) {
+      return { name, config: { ...config, base_weapons: { ...baseWeaponNames(name, config), [slug]: weapon.name } } };
+    }
+  }
+
+  return null;
+}
+
+// Generate the item data for a weapon, material and grade, named and
+// described in the user's language if the catalogs are translated into it
+export async function synthesizeAmmunition(request: SynthesisRequest): Promise<Record<string, any>> {
+  const catalog = await loadCatalog();
+  const { weapon, material, grade } = request;
+
+  const ammunition = ammunitionTypeForWeapon(catalog, weapon);
+  if (!ammunition) {
+    throw new Error(localize('Synthesis.NoAmmunition', { weapon: weapon.name }));
+  }
+
+  const materialConfig = catalog.weaponMaterials[material];
+  const gradeConfig = materialConfig?.grades?.[grade];
+  if (!materialConfig || material.startsWith('.') || !gradeConfig) {
+    throw new Error(localize('Synthesis.UnknownMaterial', { material, grade }));
+  }
+  if (!meetsRestrictions(ammunition.name, ammunition.config, materialConfig)) {
+    throw new Error(localize('Synthesis.Restricted', { material: localizeName('Materials', material), ammunition: ammunition.name }));
+  }
+
+  // Link the description to the weapon picked, which ammunitionTypeForWeapon
+  // only finds for a weapon with a slug
+  const slug = getWeaponSlug(weapon) as string;
+  const references: References = {
+    materials: catalog.references.materials,
+    weapons: weapon.uuid ? { ...catalog.references.weapons, [slug]: weapon.uuid } : catalog.references.weapons
+  };
+
+  return buildAmmunitionItem(
+    {
+      ammunitionType: ammunition.name,
+      ammoConfig: ammunition.config,
+      material,
+      materialConfig,
+      grade,
+      gradeConfig,
+      knownFields: catalog.templateFields,
+      references,
+      translation: catalog.translations?.[game.i18n.lang]
+    },
+    {
+      id: foundry.utils.randomID(),
+      folderId: null,
+      now: Date.now()
+    }
+  );
+}
+
+// Create synthesized ammunition in a compendium, reusing an item with the
+// same slug if there is one, or give it to an actor
+export async function createSynthesizedAmmunition(
+  request: SynthesisRequest,
+  target: ActorDocument | CompendiumCollection<CompendiumDocument>
+): Promise<any> {
+  const data = await synthesizeAmmunition(request);
+
+  if ('createEmbeddedDocuments' in target) {
+    const [item] = await target.createEmbeddedDocuments('Item', [data]);
+    return item;
+  }
+
+  const index = await target.getIndex({ fields: ['system.slug'] });
+  const existing = Array.from(index.values()).find((entry: CompendiumIndexData): boolean =>
+    entry.system?.slug === data.system.slug
+  );
+  if (existing) {
+    return target.getDocument(existing._id);
+  }
+
+  return Item.create(data, { pack: target.collection });
+}
+
+// World item compendiums that the GM can add ammunition to
+function worldItemPacks(): CompendiumCollection<CompendiumDocument>[] {
+  return Array.from(game.packs.values()).filter((pack: CompendiumCollection<CompendiumDocument>): boolean =>
+    pack.metadata.type === 'Item' && pack.metadata.packageType === 'world' && !pack.locked
+  );
+}
+
+// Open the GM dialog for synthesizing ammunition
+export async function openSynthesisDialog(): Promise<void> {
+  const catalog = await loadCatalog();
+  const systemPack = game.packs.get(SYSTEM_WEAPONS_PACK);
+  if (!systemPack) {
+    ui.notifications.error(localize('Synthesis.NoEquipmentPack'));
+    return;
+  }
+
+  const index = await systemPack.getIndex({ fields: ['system.baseItem', 'system.slug', 'system.group', 'system.range'] });
+  const weapons = Array.from(index.values())
+    .filter((entry: CompendiumIndexData): boolean =>
+      entry.type === 'weapon' && Boolean(entry.system?.range) && ammunitionTypeForWeapon(catalog, entry) !== null
+    )
+    .sort((a: CompendiumIndexData, b: CompendiumIndexData): number => a.name.localeCompare(b.name));
+
+  const materials = Object.entries(catalog.weaponMaterials).filter(([name]: [string, MaterialConfig]): boolean =>
+    !name.startsWith('.') && isSurfaced(name)
+  );
+  const packs = worldItemPacks();
+  const actors = Array.from(game.actors.values()).filter((actor: ActorDocument): boolean => actor.type === 'character');
+
+  const content = `
+    <form class="prishas-precious-projectiles-synthesis">
+      <div class="form-group">
+        <label>${localize('Synthesis.Weapon')}</label>
+        <select name="weapon">${weapons.map((weapon: CompendiumIndexData): string =>
+          `<option value="${weapon._id}">${escapeHtml(weapon.name)}</option>`).join('')}</select>
+      </div>
+      <div class="form-group">
+        <label>${localize('Synthesis.MaterialAndGrade')}</label>
+        <select name="grade">${materials.map(([material, config]: [string, MaterialConfig]): string =>
+          Object.keys(config.grades)
+            .filter((grade: string): boolean => isSurfaced(material, grade))
+            .map((grade: string): string =>
+              `<option value="${escapeHtml(`${material}|${grade}`)}">${escapeHtml(localize('Synthesis.Option', {
+                material: localizeName('Materials', material),
+                grade: localizeName('Grades', grade)
+              }))}</option>`
+            ).join('')).join('')}</select>
+      </div>
+      <div class="form-group">
+        <label>${localize('Synthesis.AddTo')}</label>
+        <select name="target">
+          ${packs.map((pack: CompendiumCollection<CompendiumDocument>): string =>
+            `<option value="pack:${escapeHtml(pack.collection)}">${escapeHtml(pack.metadata.label)}</option>`).join('')}
+          ${actors.map((actor: ActorDocument): string =>
+            `<option value="actor:${actor.id}">${escapeHtml(actor.name)}</option>`).join('')}
+        </select>
+      </div>
+    </form>`;
+
+  const choice = await formDialog<{ weaponId: string; grade: string; target: string }>({
+    title: localize('Synthesis.Title'),
+    content,
+    label: localize('Synthesis.Create'),
+    submit: (element: HTMLElement) => {
+      const form = element.querySelector('form') as HTMLFormElement;
+      const value = (name: string): string => (form.elements.namedItem(name) as HTMLSelectElement).value;
+      return { weaponId: value('weapon'), grade: value('grade'), target: value('target') };
+    }
+  });
+  if (!choice || !choice.target) {
+    return;
+  }
+
+  const weapon = weapons.find((entry: CompendiumIndexData): boolean => entry._id === choice.weaponId);
+  const [material, grade] = choice.grade.split('|');
+  const [kind, targetId] = choice.target.split(/:(.*)/);
+  const target = kind === 'pack' ? game.packs.get(targetId) : game.actors.get(targetId);
+  if (!weapon || !target) {
+    return;
+  }
+
+  try {
+    const item = await createSynthesizedAmmunition({ weapon, material, grade }, target);
+    ui.notifications.info(localize('Synthesis.Created', { item: item.name }));
+  } catch (error) {
+    ui.notifications.error((error as Error).message);
+  }
+}
+
+// Add a button for GMs to the compendium directory
+export function registerSynthesisButton(): void {
+  Hooks.on('renderCompendiumDirectory', (app: any, html: any): void => {
+    if (!game.user.isGM) {
+      return;
+    }
+
+    const root: HTMLElement | undefined = html instanceof HTMLElement ? html : html?.[0];
+    const actions = root?.querySelector('.header-actions, .directory-header');
+    if (!actions || actions.querySelector('.prishas-precious-projectiles-synthesize')) {
+      return;
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'prishas-precious-projectiles-synthesize';
+    button.innerHTML = `<i class="fa-solid fa-bow-arrow"></i> ${localize('Synthesis.Button')}`;
+    button.addEventListener('click', (event: MouseEvent): void => {
+      event.preventDefault();
+      openSynthesisDialog().catch((error: unknown): void => {
+        console.error('Prisha\'s Precious Projectiles: Error creating ammunition:', error);
+      });
+    });
+
+    actions.append(button);
+  });
+}
@@ -5,40 +5,65 @@ declare global {
       id: string;
     };
     packs: Map<string, CompendiumCollection<CompendiumDocument>>;
+    modules: Map<string, FoundryModule>;
+    actors: Collection<string, ActorDocument>;
+    user: {
+      id: string;
+      isGM: boolean;
+    };
+    i18n: {
+      lang: string;
+      localize(key: string): string;
+      format(key: string, data: Record<string, string | number>): string;
+      has(key: string, fallback?: boolean): boolean;
+    };
     settings: {
       set(module: string, key: string, value: any): Promise<any>;
       get(module: string, key: string): any;
+      register(module: string, key: string, config: Record<string, any>): void;
     };
     pf2e?: {
-      compendiumBrowser?: {
-        settings?: {
-          equipment?: Record<string, {
-            load: boolean;
-            name: string;
-          }>;
-          action?: Record<string, any>;
-          bestiary?: Record<string, any>;
-          campaignFeature?: Record<string, any>;
-          hazard?: Record<string, any>;
-          feat?: Record<string, any>;
-          spell?: Record<string, any>;
-        };
-        initCompendiumList?(): void;
-        resetInitializedTabs?(): void;
-        loadedPacks?(category: string): string[];
-      };
+      compendiumBrowser?: CompendiumBrowser;
+    };
+  }
+
+  // PF2e's compendium browser. Its shape differs between PF2e versions, so
+  // everything is optional.
+  interface CompendiumBrowser {
+    settings?: {
+      equipment?: Record<string, {
+        load: boolean;
+        name: string;
+        package?: string;
+      }>;
+      [tab: string]: Record<string, any> | undefined;
     };
+    tabs?: Record<string, { isInitialized?: boolean } | undefined>;
+    initCompendiumList?(): void;
+    resetInitializedTabs?(): void;
+    loadedPacks?(category: string): string[];
   }
 
   interface CompendiumCollection<T extends CompendiumDocument> {
+    collection: string;
+    locked: boolean;
     metadata: {
       name: string;
       label: string;
       path: string;
       type: string;
       system: string;
+      packageType?: string;
+      flags?: {
+        pf2e?: {
+          compendiumBrowser?: {
+            category?: string;
+            searchable?: boolean;
+          };
+        };
+      };
     };
-    getIndex(): Promise<Collection<string, CompendiumIndexData>>;
+    getIndex(options?: { fields?: string[] }): Promise<Collection<string, CompendiumIndexData>>;
     getDocument(id: string): Promise<T>;
   }
 
@@ -54,6 +79,58 @@ declare global {
     name: string;
     type: string;
     img?: string;
+    uuid?: string;
+    system?: any;
+    flags?: Record<string, any>;
+  }
+
+  // The parts of an item (document or index entry) that we read
+  interface ItemLike {
+    name: string;
+    type: string;
+    system?: any;
+    flags?: Record<string, any>;
+  }
+
+  interface ItemDocument extends ItemLike {
+    id: string;
+    uuid: string;
+    actor: ActorDocument | null;
+    isEquipped?: boolean;
+    isRanged?: boolean;
+    _stats?: {
+      compendiumSource?: string | null;
+    };
+    update(data: Record<string, any>): Promise<ItemDocument>;
+    toObject(): Record<string, any>;
+  }
+
+  interface ActorDocument {
+    id: string;
+    name: string;
+    type: string;
+    items: Collection<string, ItemDocument>;
+    isOwner: boolean;
+    // PF2e's creature level
+    level?: number;
+    // PF2e's actor inventory
+    inventory?: {
+      removeCoins(coins: Record<string, number>): Promise<boolean>;
+    };
+    createEmbeddedDocuments(type: string, data: Record<string, any>[]): Promise<any[]>;
+  }
+
+  interface FoundryModule {
+    id: string;
+    active: boolean;
+    // The languages in module.json (a Set in Foundry)
+    languages?: Iterable<{ lang: string; name: string; path: string }>;
+    api?: any;
+  }
+
+  // The Babele module, which translates compendiums
+  interface Babele {
+    register(options: { module: string; lang: string; dir: string }): void;
   }
 
   interface Collection<K, V> {
@@ -66,10 +143,25 @@ declare global {
   interface Hooks {
     once(event: string, callback: Function): void;
     on(event: string, callback: Function): void;
+    callAll(event: string, ...args: any[]): boolean;
+  }
+
+  interface Notifications {
+    info(message: string): void;
+    warn(message: string): void;
+    error(message: string): void;
   }
 
   const game: Game;
   const Hooks: Hooks;
+  const ui: {
+    notifications: Notifications;
+  };
+  // Dialog (v12) and foundry.applications.api.DialogV2 (v13)
+  const Dialog: any;
+  const Item: any;
+  function fromUuid(uuid: string): Promise<any>;
+  const foundry: any;
 }
 
 export {};
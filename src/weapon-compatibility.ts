@@ -0,0 +1,80 @@
+/**
+ * Prisha's Precious Projectiles - Weapon compatibility
+ * Matches our ammunition to the PF2e weapons that can fire it, using the base
+ * weapon slugs the generator writes to each item's flags, or the weapon group
+ * for the ammunition's stack group when an item has none
+ */
+
+import { INDEX_FIELDS } from './ammunition-catalog.js';
+import { MODULE_ID } from './constants.js';
+import { getModulePacks } from './module-packs.js';
+
+// Weapon groups that fire each PF2e ammunition stack group
+const STACK_GROUP_WEAPON_GROUPS: Record<string, string> = {
+  arrows: 'bow',
+  bolts: 'crossbow',
+  blowgunDarts: 'dart',
+  slingBullets: 'sling',
+  rounds5: 'firearm',
+  rounds10: 'firearm'
+};
+
+// Get the base weapon slugs an ammunition item is for
+export function getBaseWeapons(ammo: ItemLike): string[] {
+  const baseWeapons = ammo.flags?.[MODULE_ID]?.baseWeapons;
+  return Array.isArray(baseWeapons) ? baseWeapons : [];
+}
+
+// Get the PF2e ammunition stack groups a weapon fires: that of the ammunition
+// the system says it takes, if it says, or those of its weapon group. Thrown
+// weapons, such as javelins in the dart group, fire nothing.
+export function getWeaponStackGroups(weapon: ItemLike): string[] {
+  const traits: string[] = weapon.system?.traits?.value ?? [];
+  if (traits.some((trait: string): boolean => trait.startsWith('thrown'))) {
+    return [];
+  }
+
+  const ammoType = weapon.system?.ammo?.baseType;
+  if (typeof ammoType === 'string' && ammoType) {
+    // PF2e has written stack groups both in camel case and in kebab case
+    const key = (group: string): string => group.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.keys(STACK_GROUP_WEAPON_GROUPS).filter((group: string): boolean => key(group) === key(ammoType));
+  }
+
+  return Object.keys(STACK_GROUP_WEAPON_GROUPS).filter((group: string): boolean =>
+    STACK_GROUP_WEAPON_GROUPS[group] === weapon.system?.group
+  );
+}
+
+// Get the slug of a weapon's base weapon (e.g. "longbow" for a +1 longbow)
+export function getWeaponSlug(weapon: ItemLike): string | null {
+  return weapon.system?.baseItem || weapon.system?.slug || null;
+}
+
+// Check whether a weapon can fire an ammunition item
+export function canFire(weapon: ItemLike, ammo: ItemLike): boolean {
+  const baseWeapons = getBaseWeapons(ammo);
+  if (baseWeapons.length > 0) {
+    const slug = getWeaponSlug(weapon);
+    return slug !== null && baseWeapons.includes(slug);
+  }
+
+  const weaponGroup = STACK_GROUP_WEAPON_GROUPS[ammo.system?.stackGroup];
+  return weaponGroup !== undefined && weapon.system?.group === weaponGroup;
+}
+
+// Pick out the ammunition items a weapon can fire
+export function filterCompatibleAmmunition<T extends ItemLike>(weapon: ItemLike, items: Iterable<T>): T[] {
+  return Array.from(items).filter((item: T): boolean => canFire(weapon, item));
+}
+
+// Find the ammunition in our compendiums that a weapon can fire
+export async function findCompatibleAmmunition(weapon: ItemLike): Promise<CompendiumIndexData[]> {
+  const ammunition: CompendiumIndexData[] = [];
+
+  for (const pack of getModulePacks('Item')) {
+    const index = await pack.getIndex({ fields: INDEX_FIELDS });
+    ammunition.push(...filterCompatibleAmmunition(weapon, index.values()));
+  }
+  return ammunition;
+}
@@ -0,0 +1,105 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { generateAmmunitionItem, loadCompendiumData } from '../scripts/ammunition-items.mjs';
+import { deriveFoundryId } from '../scripts/foundry-ids.mjs';
+import { loadCatalogs } from '../scripts/validate-catalogs.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const COMPENDIUM = fileURLToPath(new URL('./fixtures/compendium.json', import.meta.url));
+
+process.env.SOURCE_DATE_EPOCH = '1700000000';
+
+describe('generateAmmunitionItem', () => {
+  const catalogs = loadCatalogs(ROOT);
+  let folderMap;
+  let itemSlugMap;
+  let compendiumData;
+  let newFolders;
+
+  const generate = (ammunitionType, material, grade, given = catalogs) =>
+    generateAmmunitionItem(ammunitionType, material, grade, { catalogs: given, folderMap, itemSlugMap, compendiumData, newFolders });
+
+  beforeEach(() => {
+    ({ folderMap, itemSlugMap, compendiumData } = loadCompendiumData(COMPENDIUM));
+    newFolders = new Set();
+  });
+
+  test('reuses the ID of an item with the same slug', () => {
+    const { isExisting, itemId, item } = generate('Arrows', 'Cold Iron', 'Low-Grade');
+
+    assert.equal(isExisting, true);
+    assert.equal(itemId, 'ColdIronArrowsLG');
+    assert.equal(item._id, 'ColdIronArrowsLG');
+    assert.equal(item._metadata.key, '!items!ColdIronArrowsLG');
+  });
+
+  test('derives the ID of a new item from its slug', () => {
+    const { isExisting, itemId, item } = generate('Arrows', 'Silver', 'Low-Grade');
+
+    assert.equal(isExisting, false);
+    assert.equal(itemId, deriveFoundryId('Item', 'silver-arrows-low-grade'));
+    assert.equal(item._stats.compendiumSource, `Compendium.prishas-precious-projectiles.prishas-precious-projectiles.Item.${itemId}`);
+    assert.equal(itemSlugMap.get('silver-arrows-low-grade'), itemId);
+  });
+
+  test('puts items in existing folders', () => {
+    const { item } = generate('Arrows', 'Silver', 'Low-Grade');
+
+    assert.equal(item.folder, 'ArrowsFolder0000');
+    assert.equal(newFolders.size, 0);
+  });
+
+  test('creates a folder once when it does not exist', () => {
+    const first = generate('Crossbow Bolts', 'Cold Iron', 'Low-Grade');
+    const second = generate('Crossbow Bolts', 'Silver', 'Low-Grade');
+
+    const folders = compendiumData.filter((record) => record._metadata.key.startsWith('!folders!'));
+    const bolts = folders.find((folder) => folder.name === 'Bolts');
+
+    assert.deepEqual([...newFolders], ['Bolts']);
+    assert.equal(folders.length, 2);
+    assert.equal(bolts._id, deriveFoundryId('Folder', 'Bolts'));
+    assert.equal(bolts._metadata.key, `!folders!${bolts._id}`);
+    assert.equal(first.item.folder, bolts._id);
+    assert.equal(second.item.folder, bolts._id);
+  });
+
+  test('stamps items with SOURCE_DATE_EPOCH', () => {
+    const { item } = generate('Arrows', 'Silver', 'Low-Grade');
+
+    assert.equal(item._stats.createdTime, 1700000000000);
+    assert.equal(item._stats.modifiedTime, 1700000000000);
+  });
+
+  test('leaves the Foundry and PF2e versions for Foundry to fill in', () => {
+    const { item } = generate('Arrows', 'Silver', 'Low-Grade');
+
+    assert.equal(item._stats.coreVersion, undefined);
+    assert.equal(item._stats.systemVersion, undefined);
+  });
+
+  test('gives the same item each time', () => {
+    const { item: first } = generate('Arrows', 'Silver', 'Low-Grade');
+    ({ folderMap, itemSlugMap, compendiumData } = loadCompendiumData(COMPENDIUM));
+    const { item: second } = generate('Arrows', 'Silver', 'Low-Grade');
+
+    assert.deepEqual(first, second);
+  });
+
+  test('uses the catalogs it is given', () => {
+    const weaponMaterials = {
+      ...catalogs.weaponMaterials,
+      Silver: { ...catalogs.weaponMaterials.Silver, summary: 'Silver from the test.' }
+    };
+    const { item } = generate('Arrows', 'Silver', 'Low-Grade', { ...catalogs, weaponMaterials });
+
+    assert.match(item.system.description.value, /Silver from the test\./);
+  });
+
+  test('rejects unknown combinations', () => {
+    assert.throws(() => generate('Catapult Stones', 'Cold Iron', 'Low-Grade'), /Unknown ammunition type/);
+    assert.throws(() => generate('Arrows', 'Mithral', 'Low-Grade'), /Unknown material/);
+    assert.throws(() => generate('Arrows', 'Adamantine', 'Low-Grade'), /Unknown grade/);
+  });
+});
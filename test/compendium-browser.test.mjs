@@ -0,0 +1,232 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createPack,
+  createV12Browser,
+  createV13Browser,
+  installFoundry as installFoundryGlobals,
+  MODULE_ID,
+  PACK_ID,
+  PACK_LABEL
+} from './helpers/foundry.mjs';
+import { importSource } from './helpers/source.mjs';
+
+const { syncCompendiumBrowser, registerCompendiumBrowserIntegration } = await importSource('compendium-browser.ts');
+const { registerSettings } = await importSource('settings.ts');
+
+const BROWSER_PACKS = 'pf2e.compendiumBrowserPacks';
+
+// Install Foundry with the module's settings registered
+function installFoundry(options) {
+  const game = installFoundryGlobals(options);
+  registerSettings(() => {});
+  return game;
+}
+
+function browserWrites(game) {
+  return game.settingWrites.filter((write) => write.key === BROWSER_PACKS);
+}
+
+describe('PF2e 6 (Foundry v12) browser', () => {
+  let browser;
+  let game;
+
+  beforeEach(() => {
+    browser = createV12Browser();
+    game = installFoundry({ browser });
+  });
+
+  test('turns our pack on, saves and resets the tabs', async () => {
+    assert.equal(await syncCompendiumBrowser(), true);
+
+    assert.equal(browser.initCompendiumListCalls, 1);
+    assert.equal(browser.resetCalls, 1);
+    assert.equal(browser.settings.equipment[PACK_ID].load, true);
+    assert.equal(browserWrites(game).length, 1);
+    assert.deepEqual(browserWrites(game)[0].value.equipment[PACK_ID], { load: true, name: PACK_LABEL, package: MODULE_ID });
+    assert.equal(game.settings.get(MODULE_ID, 'packEnabled'), true);
+  });
+
+  test('does nothing more when synced again', async () => {
+    await syncCompendiumBrowser();
+    const writes = game.settingWrites.length;
+
+    assert.equal(await syncCompendiumBrowser(), false);
+    assert.equal(await syncCompendiumBrowser(), false);
+
+    assert.equal(game.settingWrites.length, writes);
+    assert.equal(browser.initCompendiumListCalls, 1);
+    assert.equal(browser.resetCalls, 1);
+  });
+
+  test('does not list packs when ours is already there', async () => {
+    browser = createV12Browser({ [PACK_ID]: { load: true, name: PACK_LABEL } });
+    game = installFoundry({ browser });
+
+    assert.equal(await syncCompendiumBrowser(), false);
+
+    assert.equal(browser.initCompendiumListCalls, 0);
+    assert.equal(browser.resetCalls, 0);
+    assert.equal(browserWrites(game).length, 0);
+  });
+
+  test('saves once when synced by several events at once', async () => {
+    const results = await Promise.all([syncCompendiumBrowser(), syncCompendiumBrowser(), syncCompendiumBrowser()]);
+
+    assert.deepEqual(results, [true, false, false]);
+    assert.equal(browserWrites(game).length, 1);
+  });
+});
+
+describe('PF2e 7 (Foundry v13) browser', () => {
+  let browser;
+  let game;
+
+  beforeEach(() => {
+    browser = createV13Browser();
+    game = installFoundry({ browser, settings: { [BROWSER_PACKS]: { equipment: {}, spell: {} } } });
+  });
+
+  test('adds our pack to the world setting and resets the tabs', async () => {
+    assert.equal(await syncCompendiumBrowser(), true);
+
+    assert.deepEqual(game.settings.get('pf2e', 'compendiumBrowserPacks').equipment[PACK_ID], { load: true, name: PACK_LABEL });
+    assert.equal(browser.tabs.equipment.isInitialized, false);
+    assert.equal(browser.tabs.spell.isInitialized, false);
+  });
+
+  test('does nothing more when synced again', async () => {
+    await syncCompendiumBrowser();
+    browser.tabs.equipment.isInitialized = true;
+    const writes = game.settingWrites.length;
+
+    assert.equal(await syncCompendiumBrowser(), false);
+
+    assert.equal(game.settingWrites.length, writes);
+    assert.equal(browser.tabs.equipment.isInitialized, true);
+  });
+
+  test('leaves a browser without pack settings alone', async () => {
+    game = installFoundry({ browser });
+
+    assert.equal(await syncCompendiumBrowser(), false);
+    assert.equal(game.settingWrites.length, 0);
+  });
+});
+
+describe('several packs', () => {
+  test('turns each pack on in its own tab and saves once', async () => {
+    const browser = createV12Browser();
+    const game = installFoundry({
+      browser,
+      packs: [
+        createPack('prishas-precious-projectiles', PACK_LABEL, { tab: 'equipment' }),
+        createPack('precious-bestiary', 'Precious Bestiary', { type: 'Actor', tab: 'bestiary' }),
+        createPack('precious-guide', 'Precious Guide', { type: 'JournalEntry' })
+      ]
+    });
+
+    assert.equal(await syncCompendiumBrowser(), true);
+
+    assert.equal(browser.settings.equipment[PACK_ID].load, true);
+    assert.equal(browser.settings.bestiary[`${MODULE_ID}.precious-bestiary`].load, true);
+    assert.equal(Object.values(browser.settings).some((tab) => `${MODULE_ID}.precious-guide` in tab), false);
+    assert.equal(browserWrites(game).length, 1);
+  });
+
+  test('lists packs again when one of ours is missing', async () => {
+    const browser = createV12Browser({ [PACK_ID]: { load: true, name: PACK_LABEL } });
+    installFoundry({
+      browser,
+      packs: [
+        createPack('prishas-precious-projectiles', PACK_LABEL, { tab: 'equipment' }),
+        createPack('precious-extras', 'Precious Extras', { tab: 'equipment' })
+      ]
+    });
+
+    assert.equal(await syncCompendiumBrowser(), true);
+
+    assert.equal(browser.initCompendiumListCalls, 1);
+    assert.equal(browser.settings.equipment[`${MODULE_ID}.precious-extras`].load, true);
+  });
+
+  test('leaves other modules\' packs alone', async () => {
+    const browser = createV12Browser({ 'other-module.arrows': { load: false, name: 'Arrows' } });
+    installFoundry({
+      browser,
+      packs: [
+        createPack('prishas-precious-projectiles', PACK_LABEL, { tab: 'equipment' }),
+        { ...createPack('arrows', 'Arrows', { tab: 'equipment' }), collection: 'other-module.arrows' }
+      ]
+    });
+
+    await syncCompendiumBrowser();
+
+    assert.equal(browser.settings.equipment['other-module.arrows'].load, false);
+    assert.equal(browser.settings.equipment[PACK_ID].load, true);
+  });
+});
+
+describe('module settings', () => {
+  test('respect a GM who turned the pack off', async () => {
+    const browser = createV12Browser({ [PACK_ID]: { load: false, name: PACK_LABEL } });
+    const game = installFoundry({ browser, settings: { [`${MODULE_ID}.packEnabled`]: true } });
+
+    assert.equal(await syncCompendiumBrowser(), false);
+    assert.equal(browser.settings.equipment[PACK_ID].load, false);
+    assert.equal(game.settingWrites.length, 0);
+  });
+
+  test('turn the pack back on when not respecting the GM\'s choice', async () => {
+    const browser = createV12Browser({ [PACK_ID]: { load: false, name: PACK_LABEL } });
+    installFoundry({
+      browser,
+      settings: { [`${MODULE_ID}.packEnabled`]: true, [`${MODULE_ID}.respectManualChoice`]: false }
+    });
+
+    assert.equal(await syncCompendiumBrowser(), true);
+    assert.equal(browser.settings.equipment[PACK_ID].load, true);
+  });
+
+  test('can turn the integration off', async () => {
+    const browser = createV12Browser();
+    const game = installFoundry({ browser, settings: { [`${MODULE_ID}.autoEnablePack`]: false } });
+
+    assert.equal(await syncCompendiumBrowser(), false);
+    assert.equal(browser.initCompendiumListCalls, 0);
+    assert.equal(game.settingWrites.length, 0);
+  });
+});
+
+describe('environment', () => {
+  test('only GMs change the browser settings', async () => {
+    const browser = createV12Browser();
+    const game = installFoundry({ browser, isGM: false });
+
+    assert.equal(await syncCompendiumBrowser(), false);
+    assert.equal(game.settingWrites.length, 0);
+  });
+
+  test('does nothing without a compendium browser or outside PF2e', async () => {
+    installFoundry();
+    assert.equal(await syncCompendiumBrowser(), false);
+
+    const game = installFoundry({ browser: createV12Browser(), system: 'dnd5e' });
+    assert.equal(await syncCompendiumBrowser(), false);
+    assert.equal(game.settingWrites.length, 0);
+  });
+
+  test('syncs on ready and when the browser is rendered', async () => {
+    const browser = createV12Browser();
+    const game = installFoundry({ browser });
+    registerCompendiumBrowserIntegration();
+
+    Hooks.callAll('ready');
+    Hooks.callAll('renderCompendiumBrowser');
+    await syncCompendiumBrowser();
+
+    assert.deepEqual(Object.keys(game.hooks).sort(), ['ready', 'renderCompendiumBrowser']);
+    assert.equal(browserWrites(game).length, 1);
+    assert.equal(browser.resetCalls, 1);
+  });
+});
@@ -0,0 +1,85 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { diffCompendia, diffValues, readVersion } from '../scripts/diff-compendium.mjs';
+
+const COMPENDIUM = fileURLToPath(new URL('./fixtures/compendium.json', import.meta.url));
+
+const loadFixture = () => JSON.parse(readFileSync(COMPENDIUM, 'utf8'));
+
+describe('diffCompendia', () => {
+  test('finds nothing between identical versions, whatever their order', () => {
+    const records = loadFixture();
+    const reordered = records.reverse().map((record) => Object.fromEntries(Object.entries(record).reverse()));
+
+    assert.deepEqual(diffCompendia(loadFixture(), reordered), { added: [], removed: [], renamed: [], changed: [] });
+  });
+
+  test('ignores timestamps', () => {
+    const records = loadFixture();
+    records[1]._stats.modifiedTime = 1800000000000;
+    records[1]._stats.createdTime = 1800000000000;
+
+    assert.deepEqual(diffCompendia(loadFixture(), records).changed, []);
+  });
+
+  test('reports added, removed and renamed items', () => {
+    const records = loadFixture();
+    records[1].name = 'Cold Iron Arrows (Lesser)';
+    const [effect] = records.splice(2, 1);
+    records.push({ _id: 'NewItem000000000', name: 'Silver Arrows (Low-Grade)', _metadata: { key: '!items!NewItem000000000' } });
+
+    const diff = diffCompendia(loadFixture(), records);
+    assert.deepEqual(diff.added, [{ key: '!items!NewItem000000000', name: 'Silver Arrows (Low-Grade)' }]);
+    assert.deepEqual(diff.removed, [{ key: effect._metadata.key, name: 'Effect: Cold Iron' }]);
+    assert.deepEqual(diff.renamed, [{ key: '!items!ColdIronArrowsLG', from: 'Cold Iron Arrows (Low-Grade)', to: 'Cold Iron Arrows (Lesser)' }]);
+    assert.deepEqual(diff.changed, []);
+  });
+
+  test('lists changed fields by item, marking the important ones', () => {
+    const records = loadFixture();
+    records[1].system.level.value = 3;
+    records[1].system.rules[0].value = 'silver';
+    records[1].img = 'icons/arrow.webp';
+
+    assert.deepEqual(diffCompendia(loadFixture(), records).changed, [{
+      key: '!items!ColdIronArrowsLG',
+      name: 'Cold Iron Arrows (Low-Grade)',
+      changes: [
+        { path: 'img', before: 'systems/pf2e/icons/equipment/weapons/arrows.webp', after: 'icons/arrow.webp', important: false },
+        { path: 'system.level.value', before: 2, after: 3, important: true },
+        { path: 'system.rules.0.value', before: 'cold-iron', after: 'silver', important: true }
+      ]
+    }]);
+  });
+});
+
+describe('diffValues', () => {
+  test('compares lists of values whole', () => {
+    assert.deepEqual(diffValues({ traits: ['a', 'b'] }, { traits: ['b', 'c'] }), [
+      { path: 'traits', before: ['a', 'b'], after: ['b', 'c'], important: false }
+    ]);
+  });
+
+  test('reports fields that appear or disappear', () => {
+    assert.deepEqual(diffValues({ a: 1 }, { b: 2 }), [
+      { path: 'a', before: 1, after: undefined, important: false },
+      { path: 'b', before: undefined, after: 2, important: false }
+    ]);
+  });
+});
+
+describe('readVersion', () => {
+  test('reads files', () => {
+    assert.deepEqual(readVersion(COMPENDIUM), loadFixture());
+  });
+
+  test('reads the pack from git', () => {
+    assert.ok(Array.isArray(readVersion('HEAD')));
+  });
+
+  test('explains versions it cannot read', () => {
+    assert.throws(() => readVersion('no-such-ref-anywhere'), /Cannot read no-such-ref-anywhere/);
+  });
+});
@@ -0,0 +1,96 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { findStaleItems, generateCompendium, looksGenerated } from '../scripts/generate-compendium.mjs';
+import { writePackSource } from '../scripts/pack-source.mjs';
+import { loadCatalogs } from '../scripts/validate-catalogs.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const { weaponMaterials } = loadCatalogs(ROOT);
+
+process.env.SOURCE_DATE_EPOCH = '1700000000';
+
+// An item without the generator flag, as the pack had them before the
+// generator flagged its items or as made by hand
+const legacyItem = (id, name, slug, flags = {}) => ({
+  _id: id,
+  name,
+  type: 'consumable',
+  folder: null,
+  system: { slug, rules: [] },
+  flags,
+  _stats: { createdTime: 1000, modifiedTime: 1000 },
+  _metadata: { key: `!items!${id}` }
+});
+
+const coldIronArrows = legacyItem('ColdIronArrowsLG', 'Cold Iron Arrows (Low-Grade)', 'cold-iron-arrows-low-grade');
+const catapultStones = legacyItem('CatapultStonesLG', 'Cold Iron Catapult Stones (Low-Grade)', 'cold-iron-catapult-stones-low-grade');
+const staleFlagged = legacyItem('StaleFlagged0000', 'Silver Catapult Stones (Low-Grade)', 'silver-catapult-stones-low-grade', { 'prishas-precious-projectiles': { generated: true } });
+const blessedArrows = legacyItem('BlessedArrows000', 'Blessed Arrows', 'blessed-arrows');
+const renamed = legacyItem('RenamedArrows000', 'Silver Arrows (Low-Grade)', 'prishas-silver-arrows');
+const flagged = legacyItem('FlaggedArrows000', 'Holy Arrows', 'holy-arrows', { 'prishas-precious-projectiles': { generated: true } });
+
+// Run a function without its console output
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+describe('looksGenerated', () => {
+  test('recognises items named like generated items, without the flag', () => {
+    assert.equal(looksGenerated(coldIronArrows, weaponMaterials), true);
+    assert.equal(looksGenerated(catapultStones, weaponMaterials), true);
+  });
+
+  test('leaves out other hand-authored items and flagged items', () => {
+    assert.equal(looksGenerated(blessedArrows, weaponMaterials), false);
+    assert.equal(looksGenerated(renamed, weaponMaterials), false);
+    assert.equal(looksGenerated(flagged, weaponMaterials), false);
+  });
+});
+
+describe('findStaleItems', () => {
+  test('only finds flagged items the catalogs no longer generate', () => {
+    const records = [coldIronArrows, catapultStones, blessedArrows, flagged];
+    const generatedSlugs = new Set(['cold-iron-arrows-low-grade']);
+
+    assert.deepEqual(findStaleItems(records, generatedSlugs), [flagged]);
+  });
+});
+
+describe('generateCompendium with unflagged items named like generated ones', () => {
+  let dir;
+  let report;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-lookalike-'));
+    writePackSource([coldIronArrows, catapultStones, staleFlagged, blessedArrows], dir);
+    report = quietly(() => generateCompendium(dir, { dryRun: true, stale: 'prune' }));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('regenerates the items the catalogs still describe', () => {
+    assert.ok(report.changed.includes('Cold Iron Arrows (Low-Grade)'));
+    assert.ok(!report.added.includes('Cold Iron Arrows (Low-Grade)'));
+  });
+
+  test('only prunes flagged items', () => {
+    assert.deepEqual(report.removed, ['Silver Catapult Stones (Low-Grade)']);
+  });
+
+  test('keeps a hand-made lookalike, and reports it', () => {
+    assert.deepEqual(report.handAuthored, ['Blessed Arrows', 'Cold Iron Catapult Stones (Low-Grade)']);
+    assert.deepEqual(report.lookalikes, ['Cold Iron Catapult Stones (Low-Grade)']);
+  });
+});
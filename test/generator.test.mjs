@@ -0,0 +1,197 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadCatalogs, TEMPLATE_FIELDS } from '../scripts/validate-catalogs.mjs';
+import {
+  ammunitionName,
+  buildAmmunitionItem,
+  meetsRestrictions,
+  renderTemplate,
+  createTemplateContext,
+  toSlug,
+  toWeaponSlug
+} from '../scripts/generator.mjs';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/catalogs', import.meta.url));
+const { ammunitionTypes, weaponMaterials, languages } = loadCatalogs(FIXTURES);
+
+function combination(ammunitionType, material, grade) {
+  return {
+    ammunitionType,
+    ammoConfig: ammunitionTypes[ammunitionType],
+    material,
+    materialConfig: weaponMaterials[material],
+    grade,
+    gradeConfig: weaponMaterials[material].grades[grade],
+    knownFields: TEMPLATE_FIELDS
+  };
+}
+
+function build(ammunitionType, material, grade) {
+  return buildAmmunitionItem(combination(ammunitionType, material, grade), { id: 'abcdefghijklmnop', folderId: null, now: 0 });
+}
+
+describe('catalogs', () => {
+  test('merge hidden templates into entries', () => {
+    assert.equal(ammunitionTypes.Arrows.folder, 'Test Arrows');
+    assert.equal(ammunitionTypes.Arrows.quantity, 10);
+    assert.equal(ammunitionTypes['Elven Darts'].rarity, 'uncommon');
+  });
+
+  test('the shipped duskwood is only for wooden ammunition', () => {
+    const shipped = loadCatalogs(fileURLToPath(new URL('..', import.meta.url)));
+    const allowed = Object.entries(shipped.ammunitionTypes)
+      .filter(([name, ammoConfig]) => !name.startsWith('.') && meetsRestrictions(name, ammoConfig, shipped.weaponMaterials.Duskwood))
+      .map(([name]) => name);
+
+    assert.deepEqual(allowed, [
+      'Arrows',
+      'Crossbow Bolts',
+      'Repeating Crossbow Magazine',
+      'Repeating Hand Crossbow Magazine',
+      'Repeating Heavy Crossbow Magazine'
+    ]);
+  });
+});
+
+describe('templating', () => {
+  test('renders names from the title template', () => {
+    assert.deepEqual(ammunitionName(combination('Arrows', 'Cold Iron', 'Low-Grade')), {
+      name: 'Cold Iron Arrows (Low-Grade)',
+      slug: 'cold-iron-arrows-low-grade'
+    });
+  });
+
+  test('renders plurals, filters and sections in descriptions', () => {
+    const low = build('Arrows', 'Cold Iron', 'Low-Grade');
+    assert.match(low.system.description.value, /Arrows for bows, made from low-grade Cold Iron up to 8th level\./);
+
+    const standard = build('Arrows', 'Cold Iron', 'Standard-Grade');
+    assert.match(standard.system.description.value, /Arrows for bows, made from standard-grade Cold Iron\./);
+  });
+
+  test('uses plural overrides and leaves proper nouns alone', () => {
+    const item = build('Elven Darts', 'Cold Iron', 'Low-Grade');
+    assert.match(item.system.description.value, /Dartlings for the Elven dartbow\./);
+  });
+
+  test('rejects unknown placeholders', () => {
+    const context = createTemplateContext(
+      'Arrows', ammunitionTypes.Arrows, 'Cold Iron', weaponMaterials['Cold Iron'],
+      'Low-Grade', weaponMaterials['Cold Iron'].grades['Low-Grade']
+    );
+    assert.throws(() => renderTemplate('{material} {colour}', context), /Unknown placeholder "\{colour\}"/);
+  });
+
+  test('renders the material rules with Foundry placeholders intact', () => {
+    const [rule] = build('Arrows', 'Cold Iron', 'Low-Grade').system.rules;
+    assert.deepEqual(rule.definition, ['item:id:{item|id}']);
+    assert.equal(rule.value, 'cold-iron');
+  });
+});
+
+describe('items', () => {
+  test('price, level and flags come from the catalogs', () => {
+    const item = build('Arrows', 'Cold Iron', 'Standard-Grade');
+    assert.equal(item.system.level.value, 10);
+    assert.deepEqual(item.system.price, { value: { gp: 888, sp: 8 }, per: 10 });
+    assert.deepEqual(item.flags['prishas-precious-projectiles'], {
+      generated: { ammunition: 'Arrows', material: 'Cold Iron', grade: 'Standard-Grade' },
+      baseWeapons: ['longbow', 'shortbow']
+    });
+  });
+
+  test('base weapons default to the slug of the weapon type', () => {
+    const item = build('Elven Darts', 'Cold Iron', 'Low-Grade');
+    assert.deepEqual(item.flags['prishas-precious-projectiles'].baseWeapons, ['elven-dartbow']);
+  });
+
+  test('descriptions list the base weapons, linked by slug to PF2e\'s entries', () => {
+    const references = {
+      materials: { 'Cold Iron': 'Compendium.pf2e.equipment-srd.Item.ColdIronChunk000' },
+      weapons: { longbow: 'Compendium.pf2e.equipment-srd.Item.Longbow000000000' }
+    };
+    const arrows = buildAmmunitionItem(
+      { ...combination('Arrows', 'Cold Iron', 'Low-Grade'), references },
+      { id: 'abcdefghijklmnop', folderId: null, now: 0 }
+    );
+    assert.match(arrows.system.description.value, /<strong>Material<\/strong> @UUID\[Compendium\.pf2e\.equipment-srd\.Item\.ColdIronChunk000\]\{Cold Iron\}/);
+    assert.match(arrows.system.description.value, /<strong>Weapons<\/strong> @UUID\[Compendium\.pf2e\.equipment-srd\.Item\.Longbow000000000\]\{Longbow\}, Shortbow<\/p>/);
+
+    const darts = build('Elven Darts', 'Cold Iron', 'Low-Grade');
+    assert.match(darts.system.description.value, /<strong>Weapons<\/strong> Elven Dartbow<\/p>/);
+  });
+
+  test('base weapons are named as the catalog names them, not from their slugs', () => {
+    const ammoConfig = { ...ammunitionTypes.Arrows, base_weapons: { 'double-barreled-musket': 'Double-Barreled Musket' } };
+    const item = buildAmmunitionItem(
+      { ...combination('Arrows', 'Cold Iron', 'Low-Grade'), ammoConfig },
+      { id: 'abcdefghijklmnop', folderId: null, now: 0 }
+    );
+    assert.match(item.system.description.value, /<strong>Weapons<\/strong> Double-Barreled Musket<\/p>/);
+  });
+
+  test('material restrictions limit the ammunition types', () => {
+    assert.equal(meetsRestrictions('Arrows', ammunitionTypes.Arrows, weaponMaterials.Dawnsilver), true);
+    assert.equal(meetsRestrictions('Elven Darts', ammunitionTypes['Elven Darts'], weaponMaterials.Dawnsilver), false);
+  });
+
+  test('rarity is the rarer of the ammunition type\'s and the material\'s', () => {
+    assert.equal(build('Arrows', 'Cold Iron', 'Low-Grade').system.traits.rarity, 'common');
+    assert.equal(build('Arrows', 'Dawnsilver', 'Standard-Grade').system.traits.rarity, 'uncommon');
+    assert.equal(build('Elven Darts', 'Cold Iron', 'Low-Grade').system.traits.rarity, 'uncommon');
+  });
+
+  test('light Bulk is not reduced by a material', () => {
+    assert.equal(build('Arrows', 'Dawnsilver', 'Standard-Grade').system.bulk.value, 0.1);
+  });
+});
+
+describe('translations', () => {
+  const german = { ...combination('Arrows', 'Cold Iron', 'Low-Grade'), translation: languages.de };
+
+  test('render the name in the language, keeping the English slug', () => {
+    assert.deepEqual(ammunitionName(german), {
+      name: 'Pfeile aus Kaltes Eisen (Minderwertig)',
+      slug: 'cold-iron-arrows-low-grade'
+    });
+  });
+
+  test('render the description and its labels in the language', () => {
+    const item = buildAmmunitionItem(german, { id: 'abcdefghijklmnop', folderId: null, now: 0 });
+    assert.match(item.system.description.value, /<p>Pfeile für Bögen, aus Kaltes Eisen \(minderwertig\) bis Stufe 8\.<\/p>/);
+    assert.match(item.system.description.value, /<strong>.*Kaltes Eisen.*<\/strong> Schadet Feen und Dämonen\./);
+    assert.match(item.system.description.value, /<strong>Waffen<\/strong> Langbogen, Kurzbogen<\/p>/);
+  });
+
+  test('leave the rules, flags and everything else in English', () => {
+    const english = build('Arrows', 'Cold Iron', 'Low-Grade');
+    const item = buildAmmunitionItem(german, { id: 'abcdefghijklmnop', folderId: null, now: 0 });
+
+    assert.deepEqual(item.system.rules, english.system.rules);
+    assert.deepEqual(item.system.price, english.system.price);
+    assert.deepEqual(item.flags, english.flags);
+    assert.equal(item.system.slug, english.system.slug);
+  });
+
+  test('fall back to English for what the language leaves out', () => {
+    const darts = buildAmmunitionItem(
+      { ...combination('Elven Darts', 'Cold Iron', 'Standard-Grade'), translation: languages.de },
+      { id: 'abcdefghijklmnop', folderId: null, now: 0 }
+    );
+    assert.equal(darts.name, 'Kaltes Eisen Elven Darts (Standard)');
+    assert.match(darts.system.description.value, /Dartlings for the Elven dartbow\./);
+  });
+});
+
+describe('slugs', () => {
+  test('turn names into slugs', () => {
+    assert.equal(toSlug('Cold Iron Arrows (Low-Grade)'), 'cold-iron-arrows-low-grade');
+    assert.equal(toSlug("Prisha's  Bolts_of -Doom-"), 'prishas-bolts-of-doom');
+    assert.equal(toSlug(''), '');
+  });
+
+  test('turn weapon types into weapon slugs', () => {
+    assert.equal(toWeaponSlug('Elven Dartbow'), 'elven-dartbow');
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * A stand-in for the parts of Foundry and PF2e that the module uses, so that
+ * tests can run it without a Foundry server
+ */
+
+import { readFileSync } from 'fs';
+import jsyaml from 'js-yaml';
+import { importSource } from './source.mjs';
+
+export const MODULE_ID = 'prishas-precious-projectiles';
+export const PACK_ID = `${MODULE_ID}.prishas-precious-projectiles`;
+export const PACK_LABEL = "Prisha's Precious Projectiles";
+
+/**
+ * Make a compendium pack of the module's, as Foundry lists it in game.packs
+ * @param {string} name - The pack's name
+ * @param {string} label - Its label
+ * @param {Object} [options]
+ * @param {string} [options.type] - The type of document it holds
+ * @param {string} [options.tab] - The compendium browser tab it belongs in
+ * @returns {Object} The pack
+ */
+export function createPack(name, label, { type = 'Item', tab } = {}) {
+  const flags = tab ? { pf2e: { compendiumBrowser: { category: tab, searchable: true } } } : {};
+  return { collection: `${MODULE_ID}.${name}`, locked: true, metadata: { name, label, type, packageType: 'module', flags } };
+}
+
+// The module's English strings, as the build writes them to lang/en.json,
+// with the core strings the module uses
+const ENGLISH = {
+  Cancel: 'Cancel',
+  PRISHAS_PRECIOUS_PROJECTILES: jsyaml.load(readFileSync(new URL('../../src/lang/en.yml', import.meta.url), 'utf8')).strings
+};
+
+// Lay one set of strings over another, key by key, as Foundry lays a
+// language over English
+function mergeStrings(base, strings) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(strings)) {
+    merged[key] = typeof value === 'object' && typeof base[key] === 'object' ? mergeStrings(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Make game.i18n, which looks strings up as Foundry does: by dotted key,
+ * falling back to the key itself
+ * @param {string} lang - The language code
+ * @param {Object} translations - The strings, as in a lang/<lang>.json
+ * @returns {Object} The i18n object
+ */
+function createI18n(lang, translations) {
+  const lookup = (key) => key.split('.').reduce((value, part) => value?.[part], translations);
+  const i18n = {
+    lang,
+    translations,
+    has: (key) => typeof lookup(key) === 'string',
+    localize: (key) => (i18n.has(key) ? lookup(key) : key),
+    format: (key, data = {}) => i18n.localize(key).replace(/\{(\w+)\}/g, (match, name) => data[name] ?? match)
+  };
+  return i18n;
+}
+
+// Hooks in the order Foundry and PF2e call them as a world loads, followed by
+// the renders that happen as a user looks around
+export const WORLD_HOOKS = ['init', 'i18nInit', 'setup', 'ready', 'pf2e.ready'];
+export const RENDER_HOOKS = ['renderCompendiumDirectory', 'renderCompendiumBrowser'];
+
+/**
+ * Install `game`, `Hooks`, `ui`, `foundry` and `HTMLElement` globals
+ * @param {Object} options
+ * @param {Object} [options.browser] - game.pf2e.compendiumBrowser
+ * @param {Object} [options.settings] - Setting values by "module.key", e.g.
+ *   from a previous world's `game.settingValues()`
+ * @param {boolean} [options.isGM] - Whether the user is a GM
+ * @param {string} [options.system] - The game system's ID
+ * @param {Object[]} [options.packs] - Compendium packs, defaulting to ours
+ * @param {string} [options.lang] - The user's language
+ * @param {Object} [options.translations] - Strings to use over the English
+ *   ones, as in a lang/<lang>.json
+ * @param {Object[]} [options.languages] - The module's languages, as in
+ *   module.json
+ * @returns {Object} The game, with `settingWrites` (calls to settings.set),
+ *   `hooks` (callbacks by event), `hookCalls` (events called, in order),
+ *   `registeredSettings` and `settingValues()`
+ */
+export function installFoundry({
+  browser, settings = {}, isGM = true, system = 'pf2e', packs, lang = 'en', translations = {}, languages = []
+} = {}) {
+  const values = new Map(Object.entries(structuredClone(settings)));
+  const registeredSettings = new Map();
+  const hooks = {};
+  const hookCalls = [];
+  const settingWrites = [];
+  const notifications = [];
+
+  packs ??= [createPack('prishas-precious-projectiles', PACK_LABEL, { tab: 'equipment' })];
+
+  const game = {
+    system: { id: system },
+    user: { id: 'user', isGM },
+    packs: new Map(packs.map((pack) => [pack.collection, pack])),
+    modules: new Map([[MODULE_ID, { id: MODULE_ID, active: true, languages: new Set(languages) }]]),
+    i18n: createI18n(lang, mergeStrings(ENGLISH, translations)),
+    actors: new Map(),
+    settings: {
+      get: (module, key) => {
+        const id = `${module}.${key}`;
+        return structuredClone(values.has(id) ? values.get(id) : registeredSettings.get(id)?.default);
+      },
+      set: async (module, key, value) => {
+        const id = `${module}.${key}`;
+        const changed = JSON.stringify(game.settings.get(module, key)) !== JSON.stringify(value);
+        settingWrites.push({ key: id, value: structuredClone(value) });
+        values.set(id, structuredClone(value));
+        if (changed) {
+          registeredSettings.get(id)?.onChange?.(structuredClone(value));
+        }
+        return value;
+      },
+      register: (module, key, config) => {
+        registeredSettings.set(`${module}.${key}`, config);
+      }
+    },
+    pf2e: browser ? { compendiumBrowser: browser } : {},
+    settingWrites,
+    registeredSettings,
+    hooks,
+    hookCalls,
+    notifications,
+    settingValues: () => Object.fromEntries(structuredClone([...values]))
+  };
+
+  const register = (once) => (event, callback) => {
+    (hooks[event] ??= []).push({ callback, once });
+  };
+
+  globalThis.game = game;
+  globalThis.Hooks = {
+    on: register(false),
+    once: register(true),
+    callAll: (event, ...args) => {
+      hookCalls.push(event);
+      const callbacks = hooks[event] ?? [];
+      hooks[event] = callbacks.filter((hook) => !hook.once);
+      for (const { callback } of callbacks) {
+        callback(...args);
+      }
+      return true;
+    }
+  };
+  globalThis.ui = {
+    notifications: Object.fromEntries(['info', 'warn', 'error'].map((level) =>
+      [level, (message) => notifications.push({ level, message })]
+    ))
+  };
+  globalThis.foundry = {
+    utils: {
+      randomID: () => Math.random().toString(36).slice(2, 18),
+      getRoute: (path) => `/${path}`
+    }
+  };
+
+  // There is no DOM, so render hooks are called without HTML to add to
+  globalThis.HTMLElement ??= class HTMLElement {};
+
+  return game;
+}
+
+/**
+ * Wait for the work that hooks started without waiting for it
+ * @returns {Promise<void>}
+ */
+export function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Call hooks in order, letting each one's work finish before the next
+ * @param {string[]} events - Hook names
+ * @returns {Promise<void>}
+ */
+export async function callHooks(events) {
+  for (const event of events) {
+    Hooks.callAll(event);
+    await settle();
+  }
+}
+
+/**
+ * Load a world: install the globals, load the module as Foundry would and
+ * call the hooks of a world loading
+ * @param {Object} options - As for installFoundry
+ * @returns {Promise<Object>} The game
+ */
+export async function loadWorld(options = {}) {
+  const game = installFoundry(options);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await importSource('module.ts', { fresh: true });
+  } finally {
+    console.log = log;
+  }
+  await callHooks(WORLD_HOOKS);
+  return game;
+}
+
+/**
+ * Make a PF2e 6 (Foundry v12) compendium browser, which keeps its settings in
+ * a property, lists its packs with initCompendiumList and resets its own tabs
+ * @param {Object} [equipment] - Settings of the equipment tab's packs
+ * @returns {Object} The browser, counting calls in `initCompendiumListCalls`
+ *   and `resetCalls`
+ */
+export function createV12Browser(equipment = {}) {
+  return {
+    settings: { equipment: { ...equipment } },
+    initCompendiumListCalls: 0,
+    resetCalls: 0,
+    initCompendiumList() {
+      this.initCompendiumListCalls++;
+      for (const pack of game.packs.values()) {
+        const tab = pack.metadata.flags?.pf2e?.compendiumBrowser?.category;
+        if (tab) {
+          this.settings[tab] ??= {};
+          this.settings[tab][pack.collection] ??= { load: false, name: pack.metadata.label, package: MODULE_ID };
+        }
+      }
+    },
+    resetInitializedTabs() {
+      this.resetCalls++;
+    }
+  };
+}
+
+/**
+ * Make a PF2e 7 (Foundry v13) compendium browser, which reads its settings
+ * from the world setting and has tabs that track whether they are initialized
+ * @returns {Object} The browser
+ */
+export function createV13Browser() {
+  return {
+    get settings() {
+      return game.settings.get('pf2e', 'compendiumBrowserPacks');
+    },
+    tabs: {
+      equipment: { isInitialized: true },
+      spell: { isInitialized: true }
+    }
+  };
+}
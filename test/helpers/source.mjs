@@ -0,0 +1,72 @@
+/**
+ * Import the module's TypeScript source in tests
+ *
+ * Like scripts/generator.mjs, this transpiles src for Node without type
+ * checking (which `tsc` does), into a cache directory, so that tests run
+ * against the source rather than a build.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, mkdirSync } from 'fs';
+import { join, relative } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import ts from 'typescript';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = join(__filename, '..');
+
+const SOURCE_DIR = join(__dirname, '..', '..', 'src');
+const OUTPUT_DIR = join(__dirname, '..', '..', 'node_modules', '.cache', 'prishas-precious-projectiles', 'test');
+
+/**
+ * Transpile every TypeScript file under a directory into the cache directory
+ * @param {string} dir - Directory to transpile
+ */
+function compileDirectory(dir) {
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      compileDirectory(path);
+      continue;
+    }
+    if (!entry.name.endsWith('.ts') || entry.name.endsWith('.d.ts')) {
+      continue;
+    }
+
+    const output = join(OUTPUT_DIR, relative(SOURCE_DIR, path)).replace(/\.ts$/, '.js');
+    const { outputText } = ts.transpileModule(readFileSync(path, 'utf8'), {
+      fileName: entry.name,
+      compilerOptions: {
+        module: ts.ModuleKind.ES2020,
+        target: ts.ScriptTarget.ES2020
+      }
+    });
+    mkdirSync(join(output, '..'), { recursive: true });
+    writeFileSync(output, outputText, 'utf8');
+  }
+}
+
+let compiled = false;
+let instances = 0;
+
+/**
+ * Import a module from src, e.g. importSource('compendium-browser.ts')
+ * @param {string} file - Path of the module relative to src
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Evaluate the module again, as when
+ *   Foundry loads it in a new world (the modules it imports are not)
+ * @returns {Promise<Object>} The module's exports
+ */
+export async function importSource(file, { fresh = false } = {}) {
+  if (!compiled) {
+    mkdirSync(OUTPUT_DIR, { recursive: true });
+    compileDirectory(SOURCE_DIR);
+    writeFileSync(join(OUTPUT_DIR, 'package.json'), '{ "type": "module" }\n', 'utf8');
+    compiled = true;
+  }
+
+  const url = pathToFileURL(join(OUTPUT_DIR, file.replace(/\.ts$/, '.js')));
+  if (fresh) {
+    url.searchParams.set('instance', String(++instances));
+  }
+  return import(url.href);
+}
@@ -0,0 +1,181 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { cpSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { buildJournalRecords, formatPrice, parseJournalMarkdown } from '../scripts/build-journal.mjs';
+import { markdownToHtml } from '../scripts/markdown.mjs';
+import { writePackSource } from '../scripts/pack-source.mjs';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/catalogs', import.meta.url));
+const COMPENDIUM = fileURLToPath(new URL('./fixtures/compendium.json', import.meta.url));
+
+const README = `# Test Module
+
+## Material types
+
+| Material | Status |
+| --- | --- |
+| [Cold iron] | supported |
+
+## Later
+
+Not included.
+
+[Cold iron]: https://2e.aonprd.com/Equipment.aspx?ID=2856
+`;
+
+const GUIDE = `# Using Precious Ammunition
+
+Buy [Cold Iron Arrows](item:cold-iron-arrows-low-grade) for fey.
+
+## Grade limits
+
+<!-- grade-table -->
+
+## Materials
+
+See [the list](journal:ammunition#ammunition).
+
+<!-- readme: Material types -->
+`;
+
+const AMMUNITION = `# Ammunition
+
+<!-- item-table -->
+`;
+
+describe('markdownToHtml', () => {
+  test('converts headings, paragraphs, emphasis and code', () => {
+    assert.equal(
+      markdownToHtml('### Grades\n\nA **high-grade** *silver* `bolt`\nfor <you>.'),
+      '<h3>Grades</h3>\n<p>A <strong>high-grade</strong> <em>silver</em> <code>bolt</code>\nfor &lt;you&gt;.</p>'
+    );
+  });
+
+  test('converts lists and tables', () => {
+    assert.equal(markdownToHtml('- one\n- two\n  more'), '<ul><li>one</li><li>two\nmore</li></ul>');
+    assert.equal(
+      markdownToHtml('| Item | Level |\n| --- | ---: |\n| Bolts | 2 |'),
+      '<table><thead><tr><th>Item</th><th style="text-align: right">Level</th></tr></thead>' +
+      '<tbody><tr><td>Bolts</td><td style="text-align: right">2</td></tr></tbody></table>'
+    );
+  });
+
+  test('resolves reference-style links and leaves comments out', () => {
+    assert.equal(
+      markdownToHtml('[Silver] and [AoN][aon]\n\n<!-- note -->\n\n[silver]: https://a.example/?x=1&y=2\n[aon]: https://b.example'),
+      '<p><a href="https://a.example/?x=1&amp;y=2">Silver</a> and <a href="https://b.example">AoN</a></p>'
+    );
+  });
+
+  test('lets links be rewritten', () => {
+    const resolveLink = (href, label) => (href.startsWith('item:') ? `@UUID[${href.slice(5)}]{${label}}` : null);
+    assert.equal(
+      markdownToHtml('[Bolts](item:abc) and [AoN](https://aon.example)', { resolveLink }),
+      '<p>@UUID[abc]{Bolts} and <a href="https://aon.example">AoN</a></p>'
+    );
+  });
+});
+
+describe('parseJournalMarkdown', () => {
+  test('names the entry and gives each section a page', () => {
+    const { name, pages } = parseJournalMarkdown(GUIDE, 'guide.md');
+
+    assert.equal(name, 'Using Precious Ammunition');
+    assert.deepEqual(pages.map((page) => [page.name, page.slug]), [
+      ['Using Precious Ammunition', 'using-precious-ammunition'],
+      ['Grade limits', 'grade-limits'],
+      ['Materials', 'materials']
+    ]);
+  });
+
+  test('needs a heading naming the entry', () => {
+    assert.throws(() => parseJournalMarkdown('Text\n\n## Page', 'bad.md'), /bad\.md must start with a "# " heading/);
+  });
+});
+
+describe('formatPrice', () => {
+  test('writes Prices as the rules do', () => {
+    assert.equal(formatPrice({ value: { gp: 40 }, per: 10 }), '40 gp for 10');
+    assert.equal(formatPrice({ value: { gp: 1400, sp: 5 }, per: 1 }), '1,400 gp, 5 sp');
+  });
+});
+
+describe('buildJournalRecords', () => {
+  let root;
+  let records;
+
+  const page = (name) => records.find((record) => record.name === name && record.type === 'text');
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'ppp-journal-'));
+    cpSync(FIXTURES, root, { recursive: true });
+    writeFileSync(join(root, 'README.md'), README);
+    writePackSource(JSON.parse(readFileSync(COMPENDIUM, 'utf8')), join(root, 'src', 'packs', 'precious-ammunition'));
+    mkdirSync(join(root, 'src', 'packs', 'precious-guide'));
+    writeFileSync(join(root, 'src', 'packs', 'precious-guide', '01-using-precious-ammunition.md'), GUIDE);
+    writeFileSync(join(root, 'src', 'packs', 'precious-guide', '02-ammunition.md'), AMMUNITION);
+
+    records = buildJournalRecords(root, 'precious-guide');
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  test('makes an entry of each file, in order, with its pages', () => {
+    const entries = records.filter((record) => record._metadata.key.startsWith('!journal!'));
+
+    assert.deepEqual(entries.map((entry) => entry.name), ['Using Precious Ammunition', 'Ammunition']);
+    assert.equal(entries[0].pages.length, 3);
+    assert.equal(page('Grade limits')._metadata.key, `!journal.pages!${entries[0]._id}.${page('Grade limits')._id}`);
+  });
+
+  test('gives the same IDs every time', () => {
+    assert.deepEqual(buildJournalRecords(root, 'precious-guide').map((record) => record._id), records.map((record) => record._id));
+  });
+
+  test('links to items and to other pages by UUID', () => {
+    const ammunition = records.find((record) => record.name === 'Ammunition' && record.pages);
+
+    assert.match(
+      page('Using Precious Ammunition').text.content,
+      /@UUID\[Compendium\.prishas-precious-projectiles\.precious-ammunition\.Item\.ColdIronArrowsLG\]\{Cold Iron Arrows\}/
+    );
+    assert.match(
+      page('Materials').text.content,
+      new RegExp(`@UUID\\[Compendium\\.prishas-precious-projectiles\\.precious-guide\\.JournalEntry\\.${ammunition._id}\\.JournalEntryPage\\.${ammunition.pages[0]}\\]\\{the list\\}`)
+    );
+  });
+
+  test('tables every item by material with its grade, level and Price', () => {
+    const content = page('Ammunition').text.content;
+
+    assert.match(content, /<h3>Cold Iron<\/h3>/);
+    assert.match(content, /<td>@UUID\[[^\]]+ColdIronArrowsLG\]\{Cold Iron Arrows \(Low-Grade\)\}<\/td><td>Low-Grade<\/td><td style="text-align: right">2<\/td>/);
+    assert.doesNotMatch(content, /Dawnsilver/);
+  });
+
+  test('tables the grade limits', () => {
+    assert.match(page('Grade limits').text.content, /<td>Cold Iron<\/td><td>Low-Grade<\/td><td style="text-align: right">2<\/td><td>Up to 8th level<\/td>/);
+    assert.match(page('Grade limits').text.content, /<td>Dawnsilver<\/td><td>Standard-Grade<\/td><td style="text-align: right">11<\/td><td>Any<\/td>/);
+  });
+
+  test('includes a section of the README', () => {
+    const content = page('Materials').text.content;
+
+    assert.match(content, /<a href="https:\/\/2e\.aonprd\.com\/Equipment\.aspx\?ID=2856">Cold iron<\/a><\/td><td>supported/);
+    assert.doesNotMatch(content, /Not included/);
+  });
+
+  test('rejects links to items that are not in a pack', () => {
+    writeFileSync(join(root, 'src', 'packs', 'precious-guide', '03-broken.md'), '# Broken\n\n[Gone](item:silver-arrows-low-grade)\n');
+    try {
+      assert.throws(() => buildJournalRecords(root, 'precious-guide'), /03-broken\.md links to an item .*: silver-arrows-low-grade/);
+    } finally {
+      rmSync(join(root, 'src', 'packs', 'precious-guide', '03-broken.md'));
+    }
+  });
+});
@@ -0,0 +1,137 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { packLevelDB } from '../scripts/pack-compendium.mjs';
+import { extractLevelDB } from '../scripts/extract-compendium.mjs';
+import { compareRecords, parseKey, readLevelDB, recordKey, writeLevelDB } from '../scripts/leveldb-records.mjs';
+import { verifyRoundTrip } from '../scripts/verify-compendium.mjs';
+
+const COMPENDIUM = fileURLToPath(new URL('./fixtures/compendium.json', import.meta.url));
+
+const byKey = (a, b) => a._metadata.key.localeCompare(b._metadata.key);
+const loadFixture = () => JSON.parse(readFileSync(COMPENDIUM, 'utf8'));
+
+describe('LevelDB packs', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-leveldb-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('pack then extract gives back the same records', async () => {
+    const dbPath = join(dir, 'pack');
+    const outputPath = join(dir, 'extracted.json');
+
+    await packLevelDB(COMPENDIUM, dbPath);
+    assert.ok(readdirSync(dbPath).some((file) => file.startsWith('MANIFEST-')));
+
+    await extractLevelDB(dbPath, outputPath);
+
+    const extracted = JSON.parse(readFileSync(outputPath, 'utf8'));
+    assert.deepEqual(extracted.sort(byKey), loadFixture().sort(byKey));
+  });
+
+  test('keeps embedded documents and other document types', async () => {
+    const dbPath = join(dir, 'embedded');
+    await writeLevelDB(loadFixture(), dbPath);
+
+    const keys = (await readLevelDB(dbPath)).map((record) => record._metadata.key);
+    assert.ok(keys.includes('!items.effects!ColdIronArrowsLG.EffectOnArrow001'));
+    assert.ok(keys.includes('!journal!JournalEntry0001'));
+    assert.ok(keys.includes('!journal.pages!JournalEntry0001.JournalPage00001'));
+  });
+
+  test('deletes documents that are no longer in the JSON', async () => {
+    const dbPath = join(dir, 'deletions');
+    const records = loadFixture();
+    await writeLevelDB(records, dbPath);
+
+    const kept = records.filter((record) => !record._metadata.key.startsWith('!journal'));
+    const { deleted } = await writeLevelDB(kept, dbPath);
+
+    assert.deepEqual(deleted.sort(), ['!journal!JournalEntry0001', '!journal.pages!JournalEntry0001.JournalPage00001']);
+    assert.deepEqual(compareRecords(kept, await readLevelDB(dbPath)), []);
+  });
+
+  test('packing replaces the contents of an existing pack', async () => {
+    const dbPath = join(dir, 'repack');
+    const jsonPath = join(dir, 'fewer.json');
+    await packLevelDB(COMPENDIUM, dbPath);
+
+    writeFileSync(jsonPath, JSON.stringify(loadFixture().slice(0, 2)));
+    await packLevelDB(jsonPath, dbPath);
+
+    assert.equal((await readLevelDB(dbPath)).length, 2);
+  });
+
+  test('verifies a round trip from JSON or from a pack', async () => {
+    const fromJson = await verifyRoundTrip(COMPENDIUM);
+    assert.deepEqual(fromJson, { records: loadFixture().length, differences: [] });
+
+    const dbPath = join(dir, 'verify');
+    await writeLevelDB(loadFixture(), dbPath);
+    assert.deepEqual((await verifyRoundTrip(dbPath)).differences, []);
+  });
+});
+
+describe('pack keys', () => {
+  test('name collections and IDs', () => {
+    assert.deepEqual(parseKey('!items.effects!ColdIronArrowsLG.EffectOnArrow001'), {
+      collections: ['items', 'effects'],
+      ids: ['ColdIronArrowsLG', 'EffectOnArrow001']
+    });
+    assert.equal(parseKey('!items.effects!ColdIronArrowsLG'), null);
+    assert.equal(parseKey('items!abc'), null);
+  });
+
+  test('default to the item key of the record\'s _id', () => {
+    assert.equal(recordKey({ _id: 'ColdIronArrowsLG' }), '!items!ColdIronArrowsLG');
+  });
+
+  test('are never invented', () => {
+    assert.throws(() => recordKey({ name: 'Nameless' }), /neither _metadata.key nor _id/);
+  });
+
+  test('must match the record\'s _id', () => {
+    assert.throws(() => recordKey({ _id: 'SomethingElse000', _metadata: { key: '!items!ColdIronArrowsLG' } }), /does not match/);
+  });
+
+  test('must be unique', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ppp-leveldb-'));
+    try {
+      const [folder, item] = loadFixture();
+      await assert.rejects(writeLevelDB([folder, item, { ...item }], join(dir, 'pack')), /Duplicate pack key/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('compareRecords', () => {
+  test('finds missing, changed and unexpected records', () => {
+    const records = loadFixture();
+    const changed = structuredClone(records);
+    changed[1].system.level.value = 3;
+    changed.splice(2, 1);
+    changed.push({ _id: 'NewItem000000000', name: 'New' });
+
+    assert.deepEqual(compareRecords(records, changed), [
+      'Changed !items!ColdIronArrowsLG (Cold Iron Arrows (Low-Grade))',
+      'Missing !items.effects!ColdIronArrowsLG.EffectOnArrow001 (Effect: Cold Iron)',
+      'Unexpected !items!NewItem000000000 (New)'
+    ]);
+  });
+
+  test('ignores key order and _metadata', () => {
+    const records = loadFixture();
+    const reordered = records.map((record) => Object.fromEntries(Object.entries(record).reverse()));
+    assert.deepEqual(compareRecords(records, reordered), []);
+  });
+});
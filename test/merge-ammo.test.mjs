@@ -0,0 +1,297 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { mergeAmmunitionFiles, mergePackVersions, mergeThreeWay, mergeValues } from '../scripts/merge-ammo.mjs';
+
+const BASE = fileURLToPath(new URL('./fixtures/merge/base.json', import.meta.url));
+const UPDATES = fileURLToPath(new URL('./fixtures/merge/updates.json', import.meta.url));
+const MERGE_SCRIPT = fileURLToPath(new URL('../scripts/merge-ammo.mjs', import.meta.url));
+
+const arrows = (changes = {}) => ({
+  _id: 'ColdIronArrowsLG',
+  name: 'Cold Iron Arrows (Low-Grade)',
+  type: 'consumable',
+  system: {
+    slug: 'cold-iron-arrows-low-grade',
+    level: { value: 2 },
+    price: { value: { gp: 10 } },
+    traits: { value: ['consumable'] },
+    ...changes.system
+  },
+  _stats: { createdTime: 1000, modifiedTime: 1000, ...changes._stats },
+  _metadata: { key: '!items!ColdIronArrowsLG' }
+});
+
+const bolts = { _id: 'SilverBoltsLG000', name: 'Silver Bolts (Low-Grade)', system: { slug: 'silver-bolts-low-grade' }, _metadata: { key: '!items!SilverBoltsLG000' } };
+
+describe('mergeAmmunitionFiles', () => {
+  let dir;
+  let merged;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-merge-'));
+    const output = join(dir, 'merged.json');
+    mergeAmmunitionFiles([UPDATES, BASE], output);
+    merged = JSON.parse(readFileSync(output, 'utf8'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps the order of the rightmost file and appends the rest', () => {
+    assert.deepEqual(merged.map((item) => item.name), ['Alpha Arrows', 'Arrows', 'Beta Arrows', 'Gamma Arrows', 'Bolts']);
+  });
+
+  test('replaces items with the same slug from earlier files', () => {
+    const beta = merged.find((item) => item.system?.slug === 'beta-arrows');
+    assert.equal(beta.system.level.value, 3);
+    assert.equal(beta._stats.modifiedTime, 9000);
+  });
+
+  test('keeps the createdTime of replaced items', () => {
+    const beta = merged.find((item) => item.system?.slug === 'beta-arrows');
+    assert.equal(beta._stats.createdTime, 2000);
+  });
+
+  test('leaves items only in the rightmost file alone', () => {
+    const alpha = merged.find((item) => item.system?.slug === 'alpha-arrows');
+    assert.deepEqual(alpha, JSON.parse(readFileSync(BASE, 'utf8'))[0]);
+  });
+
+  test('rejects missing files', () => {
+    assert.throws(() => mergeAmmunitionFiles([join(dir, 'missing.json'), BASE], join(dir, 'out.json')), /File not found/);
+    assert.throws(() => mergeAmmunitionFiles([], join(dir, 'out.json')), /No input files/);
+  });
+});
+
+describe('mergeValues', () => {
+  test('takes the side that changed a value', () => {
+    assert.equal(mergeValues(1, 2, 1, 'a', []), 2);
+    assert.equal(mergeValues(1, 1, 3, 'a', []), 3);
+    assert.equal(mergeValues(1, 4, 4, 'a', []), 4);
+  });
+
+  test('merges objects field by field, including removed fields', () => {
+    const conflicts = [];
+    const merged = mergeValues({ a: 1, b: 2, c: 3 }, { a: 5, b: 2, c: 3 }, { a: 1, b: 2 }, '', conflicts);
+    assert.deepEqual(merged, { a: 5, b: 2 });
+    assert.deepEqual(conflicts, []);
+  });
+
+  test('takes arrays whole', () => {
+    const conflicts = [];
+    assert.deepEqual(mergeValues(['a'], ['a', 'b'], ['a'], 'traits', conflicts), ['a', 'b']);
+    mergeValues(['a'], ['a', 'b'], ['c'], 'traits', conflicts);
+    assert.deepEqual(conflicts, [{ path: 'traits', base: ['a'], ours: ['a', 'b'], theirs: ['c'] }]);
+  });
+
+  test('takes the later modifiedTime rather than reporting a conflict', () => {
+    const conflicts = [];
+    assert.deepEqual(mergeValues({ modifiedTime: 1 }, { modifiedTime: 5 }, { modifiedTime: 7 }, '_stats', conflicts), { modifiedTime: 7 });
+    assert.deepEqual(conflicts, []);
+  });
+});
+
+describe('mergeThreeWay', () => {
+  test('keeps changes to different fields from both sides', () => {
+    const ours = arrows({ system: { level: { value: 3 } }, _stats: { modifiedTime: 2000 } });
+    const theirs = arrows({ system: { price: { value: { gp: 12 } } }, _stats: { modifiedTime: 3000 } });
+
+    const { records, conflicts, stats } = mergeThreeWay([arrows()], [ours], [theirs]);
+
+    assert.deepEqual(conflicts, []);
+    assert.equal(records[0].system.level.value, 3);
+    assert.deepEqual(records[0].system.price, { value: { gp: 12 } });
+    assert.equal(records[0]._stats.modifiedTime, 3000);
+    assert.equal(stats.merged, 1);
+  });
+
+  test('reports changes to the same field, keeping ours', () => {
+    const ours = arrows({ system: { level: { value: 3 } } });
+    const theirs = arrows({ system: { level: { value: 4 } } });
+
+    const { records, conflicts } = mergeThreeWay([arrows()], [ours], [theirs]);
+
+    assert.equal(records[0].system.level.value, 3);
+    assert.deepEqual(conflicts, [{
+      key: '!items!ColdIronArrowsLG',
+      name: 'Cold Iron Arrows (Low-Grade)',
+      type: 'changed',
+      path: 'system.level.value',
+      base: 2,
+      ours: 3,
+      theirs: 4
+    }]);
+  });
+
+  test('keeps records added on either side, after ours', () => {
+    const silver = { ...bolts, _id: 'SilverArrowsLG00', name: 'Silver Arrows', _metadata: { key: '!items!SilverArrowsLG00' } };
+    const { records, stats } = mergeThreeWay([arrows()], [arrows(), bolts], [silver, arrows()]);
+
+    assert.deepEqual(records.map((record) => record.name), ['Cold Iron Arrows (Low-Grade)', 'Silver Bolts (Low-Grade)', 'Silver Arrows']);
+    assert.equal(stats.added, 2);
+  });
+
+  test('deletes records one side deleted and the other left alone', () => {
+    const { records, conflicts, stats } = mergeThreeWay([arrows(), bolts], [arrows()], [arrows(), bolts]);
+
+    assert.deepEqual(records.map((record) => record._id), ['ColdIronArrowsLG']);
+    assert.deepEqual(conflicts, []);
+    assert.equal(stats.deleted, 1);
+  });
+
+  test('reports records one side deleted and the other changed, keeping the change', () => {
+    const changed = arrows({ system: { level: { value: 3 } } });
+    const { records, conflicts } = mergeThreeWay([arrows()], [], [changed]);
+
+    assert.deepEqual(records, [changed]);
+    assert.equal(conflicts[0].type, 'deletedByOurs');
+    assert.equal(conflicts[0].key, '!items!ColdIronArrowsLG');
+  });
+});
+
+describe('mergePackVersions', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-merge3-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, data) => {
+    const path = join(dir, name);
+    writeFileSync(path, JSON.stringify(data));
+    return path;
+  };
+
+  test('writes the merge and a report of the conflicts', () => {
+    const output = join(dir, 'merged.json');
+    const { conflicts, reportPath } = mergePackVersions(
+      write('base.json', [arrows()]),
+      write('ours.json', [arrows({ system: { level: { value: 3 } } })]),
+      write('theirs.json', [arrows({ system: { level: { value: 4 } } }), bolts]),
+      output
+    );
+
+    assert.equal(conflicts.length, 1);
+    assert.equal(reportPath, `${output}.conflicts.json`);
+    assert.deepEqual(JSON.parse(readFileSync(output, 'utf8')).map((record) => record._id), ['ColdIronArrowsLG', 'SilverBoltsLG000']);
+
+    const report = JSON.parse(readFileSync(reportPath, 'utf8'));
+    assert.equal(report.file, output);
+    assert.deepEqual(report.conflicts.map(({ key, path }) => `${key} ${path}`), ['!items!ColdIronArrowsLG system.level.value']);
+  });
+
+  test('writes no report without conflicts', () => {
+    const output = join(dir, 'clean.json');
+    const { reportPath } = mergePackVersions(write('b.json', [arrows()]), write('o.json', [arrows()]), write('t.json', [arrows(), bolts]), output);
+
+    assert.equal(reportPath, null);
+    assert.equal(existsSync(`${output}.conflicts.json`), false);
+  });
+
+  test('takes an empty or missing base to have no records', () => {
+    const empty = join(dir, 'empty.json');
+    writeFileSync(empty, '');
+
+    for (const base of [empty, join(dir, 'missing.json')]) {
+      const output = join(dir, 'added.json');
+      const { conflicts } = mergePackVersions(base, write('added-ours.json', [arrows()]), write('added-theirs.json', [arrows(), bolts]), output);
+
+      assert.deepEqual(conflicts, []);
+      assert.deepEqual(JSON.parse(readFileSync(output, 'utf8')).map((record) => record._id), ['ColdIronArrowsLG', 'SilverBoltsLG000']);
+    }
+  });
+
+  test('merges single-record source files as single records', () => {
+    const output = join(dir, 'record.json');
+    mergePackVersions(
+      write('record-base.json', arrows()),
+      write('record-ours.json', arrows({ system: { level: { value: 3 } } })),
+      write('record-theirs.json', arrows({ system: { price: { value: { gp: 12 } } } })),
+      output
+    );
+
+    const merged = JSON.parse(readFileSync(output, 'utf8'));
+    assert.equal(merged.system.level.value, 3);
+    assert.deepEqual(merged.system.price, { value: { gp: 12 } });
+  });
+});
+
+describe('merge-ammo as a git merge driver', () => {
+  let repo;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  const save = (file, record) => {
+    mkdirSync(join(repo, file, '..'), { recursive: true });
+    writeFileSync(join(repo, file), `${JSON.stringify(record, null, 2)}\n`);
+  };
+
+  before(() => {
+    repo = mkdtempSync(join(tmpdir(), 'ppp-driver-'));
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    git('config', 'merge.pack-records.driver', `node ${MERGE_SCRIPT} --git-driver %O %A %B %P`);
+    writeFileSync(join(repo, '.gitattributes'), 'packs/**/*.json merge=pack-records\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Attributes');
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  test('merges edits to different fields of the same pack file', () => {
+    const file = join('packs', 'Arrows', 'cold-iron-arrows-low-grade.json');
+
+    save(file, arrows());
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Base');
+
+    git('checkout', '-q', '-b', 'price');
+    save(file, arrows({ system: { price: { value: { gp: 12 } } }, _stats: { modifiedTime: 3000 } }));
+    git('commit', '-q', '-am', 'Price');
+
+    git('checkout', '-q', 'main');
+    save(file, arrows({ system: { level: { value: 3 } }, _stats: { modifiedTime: 2000 } }));
+    git('commit', '-q', '-am', 'Level');
+
+    const merge = spawnSync('git', ['merge', '-q', '--no-edit', 'price'], { cwd: repo, encoding: 'utf8' });
+    assert.equal(merge.status, 0, merge.stdout + merge.stderr);
+
+    const merged = JSON.parse(readFileSync(join(repo, file), 'utf8'));
+    assert.equal(merged.system.level.value, 3);
+    assert.deepEqual(merged.system.price, { value: { gp: 12 } });
+    assert.equal(merged._stats.modifiedTime, 3000);
+  });
+
+  test('merges a pack file both sides added', () => {
+    const file = join('packs', 'Bolts', 'silver-bolts-low-grade.json');
+
+    git('checkout', '-q', '-b', 'bolts');
+    save(file, { ...bolts, _stats: { modifiedTime: 3000 } });
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Bolts');
+
+    git('checkout', '-q', 'main');
+    save(file, { ...bolts, _stats: { modifiedTime: 2000 } });
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Also bolts');
+
+    const merge = spawnSync('git', ['merge', '-q', '--no-edit', 'bolts'], { cwd: repo, encoding: 'utf8' });
+    assert.equal(merge.status, 0, merge.stdout + merge.stderr);
+
+    const merged = JSON.parse(readFileSync(join(repo, file), 'utf8'));
+    assert.equal(merged._id, bolts._id);
+    assert.equal(merged._stats.modifiedTime, 3000);
+  });
+});
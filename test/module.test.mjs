@@ -0,0 +1,233 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  callHooks,
+  createV12Browser,
+  createV13Browser,
+  loadWorld,
+  settle,
+  MODULE_ID,
+  PACK_ID,
+  PACK_LABEL,
+  RENDER_HOOKS
+} from './helpers/foundry.mjs';
+
+const BROWSER_PACKS = 'pf2e.compendiumBrowserPacks';
+
+function browserWrites(game) {
+  return game.settingWrites.filter((write) => write.key === BROWSER_PACKS);
+}
+
+describe('loading a world', () => {
+  test('registers the settings and the API', async () => {
+    const game = await loadWorld({ browser: createV12Browser() });
+
+    assert.deepEqual([...game.registeredSettings.keys()].sort(), [
+      `${MODULE_ID}.autoEnablePack`,
+      `${MODULE_ID}.grades`,
+      `${MODULE_ID}.materials`,
+      `${MODULE_ID}.packEnabled`,
+      `${MODULE_ID}.respectManualChoice`
+    ]);
+    assert.equal(game.registeredSettings.get(`${MODULE_ID}.packEnabled`).config, false);
+
+    const api = game.modules.get(MODULE_ID).api;
+    for (const name of ['findAmmunition', 'getRecommendedGrade', 'getMaterials', 'giveAmmunition', 'canFire']) {
+      assert.equal(typeof api[name], 'function', name);
+    }
+  });
+
+  test('listens for PF2e events only in PF2e worlds', async () => {
+    const pf2e = await loadWorld({ browser: createV12Browser() });
+    for (const event of ['createItem', 'updateItem', 'renderCharacterSheetPF2e', 'renderCompendiumBrowser']) {
+      assert.ok(pf2e.hooks[event]?.length > 0, event);
+    }
+
+    const other = await loadWorld({ system: 'dnd5e' });
+    for (const event of ['createItem', 'updateItem', 'renderCharacterSheetPF2e', 'renderCompendiumBrowser']) {
+      assert.equal(other.hooks[event]?.length ?? 0, 0, event);
+    }
+    assert.ok(other.modules.get(MODULE_ID).api);
+  });
+});
+
+describe('compendium browser', () => {
+  test('turns our pack on once as the world loads (PF2e 6, Foundry v12)', async () => {
+    const browser = createV12Browser();
+    const game = await loadWorld({ browser });
+
+    assert.deepEqual(browser.settings.equipment[PACK_ID], { load: true, name: PACK_LABEL, package: MODULE_ID });
+    assert.equal(browserWrites(game).length, 1);
+    assert.equal(browser.resetCalls, 1);
+  });
+
+  test('turns our pack on once as the world loads (PF2e 7, Foundry v13)', async () => {
+    const browser = createV13Browser();
+    const game = await loadWorld({ browser, settings: { [BROWSER_PACKS]: { equipment: {} } } });
+
+    assert.equal(game.settings.get('pf2e', 'compendiumBrowserPacks').equipment[PACK_ID].load, true);
+    assert.equal(browserWrites(game).length, 1);
+    assert.equal(browser.tabs.equipment.isInitialized, false);
+  });
+
+  test('does nothing more as directories and the browser are rendered', async () => {
+    const browser = createV12Browser();
+    const game = await loadWorld({ browser });
+
+    await callHooks([...RENDER_HOOKS, ...RENDER_HOOKS]);
+
+    assert.equal(browserWrites(game).length, 1);
+    assert.equal(browser.initCompendiumListCalls, 1);
+    assert.equal(browser.resetCalls, 1);
+  });
+
+  test('leaves the pack off when a GM turned it off, in the next world', async () => {
+    const first = await loadWorld({ browser: createV12Browser() });
+    const settings = first.settingValues();
+    settings[BROWSER_PACKS].equipment[PACK_ID].load = false;
+
+    const browser = createV12Browser(settings[BROWSER_PACKS].equipment);
+    const game = await loadWorld({ browser, settings });
+    await callHooks(RENDER_HOOKS);
+
+    assert.equal(browser.settings.equipment[PACK_ID].load, false);
+    assert.equal(browserWrites(game).length, 0);
+  });
+
+  test('turns the pack back on when the GM stops respecting their choice', async () => {
+    const browser = createV12Browser({ [PACK_ID]: { load: false, name: PACK_LABEL } });
+    const game = await loadWorld({ browser, settings: { [`${MODULE_ID}.packEnabled`]: true } });
+    assert.equal(browser.settings.equipment[PACK_ID].load, false);
+
+    await game.settings.set(MODULE_ID, 'respectManualChoice', false);
+    await settle();
+
+    assert.equal(browser.settings.equipment[PACK_ID].load, true);
+    assert.equal(browserWrites(game).length, 1);
+  });
+
+  test('turns the pack on when the integration is turned on', async () => {
+    const browser = createV12Browser();
+    const game = await loadWorld({ browser, settings: { [`${MODULE_ID}.autoEnablePack`]: false } });
+    await callHooks(RENDER_HOOKS);
+    assert.equal(browserWrites(game).length, 0);
+
+    await game.settings.set(MODULE_ID, 'autoEnablePack', true);
+    await settle();
+
+    assert.equal(browser.settings.equipment[PACK_ID].load, true);
+    assert.equal(browserWrites(game).length, 1);
+  });
+
+  test('leaves the settings to the GM on players\' clients', async () => {
+    const browser = createV12Browser();
+    const game = await loadWorld({ browser, isGM: false });
+    await callHooks(RENDER_HOOKS);
+
+    assert.equal(game.settingWrites.length, 0);
+  });
+
+  test('does nothing when our pack is missing', async () => {
+    const browser = createV12Browser();
+    const game = await loadWorld({ browser, packs: [] });
+
+    assert.equal(game.settingWrites.length, 0);
+    assert.equal(browser.initCompendiumListCalls, 0);
+  });
+});
+
+describe('localization', () => {
+  test('names the settings with keys in the module\'s language files', async () => {
+    const game = await loadWorld({ browser: createV12Browser() });
+    const setting = game.registeredSettings.get(`${MODULE_ID}.autoEnablePack`);
+
+    assert.equal(setting.name, 'PRISHAS_PRECIOUS_PROJECTILES.Settings.AutoEnablePack.Name');
+    assert.equal(game.i18n.localize(setting.name), 'Enable in the compendium browser');
+  });
+
+  test('registers the packs\' translations with Babele for every language but English', async () => {
+    const game = await loadWorld({
+      browser: createV12Browser(),
+      languages: [
+        { lang: 'en', name: 'English', path: 'lang/en.json' },
+        { lang: 'de', name: 'Deutsch', path: 'lang/de.json' }
+      ]
+    });
+
+    const registered = [];
+    Hooks.callAll('babele.init', { register: (options) => registered.push(options) });
+
+    assert.ok(game.hookCalls.includes('babele.init'));
+    assert.deepEqual(registered, [{ module: MODULE_ID, lang: 'de', dir: 'babele/de' }]);
+  });
+});
+
+describe('consumed hook', () => {
+  const CONSUMED = `${MODULE_ID}.ammunitionConsumed`;
+
+  // Our ammunition on an actor, and the calls of the consumed hook
+  async function loadAmmunition(quantity) {
+    await loadWorld({ browser: createV12Browser() });
+    const actor = { name: 'Ezren' };
+    const item = { type: 'consumable', actor, system: { category: 'ammo', quantity }, flags: { [MODULE_ID]: {} } };
+    const calls = [];
+    Hooks.on(CONSUMED, (...args) => calls.push(args));
+    return { actor, item, calls };
+  }
+
+  test('is called when the quantity of our ammunition goes down', async () => {
+    const { actor, item, calls } = await loadAmmunition(10);
+    const changes = { system: { quantity: 9 } };
+    const options = {};
+
+    Hooks.callAll('preUpdateItem', item, changes, options, 'user');
+    item.system.quantity = 9;
+    Hooks.callAll('updateItem', item, changes, options, 'user');
+
+    assert.deepEqual(calls, [[actor, item, { quantity: 1, remaining: 9 }]]);
+  });
+
+  test('is called with what was left when a stack is deleted', async () => {
+    const { actor, item, calls } = await loadAmmunition(1);
+    const options = {};
+
+    Hooks.callAll('preDeleteItem', item, options, 'user');
+    Hooks.callAll('deleteItem', item, options, 'user');
+
+    assert.deepEqual(calls, [[actor, item, { quantity: 1, remaining: 0 }]]);
+  });
+
+  test('is called whenever a stack is deleted, as when it is dragged to another actor', async () => {
+    const { actor, item, calls } = await loadAmmunition(10);
+    const options = { render: true };
+
+    Hooks.callAll('preDeleteItem', item, options, 'user');
+    Hooks.callAll('deleteItem', item, options, 'user');
+
+    assert.deepEqual(calls, [[actor, item, { quantity: 10, remaining: 0 }]]);
+  });
+
+  test('is not called when other items or unowned ammunition are deleted', async () => {
+    const { item, calls } = await loadAmmunition(10);
+    const arrows = { ...item, flags: {} };
+    const unowned = { ...item, actor: null };
+
+    for (const deleted of [arrows, unowned]) {
+      const options = {};
+      Hooks.callAll('preDeleteItem', deleted, options, 'user');
+      Hooks.callAll('deleteItem', deleted, options, 'user');
+    }
+
+    assert.deepEqual(calls, []);
+  });
+
+  test('is only called on the client that used the ammunition', async () => {
+    const { item, calls } = await loadAmmunition(1);
+    const options = {};
+
+    Hooks.callAll('preDeleteItem', item, options, 'other');
+    Hooks.callAll('deleteItem', item, options, 'other');
+
+    assert.deepEqual(calls, []);
+  });
+});
@@ -0,0 +1,217 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { compareRecords } from '../scripts/leveldb-records.mjs';
+import { layOutRecords, loadPackRecords, readPackSource, savePackRecords, writePackSource } from '../scripts/pack-source.mjs';
+import { migratePackSource } from '../scripts/migrate-pack-source.mjs';
+import { readVersion } from '../scripts/diff-compendium.mjs';
+
+const COMPENDIUM = fileURLToPath(new URL('./fixtures/compendium.json', import.meta.url));
+
+const loadFixture = () => JSON.parse(readFileSync(COMPENDIUM, 'utf8'));
+
+const item = (id, name, folder = null) => ({
+  _id: id,
+  name,
+  type: 'consumable',
+  folder,
+  system: { slug: name.toLowerCase().replace(/[^a-z0-9]+/g, '-') },
+  _metadata: { key: `!items!${id}` }
+});
+
+describe('layOutRecords', () => {
+  test('gives each document a file, in its folder, with embedded documents beside their parent', () => {
+    assert.deepEqual([...layOutRecords(loadFixture()).keys()].sort(), [
+      'Arrows/_folder.json',
+      'Arrows/cold-iron-arrows-low-grade.effects.effect-cold-iron.json',
+      'Arrows/cold-iron-arrows-low-grade.json',
+      'about-precious-ammunition.json',
+      'about-precious-ammunition.pages.overview.json'
+    ]);
+  });
+
+  test('nests folders in their parent folders', () => {
+    const records = [
+      { _id: 'OuterFolder00000', name: 'Bolts', type: 'Item', folder: null, _metadata: { key: '!folders!OuterFolder00000' } },
+      { _id: 'InnerFolder00000', name: 'Heavy: Crossbow', type: 'Item', folder: 'OuterFolder00000', _metadata: { key: '!folders!InnerFolder00000' } },
+      item('HeavyBolts000000', 'Heavy Bolts', 'InnerFolder00000')
+    ];
+
+    assert.deepEqual([...layOutRecords(records).keys()].sort(), [
+      'Bolts/Heavy- Crossbow/_folder.json',
+      'Bolts/Heavy- Crossbow/heavy-bolts.json',
+      'Bolts/_folder.json'
+    ]);
+  });
+
+  test('adds the ID to documents that would share a file', () => {
+    const files = [...layOutRecords([item('FirstArrows00000', 'Arrows'), item('OtherArrows00000', 'Arrows')]).keys()];
+    assert.deepEqual(files.sort(), ['arrows.OtherArrows00000.json', 'arrows.json']);
+  });
+});
+
+describe('pack source directories', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-source-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('write then read gives back the same records', () => {
+    const records = loadFixture();
+    writePackSource(records, dir);
+
+    assert.deepEqual(compareRecords(records, readPackSource(dir)), []);
+    assert.deepEqual(compareRecords(records, loadPackRecords(dir)), []);
+  });
+
+  test('writes one formatted record per file', () => {
+    writePackSource(loadFixture(), dir);
+
+    const content = readFileSync(join(dir, 'Arrows', 'cold-iron-arrows-low-grade.json'), 'utf8');
+    assert.equal(content, `${JSON.stringify(JSON.parse(content), null, 2)}\n`);
+    assert.equal(JSON.parse(content)._metadata.key, '!items!ColdIronArrowsLG');
+  });
+
+  test('only rewrites the files of documents that changed', () => {
+    const records = loadFixture();
+    writePackSource(records, dir);
+
+    records.find((record) => record._id === 'ColdIronArrowsLG').system.level.value = 3;
+    const { written, deleted, unchanged } = writePackSource(records, dir);
+
+    assert.deepEqual(written, ['Arrows/cold-iron-arrows-low-grade.json']);
+    assert.deepEqual(deleted, []);
+    assert.equal(unchanged, 4);
+  });
+
+  test('removes the files of documents that are gone, and empty folders', () => {
+    const records = loadFixture();
+    writePackSource(records, dir);
+
+    const { deleted } = writePackSource(records.filter((record) => !record._metadata.key.includes('Arrow')), dir);
+
+    assert.deepEqual(deleted.sort(), [
+      'Arrows/_folder.json',
+      'Arrows/cold-iron-arrows-low-grade.effects.effect-cold-iron.json',
+      'Arrows/cold-iron-arrows-low-grade.json'
+    ]);
+    assert.equal(existsSync(join(dir, 'Arrows')), false);
+  });
+
+  test('moves a document when it is renamed', () => {
+    const records = loadFixture();
+    writePackSource(records, dir);
+
+    const arrows = records.find((record) => record._id === 'ColdIronArrowsLG');
+    arrows.system.slug = 'cold-iron-arrows-lg';
+    writePackSource(records, dir);
+
+    assert.equal(existsSync(join(dir, 'Arrows', 'cold-iron-arrows-low-grade.json')), false);
+    assert.ok(existsSync(join(dir, 'Arrows', 'cold-iron-arrows-lg.json')));
+    assert.ok(existsSync(join(dir, 'Arrows', 'cold-iron-arrows-lg.effects.effect-cold-iron.json')));
+  });
+
+  test('rejects files that are not records', () => {
+    mkdirSync(join(dir, 'Arrows'));
+    writeFileSync(join(dir, 'Arrows', 'notes.json'), '{"name": "Notes"}');
+
+    assert.throws(() => readPackSource(dir), /notes\.json is not a pack record/);
+  });
+
+  test('rejects two files holding the same document', () => {
+    const [record] = loadFixture();
+    writeFileSync(join(dir, 'a.json'), JSON.stringify(record));
+    writeFileSync(join(dir, 'b.json'), JSON.stringify(record));
+
+    assert.throws(() => readPackSource(dir), /a\.json both hold !folders!ArrowsFolder0000/);
+  });
+});
+
+describe('savePackRecords', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-save-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a JSON array to a .json path', () => {
+    const path = join(dir, 'pack.json');
+    savePackRecords(loadFixture(), path);
+
+    assert.deepEqual(JSON.parse(readFileSync(path, 'utf8')), loadFixture());
+  });
+
+  test('can merge records into those already there', () => {
+    const path = join(dir, 'source');
+    savePackRecords(loadFixture(), path);
+
+    const silver = item('SilverArrowsLG00', 'Silver Arrows (Low-Grade)', 'ArrowsFolder0000');
+    savePackRecords([silver], path, { merge: true });
+
+    const records = loadPackRecords(path);
+    assert.equal(records.length, loadFixture().length + 1);
+    assert.ok(existsSync(join(path, 'Arrows', 'silver-arrows-low-grade.json')));
+  });
+});
+
+describe('migratePackSource', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-migrate-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('splits the JSON file into a source directory and removes it', () => {
+    const jsonPath = join(dir, 'pack.json');
+    writeFileSync(jsonPath, readFileSync(COMPENDIUM));
+
+    const { records, files } = migratePackSource(jsonPath, join(dir, 'pack'));
+
+    assert.equal(records, 5);
+    assert.equal(files, 5);
+    assert.equal(existsSync(jsonPath), false);
+    assert.deepEqual(compareRecords(loadFixture(), readPackSource(join(dir, 'pack'))), []);
+  });
+
+  test('removes an old LevelDB build from the directory', () => {
+    const jsonPath = join(dir, 'pack.json');
+    writeFileSync(jsonPath, readFileSync(COMPENDIUM));
+    mkdirSync(join(dir, 'pack'));
+    for (const file of ['CURRENT', 'LOCK', 'LOG', 'MANIFEST-000006', '000005.ldb']) {
+      writeFileSync(join(dir, 'pack', file), '');
+    }
+
+    const { removed } = migratePackSource(jsonPath, join(dir, 'pack'), { keep: true });
+
+    assert.deepEqual(removed.sort(), ['000005.ldb', 'CURRENT', 'LOCK', 'LOG', 'MANIFEST-000006']);
+    assert.ok(existsSync(jsonPath));
+  });
+});
+
+describe('diffing source directories', () => {
+  test('reads a source directory as a version', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ppp-diff-'));
+    try {
+      writePackSource(loadFixture(), dir);
+      assert.deepEqual(compareRecords(loadFixture(), readVersion(dir)), []);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
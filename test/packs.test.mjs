@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { cpSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { loadCatalogs, validateCatalogs } from '../scripts/validate-catalogs.mjs';
+import { ammunitionPack, defaultAmmunitionPack, manifestPacks } from '../scripts/packs.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/catalogs', import.meta.url));
+
+// Validate the fixture catalogs with another packs.yml, leaving out the
+// language files, which name the fixture's packs
+function validatePacks(yaml) {
+  const dir = mkdtempSync(join(tmpdir(), 'ppp-packs-'));
+  try {
+    cpSync(FIXTURES, dir, { recursive: true });
+    rmSync(join(dir, 'src', 'lang'), { recursive: true });
+    writeFileSync(join(dir, 'src', 'packs.yml'), yaml);
+    return validateCatalogs(dir).errors.map((error) => error.message);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('manifestPacks', () => {
+  test('gives the packs listed in module.json', () => {
+    const { packs } = loadCatalogs(ROOT);
+    const manifest = JSON.parse(readFileSync(join(ROOT, 'module.json'), 'utf8'));
+
+    assert.deepEqual(manifestPacks(packs), manifest.packs);
+  });
+
+  test('only puts packs with a tab in the compendium browser', () => {
+    const [ammunition, darts] = manifestPacks(loadCatalogs(FIXTURES).packs);
+
+    assert.deepEqual(ammunition.flags, { pf2e: { compendiumBrowser: { category: 'equipment', searchable: true } } });
+    assert.equal(darts.path, 'packs/precious-darts');
+    assert.deepEqual(darts.flags, {});
+  });
+});
+
+describe('ammunition packs', () => {
+  const { ammunitionTypes, packs } = loadCatalogs(FIXTURES);
+
+  test('puts ammunition in the pack marked for it', () => {
+    assert.equal(defaultAmmunitionPack(packs), 'precious-ammunition');
+    assert.equal(ammunitionPack(packs, ammunitionTypes.Arrows), 'precious-ammunition');
+  });
+
+  test('puts ammunition types that name a pack in it', () => {
+    assert.equal(ammunitionPack(packs, ammunitionTypes['Elven Darts']), 'precious-darts');
+  });
+});
+
+describe('packs.yml', () => {
+  test('needs exactly one pack for ammunition', () => {
+    assert.deepEqual(validatePacks('first:\n  label: First\n  type: Item\n'), [
+      'must name an Item pack in packs.yml (got "precious-darts")',
+      'exactly one pack must be marked "ammunition: true" (found 0)'
+    ]);
+  });
+
+  test('rejects pack names that are not slugs and unknown document types', () => {
+    const errors = validatePacks([
+      'Precious Ammunition:',
+      '  label: Precious Ammunition',
+      '  type: Item',
+      '  ammunition: true',
+      'precious-darts:',
+      '  label: Precious Darts',
+      '  type: Weapon'
+    ].join('\n'));
+
+    assert.ok(errors.some((message) => message.includes('"Precious Ammunition" must be a slug')));
+    assert.ok(errors.some((message) => message.includes('Weapon')));
+    assert.ok(errors.includes('must name an Item pack in packs.yml (got "precious-darts")'));
+  });
+});
@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { cpSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { writeLevelDB } from '../scripts/leveldb-records.mjs';
+import { loadPackRecords } from '../scripts/pack-source.mjs';
+import { defaultAmmunitionPack, packSourcePath } from '../scripts/packs.mjs';
+import { loadReferences, updateReferences } from '../scripts/update-pf2e-references.mjs';
+import { loadCatalogs } from '../scripts/validate-catalogs.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/catalogs', import.meta.url));
+
+const item = (id, name, type, slug) => ({
+  _id: id,
+  name,
+  type,
+  system: slug ? { slug } : {},
+  _metadata: { key: `!items!${id}` }
+});
+
+const uuid = (id) => `Compendium.pf2e.equipment-srd.Item.${id}`;
+
+// Run a function without its console output
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+describe('updateReferences', () => {
+  let dir;
+  let references;
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-references-'));
+    cpSync(FIXTURES, dir, { recursive: true });
+    writeFileSync(join(dir, 'src', 'pf2e-references.yml'), 'materials:\n  Dawnsilver: Compendium.pf2e.other.Item.Dawnsilver000000\n');
+
+    const systemDir = join(dir, 'pf2e');
+    mkdirSync(systemDir);
+    writeFileSync(join(systemDir, 'system.json'), JSON.stringify({
+      id: 'pf2e',
+      packs: [{ name: 'equipment-srd', path: 'packs/equipment-srd', type: 'Item' }]
+    }));
+    await writeLevelDB([
+      item('Longbow000000000', 'Longbow', 'weapon', 'longbow'),
+      item('Shortbow00000000', 'Shortbow', 'weapon'),
+      item('ColdIronChunk000', 'Cold Iron Chunk', 'treasure', 'cold-iron-chunk'),
+      item('ColdIron00000000', 'Cold Iron', 'weapon', 'cold-iron')
+    ], join(systemDir, 'packs', 'equipment-srd'));
+
+    references = await quietly(() => updateReferences(systemDir, dir));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keys the weapons by the base weapon slugs the catalogs list', () => {
+    assert.deepEqual(references.weapons, {
+      longbow: uuid('Longbow000000000'),
+      shortbow: uuid('Shortbow00000000')
+    });
+  });
+
+  test('links materials to their raw material, keeping those given by hand', () => {
+    assert.deepEqual(references.materials, {
+      'Cold Iron': uuid('ColdIronChunk000'),
+      Dawnsilver: 'Compendium.pf2e.other.Item.Dawnsilver000000'
+    });
+  });
+
+  test('writes what loadReferences reads', () => {
+    assert.deepEqual(loadReferences(dir), references);
+  });
+});
+
+describe('the shipped references', () => {
+  const references = loadReferences(ROOT);
+  const uuids = [...Object.values(references.materials), ...Object.values(references.weapons)];
+
+  // The references can only be written from a PF2e install, with
+  // `npm run pf2e:references`; until they are, there is nothing to link
+  test('link the shipped item descriptions to PF2e\'s entries', {
+    skip: uuids.length === 0 && 'src/pf2e-references.yml has no UUIDs; run npm run pf2e:references'
+  }, () => {
+    const { packs } = loadCatalogs(ROOT);
+    const descriptions = loadPackRecords(packSourcePath(ROOT, defaultAmmunitionPack(packs)))
+      .map((record) => record.system?.description?.value ?? '');
+
+    assert.ok(descriptions.some((description) => description.includes('@UUID[')));
+    for (const uuid of uuids) {
+      assert.ok(descriptions.some((description) => description.includes(`@UUID[${uuid}]`)), `${uuid} is not linked`);
+    }
+  });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { importSource } from './helpers/source.mjs';
+import { loadCatalogs } from '../scripts/validate-catalogs.mjs';
+
+const { ammunitionTypeForWeapon, loadCatalog } = await importSource('synthesis.ts');
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// The catalogs as the build writes them to catalog.json
+const catalog = loadCatalogs(ROOT);
+
+const weapon = (name, system) => ({ name, type: 'weapon', system: { range: 120, ...system } });
+
+describe('ammunitionTypeForWeapon', () => {
+  test('finds the catalog entry for one of its base weapons', () => {
+    const { name, config } = ammunitionTypeForWeapon(catalog, weapon('Longbow', { slug: 'longbow', group: 'bow' }));
+
+    assert.equal(name, 'Arrows');
+    assert.equal(config, catalog.ammunitionTypes.Arrows);
+  });
+
+  test('makes rounds for a firearm the catalogs lack', () => {
+    const { name, config } = ammunitionTypeForWeapon(catalog, weapon('Harmona Gun', { slug: 'harmona-gun', group: 'firearm' }));
+
+    assert.equal(name, 'Harmona Gun Rounds');
+    assert.deepEqual(config.base_weapons, { 'harmona-gun': 'Harmona Gun' });
+  });
+
+  test('extends the entry its weapon group fires to other weapons', () => {
+    const { name, config } = ammunitionTypeForWeapon(catalog, weapon('Arbalest', { slug: 'arbalest', group: 'crossbow' }));
+
+    assert.equal(name, 'Crossbow Bolts');
+    assert.deepEqual(config.base_weapons, {
+      crossbow: 'Crossbow',
+      'hand-crossbow': 'Hand Crossbow',
+      'heavy-crossbow': 'Heavy Crossbow',
+      arbalest: 'Arbalest'
+    });
+    assert.deepEqual(Object.keys(catalog.ammunitionTypes['Crossbow Bolts'].base_weapons), ['crossbow', 'hand-crossbow', 'heavy-crossbow']);
+  });
+
+  test('prefers the ammunition the weapon says it takes to its group', () => {
+    const { name } = ammunitionTypeForWeapon(catalog, weapon('Bow Staff', { slug: 'bow-staff', group: 'bow', ammo: { baseType: 'sling-bullets' } }));
+
+    assert.equal(name, 'Sling Bullets');
+  });
+
+  test('finds nothing for weapons without ammunition we make', () => {
+    assert.equal(ammunitionTypeForWeapon(catalog, weapon('Javelin', { slug: 'javelin', group: 'dart', traits: { value: ['thrown'] } })), null);
+    assert.equal(ammunitionTypeForWeapon(catalog, weapon('Bomb', { group: 'bomb' })), null);
+  });
+});
+
+describe('loadCatalog', () => {
+  test('fetches catalog.json under the server\'s route prefix', async () => {
+    const fetched = [];
+    const { fetch } = globalThis;
+    globalThis.foundry = { utils: { getRoute: (path) => `/game-prefix/${path}` } };
+    globalThis.fetch = async (url) => {
+      fetched.push(url);
+      return { ok: true, json: async () => catalog };
+    };
+
+    try {
+      assert.equal(await loadCatalog(), catalog);
+      assert.deepEqual(fetched, ['/game-prefix/modules/prishas-precious-projectiles/catalog.json']);
+    } finally {
+      delete globalThis.foundry;
+      globalThis.fetch = fetch;
+    }
+  });
+});
@@ -0,0 +1,166 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { cpSync, existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { buildTranslations, languageStrings, manifestLanguages } from '../scripts/build-translations.mjs';
+import { buildAmmunitionItem } from '../scripts/generator.mjs';
+import { writePackSource } from '../scripts/pack-source.mjs';
+import { loadCatalogs, TEMPLATE_FIELDS, validateCatalogs } from '../scripts/validate-catalogs.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/catalogs', import.meta.url));
+
+// Validate the fixture catalogs with another German language file
+function validateGerman(yaml) {
+  const dir = mkdtempSync(join(tmpdir(), 'ppp-lang-'));
+  try {
+    cpSync(FIXTURES, dir, { recursive: true });
+    writeFileSync(join(dir, 'src', 'lang', 'de.yml'), yaml);
+    return validateCatalogs(dir).errors.map((error) => error.message);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// A pack source with the English items the fixture catalogs give, under the
+// names they are given by, and one hand-authored item
+function writeAmmunitionPack(dir) {
+  const { ammunitionTypes, weaponMaterials } = loadCatalogs(FIXTURES);
+  const item = (ammunitionType, material, grade, id) => ({
+    ...buildAmmunitionItem({
+      ammunitionType,
+      ammoConfig: ammunitionTypes[ammunitionType],
+      material,
+      materialConfig: weaponMaterials[material],
+      grade,
+      gradeConfig: weaponMaterials[material].grades[grade],
+      knownFields: TEMPLATE_FIELDS
+    }, { id, folderId: 'ArrowsFolder0000', now: 0 }),
+    _metadata: { key: `!items!${id}` }
+  });
+
+  writePackSource([
+    { _id: 'ArrowsFolder0000', name: 'Test Arrows', type: 'Item', folder: null, _metadata: { key: '!folders!ArrowsFolder0000' } },
+    item('Arrows', 'Cold Iron', 'Low-Grade', 'ColdIronArrowsLG'),
+    item('Arrows', 'Dawnsilver', 'Standard-Grade', 'DawnsilverArrows'),
+    { _id: 'BlessedArrows000', name: 'Blessed Arrows', type: 'consumable', folder: null, system: { slug: 'blessed-arrows' }, _metadata: { key: '!items!BlessedArrows000' } }
+  ], join(dir, 'src', 'packs', 'precious-ammunition'));
+}
+
+describe('languageStrings', () => {
+  test('puts the strings under the module\'s key, with the material and grade names', () => {
+    const { de } = loadCatalogs(FIXTURES).languages;
+
+    assert.deepEqual(languageStrings(de), {
+      PRISHAS_PRECIOUS_PROJECTILES: {
+        Purchase: { Title: 'Edle Munition kaufen' },
+        Materials: { 'Cold Iron': 'Kaltes Eisen' },
+        Grades: { 'Low-Grade': 'Minderwertig', 'Standard-Grade': 'Standard' }
+      }
+    });
+  });
+});
+
+describe('manifestLanguages', () => {
+  test('lists English first', () => {
+    assert.deepEqual(manifestLanguages(loadCatalogs(FIXTURES).languages), [
+      { lang: 'en', name: 'English', path: 'lang/en.json' },
+      { lang: 'de', name: 'Deutsch', path: 'lang/de.json' }
+    ]);
+  });
+
+  test('gives the languages listed in module.json', () => {
+    const manifest = JSON.parse(readFileSync(join(ROOT, 'module.json'), 'utf8'));
+    assert.deepEqual(manifestLanguages(loadCatalogs(ROOT).languages), manifest.languages);
+  });
+});
+
+describe('buildTranslations', () => {
+  let dir;
+  let written;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ppp-translations-'));
+    cpSync(FIXTURES, dir, { recursive: true });
+    writeAmmunitionPack(dir);
+    written = buildTranslations(dir, join(dir, 'dist'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const read = (file) => JSON.parse(readFileSync(join(dir, 'dist', file), 'utf8'));
+
+  test('writes a lang file for every language and Babele files for the others', () => {
+    assert.deepEqual(written.sort(), [
+      'babele/de/prishas-precious-projectiles.precious-ammunition.json',
+      'lang/de.json',
+      'lang/en.json'
+    ]);
+    assert.deepEqual(read('lang/en.json'), { PRISHAS_PRECIOUS_PROJECTILES: { Purchase: { Title: 'Buy Precious Ammunition' } } });
+  });
+
+  test('translates the pack\'s label, folders and the items the catalogs describe', () => {
+    const babele = read('babele/de/prishas-precious-projectiles.precious-ammunition.json');
+
+    assert.equal(babele.label, 'Edle Munition');
+    assert.deepEqual(babele.mapping, { description: 'system.description.value' });
+    assert.deepEqual(babele.folders, { 'Test Arrows': 'Testpfeile' });
+    assert.deepEqual(Object.keys(babele.entries).sort(), [
+      'Cold Iron Arrows (Low-Grade)',
+      'Dawnsilver Arrows (Standard-Grade)'
+    ]);
+
+    const coldIron = babele.entries['Cold Iron Arrows (Low-Grade)'];
+    assert.equal(coldIron.name, 'Pfeile aus Kaltes Eisen (Minderwertig)');
+    assert.match(coldIron.description, /^<p>Pfeile für Bögen, aus Kaltes Eisen \(minderwertig\) bis Stufe 8\.<\/p>/);
+  });
+
+  test('writes nothing for packs the language does not translate', () => {
+    assert.equal(existsSync(join(dir, 'dist', 'babele', 'de', 'prishas-precious-projectiles.precious-darts.json')), false);
+  });
+});
+
+describe('language files', () => {
+  test('can only translate entries that exist, and only their text', () => {
+    const errors = validateGerman([
+      'name: Deutsch',
+      'weapons:',
+      '  arbalest: Arbaleste',
+      'ammunition_types:',
+      '  Bolts:',
+      '    name: Bolzen',
+      'weapon_materials:',
+      '  Cold Iron:',
+      '    rarity: rare',
+      '    grades:',
+      '      Mythic-Grade:',
+      '        name: Mythisch'
+    ].join('\n'));
+
+    assert.deepEqual(errors, [
+      'unknown name "arbalest"; expected one of longbow, shortbow, elven-dartbow',
+      'unknown name "Bolts"; expected one of Arrows, Elven Darts',
+      'unknown key "rarity"; expected one of name, summary, proper_nouns, grades',
+      'unknown name "Mythic-Grade"; expected one of Low-Grade, Standard-Grade, High-Grade'
+    ]);
+  });
+
+  test('checks templates and strings', () => {
+    const errors = validateGerman([
+      'strings:',
+      '  Purchase:',
+      '    Title: [Kaufen]',
+      'ammunition_types:',
+      '  Arrows:',
+      '    title_template: "{material} {farbe}"'
+    ].join('\n'));
+
+    assert.ok(errors.includes('missing required key "name"'));
+    assert.ok(errors.includes('must be a non-empty string or a mapping of keys to strings'));
+    assert.ok(errors.some((message) => message.startsWith('unknown placeholder "{farbe}"')));
+  });
+});
@@ -0,0 +1,45 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { cpSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { validateCatalogs } from '../scripts/validate-catalogs.mjs';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/catalogs', import.meta.url));
+
+// Validate the fixture catalogs after editing their weapon-materials.yml
+function validateMaterials(edit) {
+  const dir = mkdtempSync(join(tmpdir(), 'ppp-validate-'));
+  try {
+    cpSync(FIXTURES, dir, { recursive: true });
+    const file = join(dir, 'src', 'weapon-materials.yml');
+    writeFileSync(file, edit(readFileSync(file, 'utf8')));
+    return validateCatalogs(dir).errors.map(({ line, message }) => ({ line, message }));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('material grades', () => {
+  test('the fixture grades are valid', () => {
+    assert.deepEqual(validateMaterials((yaml) => yaml), []);
+  });
+
+  test('levels must rise with the grade', () => {
+    assert.deepEqual(validateMaterials((yaml) => yaml.replace('level:          10', 'level:          2')), [
+      { line: 13, message: 'Standard-Grade level (2) must be higher than Low-Grade level (2)' }
+    ]);
+  });
+
+  test('prices must rise with the grade', () => {
+    const errors = validateMaterials((yaml) => yaml
+      .replace('base_price:     880', 'base_price:     40')
+      .replace('price_per_bulk: 88', 'price_per_bulk: 3'));
+
+    assert.deepEqual(errors, [
+      { line: 14, message: 'Standard-Grade base_price (40) must be higher than Low-Grade base_price (40)' },
+      { line: 15, message: 'Standard-Grade price_per_bulk (3) must be higher than Low-Grade price_per_bulk (4)' }
+    ]);
+  });
+});